@@ -4,6 +4,7 @@ import Login from "./pages/Login";
 import SetsList from "./pages/SetsList";
 import SetPage from "./pages/SetPage";
 import StudyPage from "./pages/StudyPage";
+import SharedSetPage from "./pages/SharedSetPage";
 
 function Home() {
   return (
@@ -24,6 +25,7 @@ function App() {
         <Route path="/sets" element={<SetsList />} />
         <Route path="/sets/:setId" element={<SetPage />} />
         <Route path="/sets/:setId/study" element={<StudyPage />} />
+        <Route path="/shared/:shareToken" element={<SharedSetPage />} />
       </Routes>
     </BrowserRouter>
   );
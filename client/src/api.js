@@ -22,4 +22,24 @@ export async function apiRequest(path, { method = "GET", body, token } = {}) {
     throw new Error(data?.message || data?.error || "Request failed");
   }
   return data;
-}
\ No newline at end of file
+}
+
+export async function apiDownload(path, fileName, { token } = {}) {
+  const jwt = token ?? getToken();
+
+  const res = await fetch(`${API_BASE}${path}`, {
+    headers: jwt ? { Authorization: `Bearer ${jwt}` } : {},
+  });
+
+  if (!res.ok) {
+    const data = await res.json().catch(() => ({}));
+    throw new Error(data?.message || data?.error || "Request failed");
+  }
+
+  const url = URL.createObjectURL(await res.blob());
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = fileName;
+  a.click();
+  URL.revokeObjectURL(url);
+}
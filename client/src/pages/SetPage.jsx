@@ -1,5 +1,5 @@
 import { useEffect, useState, useCallback } from "react";
-import { apiRequest } from "../api";
+import { apiRequest, apiDownload } from "../api";
 import { useNavigate, useParams } from "react-router-dom";
 
 export default function SetPage() {
@@ -14,6 +14,11 @@ export default function SetPage() {
   const [q, setQ] = useState("");
   const [a, setA] = useState("");
 
+  const [importText, setImportText] = useState("");
+  const [importFormat, setImportFormat] = useState("CSV");
+  const [importHeader, setImportHeader] = useState(false);
+  const [importReport, setImportReport] = useState(null);
+
   const load = useCallback(async () => {
     setError("");
     setLoading(true);
@@ -66,6 +71,61 @@ export default function SetPage() {
     }
   }
 
+  async function runImport(dryRun) {
+    setError("");
+
+    if (!importText.trim()) {
+      setError("Paste the file contents to import.");
+      return;
+    }
+
+    try {
+      const report = await apiRequest(`/api/sets/${setId}/import`, {
+        method: "POST",
+        body: {
+          content: importText,
+          format: importFormat,
+          has_header: importHeader,
+          dry_run: dryRun,
+        },
+      });
+
+      setImportReport(report);
+
+      if (!dryRun) {
+        setImportText("");
+        await load();
+      }
+    } catch (e) {
+      setError(e.message);
+    }
+  }
+
+  async function changeVisibility(visibility) {
+    setError("");
+    try {
+      const updated = await apiRequest(`/api/sets/${setId}/visibility`, {
+        method: "PUT",
+        body: { visibility },
+      });
+      setSetInfo((prev) => ({ ...prev, ...updated }));
+    } catch (e) {
+      setError(e.message);
+    }
+  }
+
+  async function exportSet(format) {
+    setError("");
+    try {
+      await apiDownload(
+        `/api/sets/${setId}/export?format=${format}&include_stats=true`,
+        `set-${setId}.${format}`
+      );
+    } catch (e) {
+      setError(e.message);
+    }
+  }
+
   async function editCard(card) {
     const question = window.prompt("Edit question:", card.question);
     if (question === null) return;
@@ -141,6 +201,27 @@ export default function SetPage() {
         {setInfo?.description || "No description"}
       </div>
 
+      <div style={{ display: "flex", gap: 8, alignItems: "center", marginTop: 8 }}>
+        {setInfo?.role === "OWNER" && (
+          <label>
+            Visibility{" "}
+            <select
+              value={setInfo?.visibility || "PRIVATE"}
+              onChange={(e) => changeVisibility(e.target.value)}
+            >
+              <option value="PRIVATE">Private</option>
+              <option value="UNLISTED">Anyone with the link</option>
+              <option value="PUBLIC">Public</option>
+            </select>
+          </label>
+        )}
+        {setInfo?.visibility && setInfo.visibility !== "PRIVATE" && setInfo?.share_token && (
+          <a href={`${window.location.origin}/shared/${setInfo.share_token}`}>
+            {`${window.location.origin}/shared/${setInfo.share_token}`}
+          </a>
+        )}
+      </div>
+
       <form
         onSubmit={addCard}
         style={{ marginTop: 16, display: "grid", gap: 8, maxWidth: 700 }}
@@ -159,6 +240,72 @@ export default function SetPage() {
         <button type="submit">Add card</button>
       </form>
 
+      <details style={{ marginTop: 16, maxWidth: 700 }}>
+        <summary>Import cards (CSV, TSV, Anki text export or JSON set export)</summary>
+
+        <div style={{ display: "grid", gap: 8, marginTop: 8 }}>
+          <div style={{ display: "flex", gap: 8, alignItems: "center" }}>
+            <select value={importFormat} onChange={(e) => setImportFormat(e.target.value)}>
+              <option value="CSV">CSV</option>
+              <option value="TSV">TSV</option>
+              <option value="ANKI">Anki (notes in plain text)</option>
+              <option value="JSON">JSON (set export)</option>
+            </select>
+            <label>
+              <input
+                type="checkbox"
+                checked={importHeader}
+                onChange={(e) => setImportHeader(e.target.checked)}
+              />{" "}
+              First row is a header
+            </label>
+          </div>
+
+          <textarea
+            placeholder="question,answer (one card per line)"
+            value={importText}
+            onChange={(e) => setImportText(e.target.value)}
+            rows={6}
+          />
+
+          <div style={{ display: "flex", gap: 8 }}>
+            <button type="button" onClick={() => runImport(true)}>
+              Preview
+            </button>
+            <button type="button" onClick={() => runImport(false)}>
+              Import
+            </button>
+          </div>
+
+          {importReport && (
+            <div>
+              <div>
+                {importReport.dry_run ? "Would import" : "Imported"}{" "}
+                {importReport.accepted_count} of {importReport.total_rows} rows
+              </div>
+              {importReport.rejected.length > 0 && (
+                <ul style={{ color: "crimson" }}>
+                  {importReport.rejected.map((r) => (
+                    <li key={r.line}>
+                      Line {r.line}: {r.reason}
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+          )}
+        </div>
+      </details>
+
+      <div style={{ display: "flex", gap: 8, marginTop: 8 }}>
+        <button type="button" onClick={() => exportSet("json")}>
+          Export JSON
+        </button>
+        <button type="button" onClick={() => exportSet("csv")}>
+          Export CSV
+        </button>
+      </div>
+
       {error && <div style={{ color: "crimson", marginTop: 12 }}>{error}</div>}
 
       <h3 style={{ marginTop: 20 }}>Cards ({cards.length})</h3>
@@ -0,0 +1,96 @@
+import { useEffect, useState } from "react";
+import { apiRequest, getToken } from "../api";
+import { useNavigate, useParams } from "react-router-dom";
+
+export default function SharedSetPage() {
+  const { shareToken } = useParams();
+  const navigate = useNavigate();
+
+  const [set, setSet] = useState(null);
+  const [error, setError] = useState("");
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    async function load() {
+      setError("");
+      setLoading(true);
+      try {
+        const data = await apiRequest(`/api/shared/${shareToken}`);
+        setSet(data);
+      } catch (e) {
+        setError(e.message);
+      } finally {
+        setLoading(false);
+      }
+    }
+    load();
+  }, [shareToken]);
+
+  async function cloneSet() {
+    if (!getToken()) {
+      navigate("/login");
+      return;
+    }
+
+    setError("");
+    try {
+      const created = await apiRequest(`/api/sets/${set.set_id}/clone`, {
+        method: "POST",
+        body: { share_token: shareToken },
+      });
+      navigate(`/sets/${created.set_id}`);
+    } catch (e) {
+      setError(e.message);
+    }
+  }
+
+  if (loading) {
+    return (
+      <div style={{ maxWidth: 900, margin: "32px auto", padding: 16 }}>
+        Loading…
+      </div>
+    );
+  }
+
+  if (!set) {
+    return (
+      <div style={{ maxWidth: 900, margin: "32px auto", padding: 16 }}>
+        <div style={{ color: "crimson" }}>{error || "Shared set not found"}</div>
+      </div>
+    );
+  }
+
+  return (
+    <div style={{ maxWidth: 900, margin: "32px auto", padding: 16 }}>
+      <h2>{set.title}</h2>
+      <div style={{ opacity: 0.8 }}>{set.description || "No description"}</div>
+      <div style={{ opacity: 0.6, marginTop: 4 }}>Shared by {set.owner_username}</div>
+
+      <div style={{ display: "flex", gap: 8, marginTop: 12 }}>
+        <button type="button" onClick={cloneSet}>
+          Copy to my sets
+        </button>
+      </div>
+
+      {error && <div style={{ color: "crimson", marginTop: 12 }}>{error}</div>}
+
+      <h3 style={{ marginTop: 20 }}>Cards ({set.card_count})</h3>
+
+      <div style={{ display: "grid", gap: 10 }}>
+        {set.cards.map((c, i) => (
+          <div
+            key={i}
+            style={{
+              border: "1px solid #ddd",
+              borderRadius: 10,
+              padding: 12,
+            }}
+          >
+            <div style={{ fontWeight: 700 }}>{c.question}</div>
+            <div style={{ marginTop: 6, whiteSpace: "pre-wrap" }}>{c.answer}</div>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
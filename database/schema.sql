@@ -18,17 +18,85 @@ CREATE TABLE IF NOT EXISTS flashcard_set (
   user_id       INT NOT NULL,
   title         VARCHAR(120) NOT NULL,
   description   VARCHAR(500),
+
+  -- PRIVATE: owner only, UNLISTED: anyone with the share link, PUBLIC: listed for everyone
+  visibility    ENUM('PRIVATE','UNLISTED','PUBLIC') NOT NULL DEFAULT 'PRIVATE',
+  share_token   VARCHAR(64) NULL UNIQUE,     -- random token used in share links
+  cloned_from_set_id INT NULL,               -- source set when created by a clone
+
+  -- Default side asked in practice: 'FORWARD' (question -> answer), 'REVERSE' (answer -> question)
+  -- or 'MIXED' (either, per card). Sessions can override it.
+  practice_direction VARCHAR(10) NOT NULL DEFAULT 'FORWARD',
+
   created_at    DATETIME DEFAULT CURRENT_TIMESTAMP,
   last_modified DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
 
   CONSTRAINT fk_flashcard_set_user
     FOREIGN KEY (user_id) REFERENCES users(user_id)
-    ON DELETE CASCADE
+    ON DELETE CASCADE,
+
+  CONSTRAINT fk_flashcard_set_clone_source
+    FOREIGN KEY (cloned_from_set_id) REFERENCES flashcard_set(set_id)
+    ON DELETE SET NULL
 ) ENGINE=InnoDB;
 
 CREATE INDEX idx_flashcard_set_user_id ON flashcard_set(user_id);
 
 
+-- ------------------------------------------------------------
+-- SET_MEMBER (collaborators on a set; the creator in flashcard_set.user_id is always an owner)
+-- ------------------------------------------------------------
+CREATE TABLE IF NOT EXISTS set_member (
+  set_id     INT NOT NULL,
+  user_id    INT NOT NULL,
+  role       ENUM('OWNER','EDITOR','VIEWER') NOT NULL DEFAULT 'VIEWER',
+  added_by   INT NULL,
+  added_at   DATETIME DEFAULT CURRENT_TIMESTAMP,
+
+  PRIMARY KEY (set_id, user_id),
+
+  CONSTRAINT fk_set_member_set
+    FOREIGN KEY (set_id) REFERENCES flashcard_set(set_id)
+    ON DELETE CASCADE,
+
+  CONSTRAINT fk_set_member_user
+    FOREIGN KEY (user_id) REFERENCES users(user_id)
+    ON DELETE CASCADE,
+
+  CONSTRAINT fk_set_member_added_by
+    FOREIGN KEY (added_by) REFERENCES users(user_id)
+    ON DELETE SET NULL
+) ENGINE=InnoDB;
+
+CREATE INDEX idx_set_member_user ON set_member(user_id);
+
+
+-- ------------------------------------------------------------
+-- SET_INVITATION (invite a collaborator by email; accepted by the user with that email)
+-- ------------------------------------------------------------
+CREATE TABLE IF NOT EXISTS set_invitation (
+  invitation_id INT AUTO_INCREMENT PRIMARY KEY,
+  set_id        INT NOT NULL,
+  email         VARCHAR(100) NOT NULL,
+  role          ENUM('OWNER','EDITOR','VIEWER') NOT NULL DEFAULT 'VIEWER',
+  token         VARCHAR(64) NOT NULL UNIQUE,
+  status        ENUM('PENDING','ACCEPTED','DECLINED','REVOKED') NOT NULL DEFAULT 'PENDING',
+  invited_by    INT NULL,
+  created_at    DATETIME DEFAULT CURRENT_TIMESTAMP,
+  responded_at  DATETIME NULL,
+
+  CONSTRAINT fk_invitation_set
+    FOREIGN KEY (set_id) REFERENCES flashcard_set(set_id)
+    ON DELETE CASCADE,
+
+  CONSTRAINT fk_invitation_invited_by
+    FOREIGN KEY (invited_by) REFERENCES users(user_id)
+    ON DELETE SET NULL
+) ENGINE=InnoDB;
+
+CREATE INDEX idx_invitation_email_status ON set_invitation(email, status);
+
+
 -- ------------------------------------------------------------
 -- FLASHCARD (belongs to a set)
 -- ------------------------------------------------------------
@@ -78,25 +146,26 @@ CREATE INDEX idx_variation_type ON flashcard_variation(variation_type);
 CREATE TABLE IF NOT EXISTS practice_session (
   session_id       INT AUTO_INCREMENT PRIMARY KEY,
   user_id          INT NOT NULL,
-  set_id           INT NOT NULL,
-  difficulty_mode  VARCHAR(20) NOT NULL,     -- 'EASY', 'MODERATE', 'HARD'
+  set_id           INT NULL,                 -- NULL = cross-set review session (card_selection 'DUE')
+  difficulty_mode  VARCHAR(20) NOT NULL,     -- 'EASY', 'MODERATE', 'HARD', 'CRAM', 'SPRINT' (practice/modes)
   display_time_per_card INT NOT NULL DEFAULT 10,
   answer_time_limit INT NOT NULL DEFAULT 120, -- seconds before marking as incorrect
   started_at       DATETIME DEFAULT CURRENT_TIMESTAMP,
   completed_at     DATETIME NULL,
-  final_score      INT NOT NULL DEFAULT 0,
-  hard_phase VARCHAR(10) NOT NULL DEFAULT 'PREVIEW',
-  hard_preview_index INT NOT NULL DEFAULT 0,
-  hard_queue TEXT NULL,
-  card_order_json LONGTEXT NULL,
+  final_score      INT NULL,                 -- NULL until completed (and for sessions abandoned without attempts)
 
-  easy_phase VARCHAR(10) NULL DEFAULT 'REVEAL',
-  easy_index INT NOT NULL DEFAULT 0,
+  -- ACTIVE -> (PAUSED <-> ACTIVE) -> COMPLETED or ABANDONED (ended early; scored on attempts made)
+  status           ENUM('ACTIVE','PAUSED','COMPLETED','ABANDONED') NOT NULL DEFAULT 'ACTIVE',
+  paused_at        DATETIME NULL,
+  total_paused_seconds INT NOT NULL DEFAULT 0,
 
-  moderate_phase VARCHAR(12) NULL DEFAULT 'PREVIEW',
-  moderate_group_index INT NOT NULL DEFAULT 0,
-  moderate_preview_index INT NOT NULL DEFAULT 0,
-  moderate_test_index INT NOT NULL DEFAULT 0,
+  card_order_json LONGTEXT NULL,   -- JSON card ids chosen for the session (in order)
+
+  -- Mode-specific progress (phase, indices, queues, clocks), owned by server/practice/modes/<mode>.js
+  session_state_json LONGTEXT NULL,
+
+  -- Prompt served for the card currently being answered (blanks + hidden tokens)
+  current_prompt_json LONGTEXT NULL,
 
   CONSTRAINT fk_session_user
     FOREIGN KEY (user_id) REFERENCES users(user_id)
@@ -109,6 +178,7 @@ CREATE TABLE IF NOT EXISTS practice_session (
 
 CREATE INDEX idx_session_user_id ON practice_session(user_id);
 CREATE INDEX idx_session_set_id ON practice_session(set_id);
+CREATE INDEX idx_session_user_status ON practice_session(user_id, status);
 
 
 -- ------------------------------------------------------------
@@ -128,10 +198,29 @@ CREATE TABLE IF NOT EXISTS practice_settings (
   use_adaptive_answer_timing  BOOLEAN NOT NULL DEFAULT FALSE,
 
   reading_speed_modifier FLOAT NOT NULL DEFAULT 1.0,
+  -- 'NORMAL_HIDDEN', 'MULTIPLE_CHOICE' (answer among distractors from the set) or an NLP variation type
   prompt_type VARCHAR(50) NOT NULL DEFAULT 'NORMAL_HIDDEN',
   blank_ratio FLOAT NULL,
   seed INT NULL,
 
+  -- Which cards the session uses: 'ALL' (whole set) or 'DUE' (due/overdue + capped new cards)
+  card_selection VARCHAR(10) NOT NULL DEFAULT 'ALL',
+  new_cards_limit INT NULL,
+
+  -- Side asked: 'FORWARD', 'REVERSE' or 'MIXED' (defaults to the set's practice_direction)
+  direction VARCHAR(10) NOT NULL DEFAULT 'FORWARD',
+
+  -- Answer grading: 'STRICT' (exact normalised match), 'FUZZY' (0..1 score vs pass_threshold)
+  -- or 'SEMANTIC' (FUZZY, then NLP similarity vs semantic_threshold for paraphrases)
+  grading_mode VARCHAR(10) NOT NULL DEFAULT 'FUZZY',
+  pass_threshold FLOAT NOT NULL DEFAULT 0.9,
+  semantic_threshold FLOAT NOT NULL DEFAULT 0.8,
+
+  -- EASY / MODERATE: re-ask wrong cards (end of session / end of group) until answered
+  -- correctly or max_retries repeats have been used (CRAM always retries, up to max_retries)
+  retry_incorrect BOOLEAN NOT NULL DEFAULT FALSE,
+  max_retries INT NOT NULL DEFAULT 2,
+
 
   CONSTRAINT fk_settings_session
     FOREIGN KEY (session_id) REFERENCES practice_session(session_id)
@@ -149,9 +238,16 @@ CREATE TABLE IF NOT EXISTS performance_result (
   session_id      INT NOT NULL,
   flashcard_id    INT NOT NULL,
   is_correct      BOOLEAN NOT NULL,
+  score           DECIMAL(4,3) NULL,  -- 0..1 partial credit (NULL = legacy, use is_correct)
+  grading_method  VARCHAR(12) NULL,   -- which check decided: 'EXACT', 'FUZZY', 'STRICT', 'BLANKS', 'SEMANTIC', 'CHOICE', 'TIMEOUT'
+  similarity_score DECIMAL(4,3) NULL, -- NLP semantic similarity 0..1 (SEMANTIC mode only)
   user_answer     TEXT,
-  time_taken      INT,              -- seconds
+  time_taken      INT,              -- seconds (measured on the server from served_at)
+  served_at       DATETIME NULL,    -- when /next served the card (NULL = legacy, client-timed)
+  result_status   ENUM('ANSWERED','TIMED_OUT') NOT NULL DEFAULT 'ANSWERED', -- TIMED_OUT: past answer_time_limit, no credit
   attempt_number  INT NOT NULL DEFAULT 1,
+  hints_used      INT NOT NULL DEFAULT 0, -- hints revealed before this attempt was answered
+  direction       VARCHAR(10) NOT NULL DEFAULT 'FORWARD', -- side asked: 'FORWARD' or 'REVERSE'
 
   CONSTRAINT fk_result_session
     FOREIGN KEY (session_id) REFERENCES practice_session(session_id)
@@ -174,7 +270,8 @@ CREATE TABLE IF NOT EXISTS hint (
   hint_id      INT AUTO_INCREMENT PRIMARY KEY,
   flashcard_id INT NOT NULL,
   hint_text    TEXT NOT NULL,
-  hint_type    VARCHAR(30) NOT NULL,  -- e.g. 'MNEMONIC', 'CLUE', 'AI'
+  hint_type    VARCHAR(30) NOT NULL,  -- e.g. 'MNEMONIC', 'CLUE', 'AI' (NLP-generated: 'AI_STRUCTURE', 'AI_ENTITY', 'AI_FIRST_LETTERS')
+  created_at   DATETIME DEFAULT CURRENT_TIMESTAMP,
 
   CONSTRAINT fk_hint_flashcard
     FOREIGN KEY (flashcard_id) REFERENCES flashcard(flashcard_id)
@@ -185,9 +282,37 @@ CREATE INDEX idx_hint_flashcard_id ON hint(flashcard_id);
 CREATE INDEX idx_hint_type ON hint(hint_type);
 
 
+-- ------------------------------------------------------------
+-- PRACTICE_HINT_REVEAL (hints revealed during a practice attempt)
+-- ------------------------------------------------------------
+CREATE TABLE IF NOT EXISTS practice_hint_reveal (
+  reveal_id      INT AUTO_INCREMENT PRIMARY KEY,
+  session_id     INT NOT NULL,
+  flashcard_id   INT NOT NULL,
+  hint_id        INT NOT NULL,
+  attempt_number INT NOT NULL DEFAULT 1,  -- matches performance_result.attempt_number
+  revealed_at    DATETIME DEFAULT CURRENT_TIMESTAMP,
+
+  CONSTRAINT fk_reveal_session
+    FOREIGN KEY (session_id) REFERENCES practice_session(session_id)
+    ON DELETE CASCADE,
+
+  CONSTRAINT fk_reveal_flashcard
+    FOREIGN KEY (flashcard_id) REFERENCES flashcard(flashcard_id)
+    ON DELETE CASCADE,
+
+  CONSTRAINT fk_reveal_hint
+    FOREIGN KEY (hint_id) REFERENCES hint(hint_id)
+    ON DELETE CASCADE,
+
+  CONSTRAINT uq_reveal_attempt_hint UNIQUE (session_id, flashcard_id, attempt_number, hint_id)
+) ENGINE=InnoDB;
+
+
 CREATE TABLE IF NOT EXISTS user_flashcard_stats (
   user_id           INT NOT NULL,
   flashcard_id      INT NOT NULL,
+  direction         VARCHAR(10) NOT NULL DEFAULT 'FORWARD',  -- 'FORWARD' or 'REVERSE' (tracked separately)
 
   difficulty_rating DECIMAL(5,2) NOT NULL DEFAULT 0.00,  -- 0..100 (per-user)
   times_seen        INT NOT NULL DEFAULT 0,
@@ -196,7 +321,14 @@ CREATE TABLE IF NOT EXISTS user_flashcard_stats (
   avg_time_taken    DECIMAL(6,2) NOT NULL DEFAULT 0.00,  -- seconds
   last_seen         DATETIME NULL,
 
-  PRIMARY KEY (user_id, flashcard_id),
+  -- spaced repetition schedule (SM-2 style, per-user)
+  ease_factor       DECIMAL(4,2) NOT NULL DEFAULT 2.50,  -- 1.30..3.00
+  interval_days     INT NOT NULL DEFAULT 0,              -- days until next review
+  repetitions       INT NOT NULL DEFAULT 0,              -- successful reviews in a row
+  lapse_count       INT NOT NULL DEFAULT 0,              -- times the card was forgotten
+  due_at            DATETIME NULL,                       -- NULL = never scheduled (new card)
+
+  PRIMARY KEY (user_id, flashcard_id, direction),
 
   CONSTRAINT fk_stats_user
     FOREIGN KEY (user_id) REFERENCES users(user_id)
@@ -208,6 +340,7 @@ CREATE TABLE IF NOT EXISTS user_flashcard_stats (
 ) ENGINE=InnoDB;
 
 CREATE INDEX idx_stats_flashcard ON user_flashcard_stats(flashcard_id);
+CREATE INDEX idx_stats_user_due ON user_flashcard_stats(user_id, direction, due_at);
 
 
 CREATE TABLE IF NOT EXISTS user_calibration (
@@ -220,22 +353,87 @@ CREATE TABLE IF NOT EXISTS user_calibration (
 ) ENGINE=InnoDB;
 
 
+-- Reading speed measured on one set's own material (dense subjects read slower);
+-- adaptive timing uses it for that set's cards, falling back to user_calibration
+CREATE TABLE IF NOT EXISTS user_set_calibration (
+  user_id          INT NOT NULL,
+  set_id           INT NOT NULL,
+  words_per_second FLOAT NOT NULL,
+  calibrated_at    DATETIME DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (user_id, set_id),
+  CONSTRAINT fk_set_calib_user
+    FOREIGN KEY (user_id) REFERENCES users(user_id)
+    ON DELETE CASCADE,
+  CONSTRAINT fk_set_calib_set
+    FOREIGN KEY (set_id) REFERENCES flashcard_set(set_id)
+    ON DELETE CASCADE
+) ENGINE=InnoDB;
+
+
+-- Every calibration run (user_calibration / user_set_calibration only keep the latest value)
+CREATE TABLE IF NOT EXISTS user_calibration_history (
+  calibration_id   INT AUTO_INCREMENT PRIMARY KEY,
+  user_id          INT NOT NULL,
+  set_id           INT NULL,                -- NULL = general calibration, else a per-set run
+  source           VARCHAR(10) NOT NULL DEFAULT 'MANUAL', -- 'MANUAL' (calibration flow) or 'PRACTICE' (estimated)
+  session_id       INT NULL,                -- PRACTICE: session the timings came from
+  words_per_second FLOAT NOT NULL,          -- value stored (clamped; PRACTICE: blended into the previous value)
+  raw_words_per_second FLOAT NULL,          -- measured before clamping (PRACTICE: session median)
+  total_words      INT NULL,
+  total_seconds    FLOAT NULL,
+  sample_count     INT NULL,                -- PRACTICE: answers used
+  rejected_count   INT NULL,                -- PRACTICE: answers dropped as outliers
+  calibrated_at    DATETIME DEFAULT CURRENT_TIMESTAMP,
+  CONSTRAINT fk_calib_history_user
+    FOREIGN KEY (user_id) REFERENCES users(user_id)
+    ON DELETE CASCADE,
+  CONSTRAINT fk_calib_history_set
+    FOREIGN KEY (set_id) REFERENCES flashcard_set(set_id)
+    ON DELETE CASCADE,
+  CONSTRAINT fk_calib_history_session
+    FOREIGN KEY (session_id) REFERENCES practice_session(session_id)
+    ON DELETE SET NULL
+) ENGINE=InnoDB;
+
+CREATE INDEX idx_calib_history_user_time ON user_calibration_history(user_id, calibrated_at);
+
+
 CREATE TABLE IF NOT EXISTS badges (
   badge_id INT AUTO_INCREMENT PRIMARY KEY,
   code VARCHAR(64) NOT NULL UNIQUE,        -- e.g. "STREAK_7"
   name VARCHAR(80) NOT NULL,               -- e.g. "7-day streak"
   description VARCHAR(255) NULL,
   icon VARCHAR(64) NULL,                   -- optional (frontend chooses icon)
+
+  -- Achievement rule (see server/utils/achievements.js):
+  -- event: 'LOGIN', 'SESSION_COMPLETED' or 'CALIBRATION_DONE' (when the rule is checked)
+  -- criteria_json: { "<metric>": { "gte"|"lte"|"eq": value }, ... }, every condition must hold
+  event VARCHAR(40) NOT NULL DEFAULT 'LOGIN',
+  criteria_json TEXT NULL,
+
   created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
 );
 
 
--- Insert some default badges (Can be expanded later)
-INSERT INTO badges (code, name, description) VALUES
-('STREAK_3', '3-day streak', 'Log in 3 days in a row'),
-('STREAK_7', '7-day streak', 'Log in 7 days in a row'),
-('STREAK_30', '30-day streak', 'Log in 30 days in a row')
-ON DUPLICATE KEY UPDATE name = VALUES(name), description = VALUES(description);
+-- Default badges (new achievements are new rows, not new code)
+INSERT INTO badges (code, name, description, event, criteria_json) VALUES
+('STREAK_3', '3-day streak', 'Practise 3 days in a row', 'SESSION_COMPLETED', '{"study_streak":{"gte":3}}'),
+('STREAK_7', '7-day streak', 'Practise 7 days in a row', 'SESSION_COMPLETED', '{"study_streak":{"gte":7}}'),
+('STREAK_30', '30-day streak', 'Practise 30 days in a row', 'SESSION_COMPLETED', '{"study_streak":{"gte":30}}'),
+('FIRST_SESSION', 'First session', 'Complete your first practice session', 'SESSION_COMPLETED', '{"sessions_completed":{"gte":1}}'),
+('SESSIONS_10', 'Regular', 'Complete 10 practice sessions', 'SESSION_COMPLETED', '{"sessions_completed":{"gte":10}}'),
+('SESSIONS_50', 'Dedicated', 'Complete 50 practice sessions', 'SESSION_COMPLETED', '{"sessions_completed":{"gte":50}}'),
+('PERFECT_SCORE', 'Perfect score', 'Finish a session of at least 5 answers with a score of 100', 'SESSION_COMPLETED', '{"session_status":{"eq":"COMPLETED"},"session_score":{"gte":100},"session_attempts":{"gte":5}}'),
+('FIRST_HARD', 'Up for a challenge', 'Complete your first HARD session', 'SESSION_COMPLETED', '{"session_status":{"eq":"COMPLETED"},"session_mode":{"eq":"HARD"}}'),
+('MASTERED_10', 'Getting there', 'Master 10 cards (review interval of 21 days or more)', 'SESSION_COMPLETED', '{"cards_mastered":{"gte":10}}'),
+('MASTERED_50', 'Know it well', 'Master 50 cards', 'SESSION_COMPLETED', '{"cards_mastered":{"gte":50}}'),
+('MASTERED_100', 'Memory palace', 'Master 100 cards', 'SESSION_COMPLETED', '{"cards_mastered":{"gte":100}}'),
+('CALIBRATED', 'Know your pace', 'Complete a reading speed calibration', 'CALIBRATION_DONE', '{"calibrations":{"gte":1}}')
+ON DUPLICATE KEY UPDATE
+  name = VALUES(name),
+  description = VALUES(description),
+  event = VALUES(event),
+  criteria_json = VALUES(criteria_json);
 
 
 CREATE TABLE IF NOT EXISTS user_badges (
@@ -257,14 +455,19 @@ CREATE TABLE IF NOT EXISTS user_profile (
 
   -- app preferences / personalization
   timezone VARCHAR(64) NULL,
-  study_goal_minutes_per_day INT NULL,
+  study_goal_minutes_per_day INT NULL,     -- daily goal (server/utils/studyGoal.js, GET /api/stats/me/goal)
   preferred_difficulty ENUM('EASY','MODERATE','HARD') NULL,
 
   created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
   updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
 
+  -- Study streak (server/utils/streaks.js): consecutive local days with a completed practice session,
+  -- recomputed from practice history on completion and when timezone / goal settings change
   current_streak INT NOT NULL DEFAULT 0,
   longest_streak INT NOT NULL DEFAULT 0,
+  streak_requires_goal TINYINT(1) NOT NULL DEFAULT 0,  -- 1 = a day also needs study_goal_minutes_per_day
+  streak_freezes INT NOT NULL DEFAULT 0,                -- freeze tokens held (earned every 7 streak days)
+  last_study_date DATE NULL,                            -- last local day that counted towards the streak
   last_login_date DATE NULL,
 
   CONSTRAINT fk_user_profile_user
@@ -273,3 +476,86 @@ CREATE TABLE IF NOT EXISTS user_profile (
 );
 
 
+-- Missed local days a streak freeze bridged (for the current streak)
+CREATE TABLE IF NOT EXISTS streak_freeze_day (
+  user_id INT NOT NULL,
+  day DATE NOT NULL,
+  PRIMARY KEY (user_id, day),
+  FOREIGN KEY (user_id) REFERENCES users(user_id) ON DELETE CASCADE
+);
+
+
+
+
+-- ------------------------------------------------------------
+-- STUDY_GROUP (a class / study group created by a teacher; students join with invite_code)
+-- ------------------------------------------------------------
+CREATE TABLE IF NOT EXISTS study_group (
+  group_id      INT AUTO_INCREMENT PRIMARY KEY,
+  owner_user_id INT NOT NULL,
+  name          VARCHAR(120) NOT NULL,
+  description   VARCHAR(500),
+  invite_code   VARCHAR(16) NOT NULL UNIQUE,
+  created_at    DATETIME DEFAULT CURRENT_TIMESTAMP,
+
+  CONSTRAINT fk_study_group_owner
+    FOREIGN KEY (owner_user_id) REFERENCES users(user_id)
+    ON DELETE CASCADE
+) ENGINE=InnoDB;
+
+
+-- ------------------------------------------------------------
+-- STUDY_GROUP_MEMBER (teachers manage the group, students practise assignments)
+-- ------------------------------------------------------------
+CREATE TABLE IF NOT EXISTS study_group_member (
+  group_id  INT NOT NULL,
+  user_id   INT NOT NULL,
+  role      ENUM('TEACHER','STUDENT') NOT NULL DEFAULT 'STUDENT',
+  joined_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+
+  PRIMARY KEY (group_id, user_id),
+
+  CONSTRAINT fk_group_member_group
+    FOREIGN KEY (group_id) REFERENCES study_group(group_id)
+    ON DELETE CASCADE,
+
+  CONSTRAINT fk_group_member_user
+    FOREIGN KEY (user_id) REFERENCES users(user_id)
+    ON DELETE CASCADE
+) ENGINE=InnoDB;
+
+CREATE INDEX idx_group_member_user ON study_group_member(user_id);
+
+
+-- ------------------------------------------------------------
+-- GROUP_ASSIGNMENT (a set to practise in a given mode by a due date)
+-- Completed practice_session rows of group members on the set, in the assigned
+-- difficulty_mode (and prompt_type when given), started after the assignment was
+-- created, count toward it. Assigned sets are readable (VIEWER) by group members.
+-- ------------------------------------------------------------
+CREATE TABLE IF NOT EXISTS group_assignment (
+  assignment_id   INT AUTO_INCREMENT PRIMARY KEY,
+  group_id        INT NOT NULL,
+  set_id          INT NOT NULL,
+  title           VARCHAR(120) NULL,
+  difficulty_mode VARCHAR(20) NOT NULL,      -- any practice mode name (see practice_session)
+  prompt_type     VARCHAR(50) NULL,          -- NULL = any prompt type
+  due_at          DATETIME NOT NULL,
+  created_by      INT NULL,
+  created_at      DATETIME DEFAULT CURRENT_TIMESTAMP,
+
+  CONSTRAINT fk_assignment_group
+    FOREIGN KEY (group_id) REFERENCES study_group(group_id)
+    ON DELETE CASCADE,
+
+  CONSTRAINT fk_assignment_set
+    FOREIGN KEY (set_id) REFERENCES flashcard_set(set_id)
+    ON DELETE CASCADE,
+
+  CONSTRAINT fk_assignment_created_by
+    FOREIGN KEY (created_by) REFERENCES users(user_id)
+    ON DELETE SET NULL
+) ENGINE=InnoDB;
+
+CREATE INDEX idx_assignment_group ON group_assignment(group_id);
+CREATE INDEX idx_assignment_set ON group_assignment(set_id);
@@ -1,10 +1,12 @@
 from flask import Flask, request, jsonify
+import numpy as np
 import spacy
 import random
 import re
 
 app = Flask(__name__)
-nlp = spacy.load("en_core_web_sm")
+# Medium model: has static word vectors (the small one does not, so /similarity would be meaningless)
+nlp = spacy.load("en_core_web_md")
 
 
 def is_word(token_text: str) -> bool:
@@ -175,6 +177,10 @@ def generate():
     out_tokens = []
     clue_tokens = []
 
+    # Blank positions + hidden tokens (so the server can grade each blank)
+    blanks = []
+    out_len = 0
+
     for t in doc:
         if t in blank_set:
             if blank_with_first_letter:
@@ -186,20 +192,234 @@ def generate():
                 blanked = "_" * len(t.text)
                 out_tokens.append(blanked)
                 clue_tokens.append("")  # no first-letter clue
+
+            blanks.append({
+                "index": len(blanks),
+                "token_index": t.i,
+                "start": out_len,
+                "length": len(blanked),
+                "original": t.text,
+            })
+            out_len += len(blanked)
         else:
             out_tokens.append(t.text)
             clue_tokens.append(t.text)
+            out_len += len(t.text)
 
         if t.whitespace_:
             out_tokens.append(t.whitespace_)
             clue_tokens.append(t.whitespace_)
+            out_len += len(t.whitespace_)
 
-    blanked_text = "".join(out_tokens).strip()
+    raw_blanked = "".join(out_tokens)
+    blanked_text = raw_blanked.strip()
     first_letter_clues = "".join(clue_tokens).strip()
 
+    # Shift offsets by whatever strip() removed from the front
+    lead = len(raw_blanked) - len(raw_blanked.lstrip())
+    for b in blanks:
+        b["start"] -= lead
+
     return jsonify({
         "blanked_text": blanked_text,
-        "first_letter_clues": first_letter_clues
+        "first_letter_clues": first_letter_clues,
+        "blanks": blanks
+    })
+
+
+# Friendly names for spaCy entity labels (used in ENTITY hints)
+ENTITY_HINTS = {
+    "PERSON": "a person",
+    "NORP": "a nationality, religious or political group",
+    "FAC": "a building or facility",
+    "ORG": "an organisation",
+    "GPE": "a country, city or state",
+    "LOC": "a location",
+    "PRODUCT": "a product",
+    "EVENT": "an event",
+    "WORK_OF_ART": "a work of art",
+    "LAW": "a law or document",
+    "LANGUAGE": "a language",
+    "DATE": "a date",
+    "TIME": "a time",
+    "PERCENT": "a percentage",
+    "MONEY": "an amount of money",
+    "QUANTITY": "a quantity",
+    "ORDINAL": "an ordinal (first, second...)",
+    "CARDINAL": "a number",
+}
+
+
+@app.post("/hints")
+def hints():
+    data = request.get_json(force=True)
+
+    text = data.get("text", "")
+    if not str(text).strip():
+        return jsonify({"error": "text is required"}), 400
+
+    doc = nlp(str(text))
+    words = [t for t in doc if not (t.is_punct or t.is_space)]
+
+    out = []
+
+    # 1) STRUCTURE: word count + first letter ("3 words, starts with P")
+    if words:
+        count = len(words)
+        noun = "word" if count == 1 else "words"
+        out.append({
+            "hint_type": "AI_STRUCTURE",
+            "hint_text": f"{count} {noun}, starts with {words[0].text[0].upper()}",
+        })
+
+    # 2) ENTITY: named-entity categories mentioned in the answer
+    labels = []
+    for ent in doc.ents:
+        if ent.label_ not in labels:
+            labels.append(ent.label_)
+
+    if labels:
+        described = [ENTITY_HINTS.get(label, spacy.explain(label) or label.lower()) for label in labels]
+        out.append({
+            "hint_type": "AI_ENTITY",
+            "hint_text": "Mentions " + ", ".join(described),
+        })
+
+    # 3) FIRST_LETTERS: first letter of each key term (same rule as KEY_TERMS_ONLY)
+    key_terms = [t for t in doc if eligible_token(t) and (t.pos_ in ("NOUN", "PROPN") or t.ent_type_)]
+    if not key_terms:
+        key_terms = [t for t in doc if eligible_token(t)]
+
+    if key_terms:
+        letters = " ".join(t.text[0].upper() + "_" * (len(t.text) - 1) for t in key_terms)
+        out.append({
+            "hint_type": "AI_FIRST_LETTERS",
+            "hint_text": f"Key terms: {letters}",
+        })
+
+    return jsonify({"hints": out})
+
+
+def answer_target(doc):
+    # What a distractor has to look like:
+    # ("ENTITY", label) when the answer is mostly one named entity,
+    # otherwise ("POS", pos) of the answer's root word
+    if doc.ents:
+        ent = max(doc.ents, key=len)
+        words = [t for t in doc if not (t.is_punct or t.is_space)]
+        if words and len(ent) * 2 >= len(words):
+            return "ENTITY", ent.label_
+
+    roots = [t for t in doc if t.dep_ == "ROOT"]
+    root = roots[0] if roots else (doc[0] if len(doc) else None)
+    return "POS", (root.pos_ if root is not None else "NOUN")
+
+
+@app.post("/distractors")
+def distractors():
+    data = request.get_json(force=True)
+
+    text = data.get("text", "")
+    pool = data.get("pool", [])
+    count = max(1, min(10, int(data.get("count", 3))))
+    seed = data.get("seed", None)
+
+    if not str(text).strip():
+        return jsonify({"error": "text is required"}), 400
+
+    if seed is not None:
+        random.seed(seed)
+
+    kind, label = answer_target(nlp(str(text)))
+    answer_key = str(text).strip().lower()
+
+    # Terms from the pool (other cards' questions / answers) that match the answer's
+    # entity type, or its part of speech (noun phrases for nouns)
+    found = []
+    for source in pool if isinstance(pool, list) else []:
+        if not str(source).strip():
+            continue
+
+        doc = nlp(str(source))
+
+        if kind == "ENTITY":
+            terms = [ent.text for ent in doc.ents if ent.label_ == label]
+        elif label in ("NOUN", "PROPN"):
+            terms = [chunk.text for chunk in doc.noun_chunks if chunk.root.pos_ == label and not chunk.root.is_stop]
+        else:
+            terms = [t.text for t in doc if t.pos_ == label and eligible_token(t)]
+
+        found.extend(terms)
+
+    # Distinct terms that are not the answer itself
+    seen = {answer_key}
+    unique = []
+    for term in found:
+        key = term.strip().lower()
+        if key and key not in seen:
+            seen.add(key)
+            unique.append(term.strip())
+
+    random.shuffle(unique)
+
+    return jsonify({
+        "distractors": unique[:count],
+        "match": f"{kind}:{label}"
+    })
+
+
+NEGATIONS = {"not", "no", "never", "none", "cannot", "nor", "neither", "nothing", "nobody", "nowhere", "n't"}
+
+
+def is_negation(t) -> bool:
+    return t.dep_ == "neg" or t.lower_ in NEGATIONS
+
+
+def content_vector(doc):
+    # Average vector of content words (stopwords / punctuation only add noise)
+    # Negations are stopwords to spaCy but change the meaning, so they are kept
+    tokens = [t for t in doc if t.has_vector and (is_negation(t) or not (t.is_stop or t.is_punct or t.is_space))]
+    if not tokens:
+        tokens = [t for t in doc if t.has_vector and not (t.is_punct or t.is_space)]
+    if not tokens:
+        return None
+    return np.mean([t.vector for t in tokens], axis=0)
+
+
+@app.post("/similarity")
+def similarity():
+    data = request.get_json(force=True)
+
+    text_a = data.get("text_a", "")
+    text_b = data.get("text_b", "")
+
+    if not str(text_a).strip() or not str(text_b).strip():
+        return jsonify({"error": "text_a and text_b are required"}), 400
+
+    if len(nlp.vocab.vectors) == 0:
+        return jsonify({"error": "The loaded spaCy model has no word vectors; similarity is unavailable"}), 503
+
+    doc_a = nlp(str(text_a))
+    doc_b = nlp(str(text_b))
+    vec_a = content_vector(doc_a)
+    vec_b = content_vector(doc_b)
+
+    # One text negated and the other not: opposite meanings, however close the vectors are
+    negation_mismatch = any(is_negation(t) for t in doc_a) != any(is_negation(t) for t in doc_b)
+
+    score = 0.0
+    if vec_a is not None and vec_b is not None and not negation_mismatch:
+        norm = float(np.linalg.norm(vec_a) * np.linalg.norm(vec_b))
+        if norm > 0:
+            score = float(np.dot(vec_a, vec_b) / norm)
+
+    # Cosine can be negative; grading works on 0..1
+    score = max(0.0, min(1.0, score))
+
+    return jsonify({
+        "similarity": round(score, 4),
+        "method": "VECTOR_COSINE",
+        "negation_mismatch": negation_mismatch
     })
 
 
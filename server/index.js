@@ -11,12 +11,22 @@ const sessionRoutes = require("./routes/sessionRoutes");     // Session routes (
 const practiceRoutes = require("./routes/practiceRoutes");   // Practice engine routes
 const calibrationRoutes = require("./routes/calibrationRoutes"); // Calibration routes 
 const profileRoutes = require("./routes/profileRoutes"); // User profile routes
+const reviewRoutes = require("./routes/reviewRoutes"); // Spaced repetition review queue
+const hintRoutes = require("./routes/hintRoutes"); // Flashcard hint routes
+const importRoutes = require("./routes/importRoutes"); // Bulk flashcard import
+const exportRoutes = require("./routes/exportRoutes"); // Set export (JSON bundle / CSV)
+const shareRoutes = require("./routes/shareRoutes"); // Shared set view + cloning
+const memberRoutes = require("./routes/memberRoutes"); // Set members, roles + invitations
+const groupRoutes = require("./routes/groupRoutes"); // Study groups + assignments
+const analyticsRoutes = require("./routes/analyticsRoutes"); // Set analytics for authors
+const statsRoutes = require("./routes/statsRoutes"); // Personal learning stats
 
 
 const app = express();  // Create Express app
 
 app.use(cors());    // Enable CORS middleware
-app.use(express.json());  // Parse JSON bodies
+app.use(["/api/sets/import", "/api/sets/:setId/import"], express.json({ limit: "5mb" })); // Bulk imports send whole files
+app.use(express.json());  // Parse JSON bodies (default 100kb limit everywhere else)
 
 // ROUTES 
 
@@ -32,6 +42,30 @@ app.use("/api", flashcardRoutes);
 // NLP variations
 app.use("/api", variationRoutes);
 
+// Flashcard hints
+app.use("/api", hintRoutes);
+
+// Bulk flashcard import
+app.use("/api", importRoutes);
+
+// Set export
+app.use("/api", exportRoutes);
+
+// Set sharing and cloning
+app.use("/api", shareRoutes);
+
+// Set members and invitations
+app.use("/api", memberRoutes);
+
+// Study groups and assignments
+app.use("/api/groups", groupRoutes);
+
+// Set analytics (across all users who practised a set)
+app.use("/api", analyticsRoutes);
+
+// Personal learning stats
+app.use("/api/stats", statsRoutes);
+
 // Session routes
 app.use("/api", sessionRoutes);
 
@@ -44,6 +78,9 @@ app.use("/api", calibrationRoutes);
 // User profile routes
 app.use("/api/profile", profileRoutes);
 
+// Spaced repetition review queue
+app.use("/api/review", reviewRoutes);
+
 // End points for tests
 
 app.get("/", (req, res) => {
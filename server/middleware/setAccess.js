@@ -0,0 +1,170 @@
+// server/middleware/setAccess.js
+// Set membership roles: the set's creator (flashcard_set.user_id) is always an OWNER,
+// other users get OWNER / EDITOR / VIEWER through set_member.
+// Member OWNERs manage cards, editors and viewers; deleting the set and managing other owners is the creator's.
+// Members of a study group the set is assigned to can read it as VIEWER.
+const db = require("../db");
+
+// Promise wrapper for MySQL queries
+function query(sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.query(sql, params, (err, results) => {
+      if (err) return reject(err);
+      resolve(results);
+    });
+  });
+}
+
+const ROLES = ["VIEWER", "EDITOR", "OWNER"]; // Lowest -> highest
+
+/**
+ * True if role is at least minRole
+ */
+function hasRole(role, minRole) {
+  return ROLES.indexOf(role) >= 0 && ROLES.indexOf(role) >= ROLES.indexOf(minRole);
+}
+
+/**
+ * SQL condition: the set aliased as `alias` is visible to a user
+ * (creator, member, or student of a group it is assigned to).
+ * Bind its placeholders with ...accessParams(userId).
+ */
+function accessibleSetSql(alias = "s") {
+  return `(${alias}.user_id = ? OR EXISTS (
+    SELECT 1 FROM set_member sm WHERE sm.set_id = ${alias}.set_id AND sm.user_id = ?
+  ) OR EXISTS (
+    SELECT 1 FROM group_assignment ga
+    JOIN study_group_member gm ON gm.group_id = ga.group_id
+    WHERE ga.set_id = ${alias}.set_id AND gm.user_id = ?
+  ))`;
+}
+
+/**
+ * Params for one accessibleSetSql() condition
+ */
+function accessParams(userId) {
+  return [userId, userId, userId];
+}
+
+/**
+ * The user's role on a set, or null when they have no access
+ */
+async function getSetRole(setId, userId) {
+  const rows = await query(
+    `SELECT s.user_id, sm.role
+     FROM flashcard_set s
+     LEFT JOIN set_member sm ON sm.set_id = s.set_id AND sm.user_id = ?
+     WHERE s.set_id = ?`,
+    [userId, setId]
+  );
+  if (rows.length === 0) return null;
+  if (Number(rows[0].user_id) === Number(userId)) return "OWNER";
+  if (rows[0].role) return rows[0].role;
+
+  // Assigned to one of the user's study groups -> read-only access
+  const assigned = await query(
+    `SELECT 1
+     FROM group_assignment ga
+     JOIN study_group_member gm ON gm.group_id = ga.group_id
+     WHERE ga.set_id = ? AND gm.user_id = ?
+     LIMIT 1`,
+    [setId, userId]
+  );
+  return assigned.length > 0 ? "VIEWER" : null;
+}
+
+/**
+ * True if the user created the set (flashcard_set.user_id)
+ */
+async function isSetCreator(setId, userId) {
+  const rows = await query("SELECT user_id FROM flashcard_set WHERE set_id = ?", [setId]);
+  return rows.length > 0 && Number(rows[0].user_id) === Number(userId);
+}
+
+/**
+ * The user's role on the set a card belongs to: { setId, role } or null
+ */
+async function getCardRole(flashcardId, userId) {
+  const rows = await query("SELECT set_id FROM flashcard WHERE flashcard_id = ?", [flashcardId]);
+  if (rows.length === 0) return null;
+
+  const role = await getSetRole(rows[0].set_id, userId);
+  return role ? { setId: Number(rows[0].set_id), role } : null;
+}
+
+/**
+ * Route middleware: require at least minRole on req.params[param] (a set id).
+ * No access -> 404 (sets stay invisible), too low a role -> 403. Sets req.setRole.
+ */
+function requireSetRole(minRole, param = "setId") {
+  return async (req, res, next) => {
+    try {
+      const role = await getSetRole(req.params[param], req.user.userId);
+      if (!role) return res.status(404).json({ message: "Set not found" });
+      if (!hasRole(role, minRole)) {
+        return res.status(403).json({ message: `This action needs the ${minRole} role on the set` });
+      }
+      req.setRole = role;
+      next();
+    } catch (err) {
+      console.error("Set access error:", err);
+      res.status(500).json({ message: "Server error" });
+    }
+  };
+}
+
+/**
+ * Route middleware: only the set's creator (member OWNERs are not enough), e.g. to delete the set.
+ * No access -> 404, any other role -> 403. Sets req.setRole.
+ */
+function requireSetCreator(param = "setId") {
+  return async (req, res, next) => {
+    try {
+      const role = await getSetRole(req.params[param], req.user.userId);
+      if (!role) return res.status(404).json({ message: "Set not found" });
+      if (!(await isSetCreator(req.params[param], req.user.userId))) {
+        return res.status(403).json({ message: "Only the set's creator can do this" });
+      }
+      req.setRole = role;
+      next();
+    } catch (err) {
+      console.error("Set access error:", err);
+      res.status(500).json({ message: "Server error" });
+    }
+  };
+}
+
+/**
+ * Route middleware: require at least minRole on the set of card req.params[param].
+ * Sets req.setRole and req.cardSetId.
+ */
+function requireCardRole(minRole, param = "flashcardId") {
+  return async (req, res, next) => {
+    try {
+      const access = await getCardRole(req.params[param], req.user.userId);
+      if (!access) return res.status(404).json({ message: "Flashcard not found" });
+      if (!hasRole(access.role, minRole)) {
+        return res.status(403).json({ message: `This action needs the ${minRole} role on the set` });
+      }
+      req.setRole = access.role;
+      req.cardSetId = access.setId;
+      next();
+    } catch (err) {
+      console.error("Card access error:", err);
+      res.status(500).json({ message: "Server error" });
+    }
+  };
+}
+
+module.exports = {
+  ROLES,
+  hasRole,
+  accessibleSetSql,
+  accessParams,
+  getSetRole,
+  isSetCreator,
+  getCardRole,
+  requireSetRole,
+  requireSetCreator,
+  requireCardRole,
+};
@@ -0,0 +1,41 @@
+// server/practice/direction.js
+// Which side of a card is asked. FORWARD shows the question and asks for the answer,
+// REVERSE shows the answer and asks for the question, MIXED picks one per card (seeded, stable per session).
+// Recall stats are kept per asked direction (user_flashcard_stats.direction is FORWARD or REVERSE).
+const { mulberry32 } = require("./random");
+
+const DIRECTIONS = ["FORWARD", "REVERSE", "MIXED"];
+
+
+// Normalised direction setting, or null when the value is not one of DIRECTIONS
+function parseDirection(value) {
+  const direction = String(value || "").toUpperCase();
+  return DIRECTIONS.includes(direction) ? direction : null;
+}
+
+
+// Stats directions a setting covers (MIXED practises both)
+function statsDirections(direction) {
+  return direction === "MIXED" ? ["FORWARD", "REVERSE"] : [direction === "REVERSE" ? "REVERSE" : "FORWARD"];
+}
+
+
+// Direction a card is asked in for a session: FORWARD or REVERSE
+// MIXED: coin flip seeded by session seed + card, so retries and /answer agree with /next
+function cardDirection(direction, seed, flashcardId) {
+  if (direction === "REVERSE") return "REVERSE";
+  if (direction !== "MIXED") return "FORWARD";
+
+  const rng = mulberry32((Number(seed) || 0) + Number(flashcardId) * 7919);
+  return rng() < 0.5 ? "FORWARD" : "REVERSE";
+}
+
+
+// The card as asked: REVERSE swaps question and answer
+function orientCard(card, direction) {
+  if (direction !== "REVERSE") return { ...card, direction: "FORWARD" };
+  return { ...card, question: card.answer, answer: card.question, direction: "REVERSE" };
+}
+
+
+module.exports = { DIRECTIONS, parseDirection, statsDirections, cardDirection, orientCard };
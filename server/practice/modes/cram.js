@@ -0,0 +1,55 @@
+// server/practice/modes/cram.js
+// CRAM: no preview, straight to questions. A missed card comes back a few cards later
+// until it is answered correctly or max_retries repeats are used (always on, whatever retry_incorrect says).
+// State: { queue: [flashcard_id], total, correct }
+const { buildTestPrompt } = require("../prompts");
+const { retryAllowed, cardFor } = require("./shared");
+
+// How many other cards come before a missed card is asked again
+const REQUEUE_GAP = 3;
+
+module.exports = {
+  name: "CRAM",
+  defaultDisplayTime: 5,
+
+  init({ cardIds }) {
+    return { queue: [...cardIds], total: cardIds.length, correct: 0 };
+  },
+
+  phase() {
+    return "TEST";
+  },
+
+  isDone({ state }) {
+    return state.queue.length === 0;
+  },
+
+  // The front of the queue stays current until it is answered
+  current(state) {
+    if (state.queue.length === 0) return { error: "Session already finished (no current card)." };
+    return { flashcardId: Number(state.queue[0]) };
+  },
+
+  async next(ctx) {
+    const { state } = ctx;
+    const card = cardFor(ctx, state.queue[0]);
+    const prompt = await buildTestPrompt(ctx, card, { stepSeed: ctx.seed + state.queue.length + state.correct });
+
+    return {
+      phase: "TEST",
+      progress: { correct: state.correct, remaining: state.queue.length, total: state.total },
+      ...prompt,
+    };
+  },
+
+  answer(ctx, result) {
+    const { state } = ctx;
+    const requeued = retryAllowed(ctx.settings, result, true);
+
+    const id = state.queue.shift();
+    if (result.isCorrect) state.correct += 1;
+    if (requeued) state.queue.splice(Math.min(REQUEUE_GAP, state.queue.length), 0, id); // A few cards later
+
+    return { requeued };
+  },
+};
@@ -0,0 +1,70 @@
+// server/practice/modes/easy.js
+// EASY: each card is shown with its answer (PREVIEW), then asked straight away (TEST).
+// With retry_incorrect a missed card is appended to the end of the session.
+// State: { phase: 'PREVIEW'|'TEST', index, order: [flashcard_id] }
+const { previewSeconds, buildTestPrompt } = require("../prompts");
+const { modeError, retryAllowed, cardFor } = require("./shared");
+
+module.exports = {
+  name: "EASY",
+  defaultDisplayTime: 5, // Seconds per card when display_time_per_card is not given
+
+  init({ cardIds }) {
+    return { phase: "PREVIEW", index: 0, order: [...cardIds] };
+  },
+
+  phase(state) {
+    return state.phase;
+  },
+
+  isDone({ state }) {
+    return state.index >= state.order.length;
+  },
+
+  // Card currently open for an answer
+  current(state) {
+    if (state.index >= state.order.length) return { error: "Session already finished (no current card)." };
+    if (state.phase !== "TEST") return { error: "Not in test phase yet" };
+    return { flashcardId: Number(state.order[state.index]) };
+  },
+
+  async next(ctx) {
+    const { state } = ctx;
+    const card = cardFor(ctx, state.order[state.index]);
+    const progress = { current: state.index + 1, total: state.order.length };
+
+    // PREVIEW: show full answer, then flip to TEST
+    if (state.phase === "PREVIEW") {
+      const reveal = await previewSeconds(ctx, card, 15);
+      state.phase = "TEST";
+
+      return {
+        phase: "PREVIEW",
+        reveal_seconds: reveal.seconds,
+        timing_debug: reveal.debug,
+        progress,
+        flashcard_id: card.flashcard_id,
+        direction: card.direction, // Side asked in the test
+        question: card.question,
+        answer: card.answer, // full answer in preview
+      };
+    }
+
+    if (state.phase !== "TEST") throw modeError(500, "Invalid EASY phase state");
+
+    // TEST: question only, optionally blanks
+    const prompt = await buildTestPrompt(ctx, card, { stepSeed: ctx.seed + state.index });
+    return { phase: "TEST", progress, ...prompt };
+  },
+
+  answer(ctx, result) {
+    const { state } = ctx;
+    const requeued = retryAllowed(ctx.settings, result);
+
+    state.index += 1;
+    state.phase = "PREVIEW";
+    if (requeued) state.order.push(Number(result.flashcardId)); // Asked again at the end
+
+    return { requeued };
+  },
+};
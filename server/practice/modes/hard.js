@@ -0,0 +1,107 @@
+// server/practice/modes/hard.js
+// HARD: every card is previewed first, then the whole set is tested in a shuffled queue.
+// State: { phase: 'PREVIEW'|'TEST', preview: [flashcard_id], preview_index, queue: [flashcard_id], current }
+const { previewSeconds, buildTestPrompt } = require("../prompts");
+const { seededShuffle } = require("../random");
+const { modeError, cardFor } = require("./shared");
+
+module.exports = {
+  name: "HARD",
+  defaultDisplayTime: 10,
+
+  init({ cardIds }) {
+    return {
+      phase: "PREVIEW",
+      preview: [...cardIds].sort((a, b) => a - b), // Study in card order
+      preview_index: 0,
+      queue: [],
+      current: null, // Served TEST card waiting for an answer
+    };
+  },
+
+  phase(state) {
+    return state.phase;
+  },
+
+  // Finished once the test queue has been served
+  isDone({ state }) {
+    return state.phase === "TEST" && state.queue.length === 0 && state.current === null;
+  },
+
+  current(state) {
+    if (state.phase !== "TEST") return { error: "Cannot submit answers during HARD preview phase" };
+    if (state.current === null) return { error: "No card is waiting for an answer" };
+    return { flashcardId: Number(state.current) };
+  },
+
+  async next(ctx) {
+    const { state, settings, session } = ctx;
+    const total = state.preview.length;
+    const adaptive = {
+      adaptive_preview_time: !!settings.use_adaptive_preview_timing,
+      adaptive_answer_time: !!settings.use_adaptive_answer_timing,
+    };
+
+    // PREVIEW phase: show full answers for study (no answering)
+    if (state.phase === "PREVIEW") {
+      // If preview finished, move to TEST phase and create a shuffled queue
+      if (state.preview_index >= total) {
+        state.phase = "TEST";
+        state.queue = seededShuffle(state.preview, ctx.seed);
+        return {
+          phase: "TEST",
+          message: "Preview finished. Start test phase.",
+          call_next_again: true, // Frontend can immediately call /next again
+        };
+      }
+
+      const idx = state.preview_index;
+      const card = cardFor(ctx, state.preview[idx]);
+      const display = await previewSeconds(ctx, card, Number(session.display_time_per_card || 10));
+      state.preview_index += 1;
+
+      return {
+        phase: "PREVIEW",
+        display_time_per_card: display.seconds, // Reading time
+        answer_time_limit: Number(session.answer_time_limit || 120), // Answer time
+        ...adaptive,
+        timing_debug: display.debug,
+        progress: { index: idx + 1, total }, // Preview progress
+        flashcard_id: card.flashcard_id,
+        direction: card.direction, // Side asked in the test
+        question: card.question,
+        show_answer: true, // Tell frontend to show answer
+        answer: card.answer, // Full answer (study phase)
+      };
+    }
+
+    if (state.phase !== "TEST") throw modeError(500, "Invalid HARD phase state");
+
+    // TEST phase: an unanswered card is replaced by the next one in the queue
+    if (state.queue.length === 0) {
+      state.current = null; // Last card skipped: nothing left to serve
+      return { phase: "TEST", message: "Test finished.", call_next_again: true };
+    }
+
+    const nextId = state.queue.shift();
+    state.current = Number(nextId);
+
+    const card = cardFor(ctx, nextId);
+    const prompt = await buildTestPrompt(ctx, card, {
+      stepSeed: ctx.seed + state.queue.length, // Vary seed per step
+      withDisplayTime: true,
+    });
+
+    return {
+      phase: "TEST",
+      ...adaptive,
+      progress: { remaining: state.queue.length, total },
+      ...prompt,
+    };
+  },
+
+  answer(ctx) {
+    ctx.state.current = null;
+    return { requeued: false };
+  },
+};
@@ -0,0 +1,75 @@
+// server/practice/modes/index.js
+// Practice mode registry. Sessions keep their mode's state in practice_session.session_state_json,
+// so a new mode is a new module here, not new columns.
+//
+// A mode is an object with:
+//   name                      - value stored in practice_session.difficulty_mode
+//   defaultDisplayTime        - seconds per card when /start gets no display_time_per_card
+//   parseOptions(options)?    - validate /start's mode_options (throw err.status = 400), returns what init gets
+//   init({ cardIds, settings, seed, options }) -> initial state (cardIds in session order)
+//   next(ctx)                 - serve the next step; may change ctx.state; returns the /next payload
+//   current(state)            - { flashcardId, details? } open for an answer, or { error }
+//   accepting(state)?         - false once answers must be refused (e.g. SPRINT past its deadline)
+//   answer(ctx, result)       - record { flashcardId, isCorrect, attemptNumber }; returns { requeued }
+//   isDone(ctx)               - true once the session should complete
+//   phase(state)              - label for progress displays
+//   resume(state, pausedSeconds)? - shift clocks after a pause
+// ctx: { sessionId, userId, session, settings, state, cards, cardById, seed, promptType, nlpUrl }
+// cards / cardById are oriented for the session direction (practice/direction.js orientCard)
+const db = require("../../db");
+
+const MODES = [
+  require("./easy"),
+  require("./moderate"),
+  require("./hard"),
+  require("./cram"),
+  require("./sprint"),
+];
+
+const MODE_NAMES = MODES.map((m) => m.name);
+
+
+// Promise wrapper for MySQL queries
+function query(sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.query(sql, params, (err, results) => {
+      if (err) return reject(err);
+      resolve(results);
+    });
+  });
+}
+
+
+/**
+ * The mode registered under a difficulty_mode name (case-insensitive), or null
+ */
+function getMode(name) {
+  const key = String(name || "").toUpperCase();
+  return MODES.find((m) => m.name === key) || null;
+}
+
+
+/**
+ * Parsed session_state_json of a session row, or null
+ */
+function readState(session) {
+  try {
+    return session.session_state_json ? JSON.parse(session.session_state_json) : null;
+  } catch {
+    return null;
+  }
+}
+
+
+/**
+ * Persist a session's mode state
+ */
+async function writeState(sessionId, state) {
+  await query("UPDATE practice_session SET session_state_json = ? WHERE session_id = ?", [
+    JSON.stringify(state),
+    sessionId,
+  ]);
+}
+
+
+module.exports = { MODE_NAMES, getMode, readState, writeState };
@@ -0,0 +1,144 @@
+// server/practice/modes/moderate.js
+// MODERATE: cards go in groups of group_size. Each group is previewed, then tested.
+// With retry_incorrect, missed cards are asked again before the next group starts.
+// State: { phase: 'PREVIEW'|'TEST', group_size, group_index, preview_index, test_index, retry_queue, order }
+const { previewSeconds, buildTestPrompt } = require("../prompts");
+const { modeError, retryAllowed, cardFor } = require("./shared");
+
+// Group bounds (indices into state.order) for the current group
+function groupBounds(state) {
+  const start = state.group_index * state.group_size;
+  return { start, end: Math.min(start + state.group_size, state.order.length) };
+}
+
+module.exports = {
+  name: "MODERATE",
+  defaultDisplayTime: 10,
+
+  init({ cardIds, settings }) {
+    return {
+      phase: "PREVIEW",
+      group_size: Math.max(1, Number(settings.group_size) || 5),
+      group_index: 0,
+      preview_index: 0,
+      test_index: 0,
+      retry_queue: [],
+      order: [...cardIds],
+    };
+  },
+
+  phase(state) {
+    return state.phase;
+  },
+
+  isDone({ state }) {
+    return groupBounds(state).start >= state.order.length;
+  },
+
+  // Card currently open for an answer: the group's next card, then its missed cards
+  current(state) {
+    if (state.phase !== "TEST") return { error: "Cannot submit answers during MODERATE preview phase" };
+
+    const { start, end } = groupBounds(state);
+    const inRetry = start + state.test_index >= end;
+
+    if (inRetry && state.retry_queue.length === 0) {
+      return { error: "No current card to answer (session/group finished)." };
+    }
+
+    return {
+      flashcardId: Number(inRetry ? state.retry_queue[0] : state.order[start + state.test_index]),
+      details: {
+        phase: "TEST",
+        group: { index: state.group_index + 1, size: state.group_size },
+        progress: { answered_in_group: Math.min(state.test_index, end - start), group_total: end - start },
+      },
+    };
+  },
+
+  async next(ctx) {
+    const { state } = ctx;
+    const { start, end } = groupBounds(state);
+    const group = { index: state.group_index + 1, size: state.group_size };
+
+    // PREVIEW: show Q+A for each card in group, then switch to TEST
+    if (state.phase === "PREVIEW") {
+      const absoluteIndex = start + state.preview_index;
+
+      // Finished preview -> switch to TEST
+      if (absoluteIndex >= end) {
+        state.phase = "TEST";
+        state.test_index = 0;
+        return {
+          phase: "TEST",
+          message: "Group preview finished. Start answering this group.",
+          call_next_again: true,
+        };
+      }
+
+      const card = cardFor(ctx, state.order[absoluteIndex]);
+      const reveal = await previewSeconds(ctx, card, 15); // Calibration affects answer reveal
+      const previewIndex = state.preview_index;
+      state.preview_index += 1; // Advance preview cursor
+
+      return {
+        phase: "PREVIEW",
+        reveal_seconds: reveal.seconds,
+        timing_debug: reveal.debug,
+        group,
+        progress: { in_group: previewIndex + 1, group_total: end - start },
+        flashcard_id: card.flashcard_id,
+        direction: card.direction, // Side asked in the test
+        question: card.question,
+        answer: card.answer,
+      };
+    }
+
+    if (state.phase !== "TEST") throw modeError(500, "Invalid MODERATE phase state");
+
+    // TEST: show question only; must answer all in group (and its retries) before next group
+    const absoluteIndex = start + state.test_index;
+    const inRetry = absoluteIndex >= end; // Group's cards done, working through retries
+
+    // Finished test (and retries) -> next group preview
+    if (inRetry && state.retry_queue.length === 0) {
+      state.group_index += 1;
+      state.phase = "PREVIEW";
+      state.preview_index = 0;
+      state.test_index = 0;
+      return {
+        phase: "PREVIEW",
+        message: "Group completed. Moving to next group preview.",
+        call_next_again: true,
+      };
+    }
+
+    const card = cardFor(ctx, inRetry ? state.retry_queue[0] : state.order[absoluteIndex]);
+    const prompt = await buildTestPrompt(ctx, card, { stepSeed: ctx.seed + absoluteIndex });
+
+    return {
+      phase: "TEST",
+      group,
+      progress: {
+        answered_in_group: Math.min(state.test_index + 1, end - start),
+        group_total: end - start,
+        retry: inRetry, // Re-asking a card missed earlier in this group
+        retry_remaining: state.retry_queue.length,
+      },
+      ...prompt,
+    };
+  },
+
+  answer(ctx, result) {
+    const { state } = ctx;
+    const { start, end } = groupBounds(state);
+    const requeued = retryAllowed(ctx.settings, result);
+
+    if (start + state.test_index >= end) state.retry_queue.shift(); // Retried card leaves the front
+    else state.test_index += 1;
+
+    if (requeued) state.retry_queue.push(Number(result.flashcardId)); // Back of the queue
+
+    return { requeued };
+  },
+};
@@ -0,0 +1,30 @@
+// server/practice/modes/shared.js
+// Small helpers used by several practice modes
+
+
+// Error with an HTTP status (routes answer err.status with err.message)
+function modeError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+
+// Retry loop: a wrong answer is asked again while attempts stay within settings.max_retries repeats.
+// force: the mode always retries (ignores settings.retry_incorrect)
+function retryAllowed(settings, result, force = false) {
+  if (result.isCorrect) return false; // Nothing to retry
+  if (!force && !settings.retry_incorrect) return false; // Option off
+  return Number(result.attemptNumber) <= Number(settings.max_retries ?? 2); // Cap repeats
+}
+
+
+// The session's card for an id (throws when the stored state points at a card that is gone)
+function cardFor(ctx, id) {
+  const card = ctx.cardById.get(Number(id));
+  if (!card) throw modeError(500, "Invalid card in session state");
+  return card;
+}
+
+
+module.exports = { modeError, retryAllowed, cardFor };
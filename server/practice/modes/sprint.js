@@ -0,0 +1,103 @@
+// server/practice/modes/sprint.js
+// SPRINT: answer as many cards as possible within a fixed time budget (no preview).
+// The clock starts when the first card is served; pauses move the deadline back.
+// Missed cards go to the back of the deck; the sprint ends at the deadline or when every card is right.
+// Options: { time_budget_seconds } (30..3600, default 300)
+// State: { queue: [flashcard_id], total, budget_seconds, deadline_at, answered, correct }
+const { buildTestPrompt } = require("../prompts");
+const { modeError, cardFor } = require("./shared");
+
+const DEFAULT_BUDGET_SECONDS = 300;
+
+// Seconds left before the deadline (the full budget before the first card)
+function secondsLeft(state) {
+  if (!state.deadline_at) return state.budget_seconds;
+  return Math.max(0, (new Date(state.deadline_at).getTime() - Date.now()) / 1000);
+}
+
+module.exports = {
+  name: "SPRINT",
+  defaultDisplayTime: 5,
+
+  parseOptions(options) {
+    if (options.time_budget_seconds === undefined || options.time_budget_seconds === null) {
+      return { time_budget_seconds: DEFAULT_BUDGET_SECONDS };
+    }
+
+    const budget = Math.floor(Number(options.time_budget_seconds));
+    if (!Number.isFinite(budget) || budget < 30 || budget > 3600) {
+      throw modeError(400, "time_budget_seconds must be between 30 and 3600");
+    }
+    return { time_budget_seconds: budget };
+  },
+
+  init({ cardIds, options }) {
+    return {
+      queue: [...cardIds],
+      total: cardIds.length,
+      budget_seconds: options.time_budget_seconds,
+      deadline_at: null, // Set when the first card is served
+      answered: 0,
+      correct: 0,
+    };
+  },
+
+  phase() {
+    return "TEST";
+  },
+
+  isDone({ state }) {
+    return state.queue.length === 0 || (state.deadline_at !== null && secondsLeft(state) <= 0);
+  },
+
+  // No answers after the deadline (isDone only runs on /next)
+  accepting(state) {
+    return state.deadline_at === null || secondsLeft(state) > 0;
+  },
+
+  current(state) {
+    if (state.queue.length === 0) return { error: "Session already finished (no current card)." };
+    return { flashcardId: Number(state.queue[0]) };
+  },
+
+  async next(ctx) {
+    const { state } = ctx;
+
+    if (!state.deadline_at) {
+      state.deadline_at = new Date(Date.now() + state.budget_seconds * 1000).toISOString(); // Clock starts now
+    }
+
+    const left = secondsLeft(state);
+    const card = cardFor(ctx, state.queue[0]);
+    const prompt = await buildTestPrompt(ctx, card, {
+      stepSeed: ctx.seed + state.answered,
+      maxAnswerSeconds: left, // A card can never outlast the sprint
+    });
+
+    return {
+      phase: "TEST",
+      time_budget_seconds: state.budget_seconds,
+      time_remaining_seconds: Math.floor(left),
+      deadline_at: state.deadline_at,
+      progress: { answered: state.answered, correct: state.correct, remaining: state.queue.length, total: state.total },
+      ...prompt,
+    };
+  },
+
+  answer(ctx, result) {
+    const { state } = ctx;
+
+    const id = state.queue.shift();
+    state.answered += 1;
+    if (result.isCorrect) state.correct += 1;
+    else state.queue.push(id); // Missed: back of the deck
+
+    return { requeued: !result.isCorrect };
+  },
+
+  // Time spent paused does not count against the budget
+  resume(state, pausedSeconds) {
+    if (!state.deadline_at || pausedSeconds <= 0) return;
+    state.deadline_at = new Date(new Date(state.deadline_at).getTime() + pausedSeconds * 1000).toISOString();
+  },
+};
@@ -0,0 +1,280 @@
+// server/practice/prompts.js
+// Builds what /next shows for a card (preview timing, TEST prompt) and remembers the served prompt.
+// Shared by every practice mode so modes only decide WHICH card comes next.
+// Cards arrive oriented for the session (see direction.js): question/answer are the sides as asked.
+const axios = require("axios"); // Import axios (for calling NLP service)
+const db = require("../db"); // Import MySQL connection
+const { countWords, computeAdaptiveTimeSeconds, computeAdaptiveAnswerLimitSeconds } = require("./timing"); // Adaptive timing
+const { seededShuffle } = require("./random"); // Seeded option order
+const { normalizeForFullSentence } = require("../utils/grading"); // Compare answers
+
+
+// Promise wrapper for MySQL queries (so we can use async/await)
+function query(sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.query(sql, params, (err, results) => {
+      if (err) return reject(err); // Reject the promise if SQL fails
+      resolve(results); // Resolve with query results
+    });
+  });
+}
+
+
+// Safe JSON parse (stored prompts / state)
+function safeJsonParse(text, fallback) {
+  try {
+    return JSON.parse(text); // Parse JSON
+  } catch {
+    return fallback; // Return fallback if parsing fails
+  }
+}
+
+
+// Prompt types whose blanks are random (seeded per step)
+const RANDOM_PROMPT_TYPES = ["RANDOM_BLANKS", "RANDOM_FULL_BLANKS", "INCREASING_DIFFICULTY"];
+
+// MULTIPLE_CHOICE: wrong options shown next to the card's answer
+const CHOICE_DISTRACTORS = 3;
+
+
+// Remember the prompt served for the card being answered (NLP blanks are graded against it)
+// served_at marks when its answer timer started (resume shifts it forward by the paused time).
+// Re-serving the same unanswered card keeps the first served_at, so refreshing /next cannot reset the timer.
+async function saveCurrentPrompt(sessionId, prompt) {
+  let servedAt = prompt.served_at || null;
+  if (!servedAt) {
+    const rows = await query("SELECT current_prompt_json FROM practice_session WHERE session_id = ?", [sessionId]);
+    const previous = safeJsonParse(rows[0]?.current_prompt_json || "null", null);
+    if (previous && !previous.answered && previous.served_at && Number(previous.flashcard_id) === Number(prompt.flashcard_id)) {
+      servedAt = previous.served_at; // Same card still waiting: timer keeps running
+    }
+  }
+
+  const stamped = { ...prompt, served_at: servedAt || new Date().toISOString() }; // Timer start
+  await query(
+    "UPDATE practice_session SET current_prompt_json = ? WHERE session_id = ?",
+    [JSON.stringify(stamped), sessionId]
+  );
+}
+
+
+// Blank positions for the client (never includes the hidden tokens)
+function publicBlanks(blanks) {
+  return (Array.isArray(blanks) ? blanks : []).map((b) => ({
+    index: b.index,
+    start: b.start,
+    length: b.length,
+  }));
+}
+
+
+// Ask the NLP service for the session's prompt variation of a card's answer
+// stepSeed varies random blanks per step while staying reproducible
+async function generateVariation(ctx, card, stepSeed) {
+  const { sessionId, userId, settings, promptType } = ctx;
+  const payload = { text: card.answer, variation_type: promptType }; // NLP request payload
+
+  // Add randomness controls for random-based variations
+  if (RANDOM_PROMPT_TYPES.includes(promptType)) {
+    if (settings.blank_ratio !== null && settings.blank_ratio !== undefined) payload.blank_ratio = Number(settings.blank_ratio); // Add blank ratio
+    payload.seed = stepSeed; // Stable per step
+  }
+
+  // Increasing difficulty can use attempt_number (per card in session)
+  if (promptType === "INCREASING_DIFFICULTY") {
+    const attemptRows = await query(
+      "SELECT COUNT(*) AS c FROM performance_result WHERE session_id = ? AND flashcard_id = ?", // Count attempts
+      [sessionId, card.flashcard_id] // Params
+    );
+    payload.attempt_number = Number(attemptRows[0]?.c || 0) + 1; // Next attempt number
+  }
+
+  // Difficulty-level blanks uses per-user difficulty stats to set difficulty_level 1-4
+  if (promptType === "DIFFICULTY_LEVEL_BLANKS") {
+    const stats = await query(
+      "SELECT COALESCE(difficulty_rating, 0) AS difficulty_rating FROM user_flashcard_stats WHERE user_id = ? AND flashcard_id = ? AND direction = ?", // Get rating
+      [userId, card.flashcard_id, card.direction || "FORWARD"] // Params
+    );
+
+    const rating = Math.max(0, Math.min(100, Number(stats[0]?.difficulty_rating ?? 0))); // Clamp 0..100
+
+    let difficulty_level = 1; // Default level
+    if (rating > 75) difficulty_level = 4; // Level 4
+    else if (rating > 50) difficulty_level = 3; // Level 3
+    else if (rating > 25) difficulty_level = 2; // Level 2
+
+    payload.difficulty_level = difficulty_level; // Add to NLP payload
+  }
+
+  const axRes = await axios.post(`${ctx.nlpUrl}/generate`, payload); // Call NLP service
+  return axRes.data || {};
+}
+
+
+// Options for a MULTIPLE_CHOICE prompt: the card's answer plus distractors, in seeded order.
+// Distractors are other answers from the card's set (closest in length first; other questions
+// when the card is asked in REVERSE); when the set is too small, the NLP service picks terms
+// of the same entity type / part of speech from it.
+// Returns { options, correct_option, distractor_source } or null when no distractor could be found.
+async function buildChoices(ctx, card, stepSeed) {
+  const rows = await query(
+    `SELECT other.question, other.answer
+     FROM flashcard f
+     JOIN flashcard other ON other.set_id = f.set_id AND other.flashcard_id <> f.flashcard_id
+     WHERE f.flashcard_id = ?`,
+    [card.flashcard_id]
+  );
+
+  // Drop blanks, duplicates and anything that reads the same as the answer
+  const seen = new Set([normalizeForFullSentence(card.answer)]);
+  const distinct = (texts) =>
+    texts.filter((text) => {
+      const key = normalizeForFullSentence(text);
+      if (!key || seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+
+  const answerWords = countWords(card.answer);
+  const sameSide = rows.map((r) => String(card.direction === "REVERSE" ? r.question : r.answer)); // What the user recalls
+  const byLength = seededShuffle(sameSide, stepSeed) // Ties stay in seeded order
+    .sort((a, b) => Math.abs(countWords(a) - answerWords) - Math.abs(countWords(b) - answerWords));
+
+  let distractors = distinct(byLength).slice(0, CHOICE_DISTRACTORS);
+  let source = "SET_ANSWERS";
+
+  if (distractors.length < CHOICE_DISTRACTORS && rows.length > 0) {
+    try {
+      const axRes = await axios.post(`${ctx.nlpUrl}/distractors`, {
+        text: card.answer,
+        pool: rows.flatMap((r) => [r.question, r.answer]), // Terms come from the same set
+        count: CHOICE_DISTRACTORS,
+        seed: stepSeed,
+      });
+      const terms = distinct(Array.isArray(axRes.data?.distractors) ? axRes.data.distractors.map(String) : []);
+      if (terms.length > 0) source = distractors.length > 0 ? "SET_ANSWERS+NLP" : "NLP";
+      distractors = [...distractors, ...terms].slice(0, CHOICE_DISTRACTORS);
+    } catch (e) {
+      // NLP unavailable: use whatever the set gave us
+      console.error("Distractor generation failed:", e.message);
+    }
+  }
+
+  if (distractors.length === 0) return null; // Nothing to choose between
+
+  const options = seededShuffle([card.answer, ...distractors], stepSeed); // Stable per step
+  return { options, correct_option: options.indexOf(card.answer), distractor_source: source };
+}
+
+
+// Seconds to show a card with its answer (adaptive preview timing when enabled)
+// Returns { seconds, debug }
+async function previewSeconds(ctx, card, defaultSeconds) {
+  if (!ctx.settings.use_adaptive_preview_timing) return { seconds: defaultSeconds, debug: null };
+
+  const timing = await computeAdaptiveTimeSeconds({
+    userId: ctx.userId,
+    flashcardId: card.flashcard_id,
+    setId: card.set_id,
+    direction: card.direction,
+    textForTiming: `${card.question} ${card.answer}`, // Full text is read in preview
+    readingSpeedModifier: ctx.settings.reading_speed_modifier,
+  });
+  return { seconds: timing.seconds, debug: timing.debug };
+}
+
+
+// Build and remember the TEST prompt for a card.
+// options.stepSeed: NLP seed for this step
+// options.withDisplayTime: also return display_time_per_card + timing_debug (HARD)
+// options.maxAnswerSeconds: cap on the answer time limit (e.g. what is left of a time budget)
+async function buildTestPrompt(ctx, card, { stepSeed, withDisplayTime = false, maxAnswerSeconds = null } = {}) {
+  const { session, settings, promptType } = ctx;
+
+  // MULTIPLE_CHOICE falls back to a hidden answer when no distractor can be found
+  const choices = promptType === "MULTIPLE_CHOICE" ? await buildChoices(ctx, card, stepSeed) : null;
+  const variation = ["NORMAL_HIDDEN", "MULTIPLE_CHOICE"].includes(promptType) ? null : await generateVariation(ctx, card, stepSeed);
+  const blankedText = variation ? variation.blanked_text || null : null;
+  const servedType = choices ? "MULTIPLE_CHOICE" : variation ? promptType : "NORMAL_HIDDEN";
+
+  let displayTimeToSend = Number(session.display_time_per_card || 10); // Reading time
+  let timingDebug = null;
+
+  // BASE answer limit from session
+  let answerTimeLimitToSend = Number(session.answer_time_limit || 120);
+  let answerTimingDebug = null;
+
+  if (settings.use_adaptive_answer_timing) {
+    if (withDisplayTime) {
+      // Reading time (question, or the blanked text the user reads)
+      const timing = await computeAdaptiveTimeSeconds({
+        userId: ctx.userId,
+        flashcardId: card.flashcard_id,
+        setId: card.set_id,
+        direction: card.direction,
+        textForTiming: variation ? blankedText || card.answer : card.question,
+        readingSpeedModifier: settings.reading_speed_modifier,
+      });
+      displayTimeToSend = timing.seconds;
+      timingDebug = timing.debug;
+    }
+
+    // Answer time (depends on question + answer or blanked text + blanks count + difficulty)
+    const at = await computeAdaptiveAnswerLimitSeconds({
+      userId: ctx.userId,
+      flashcardId: card.flashcard_id,
+      setId: card.set_id,
+      direction: card.direction,
+      questionText: card.question,
+      answerText: card.answer,
+      blankedText,
+      baseAnswerLimitSeconds: answerTimeLimitToSend,
+      readingSpeedModifier: settings.reading_speed_modifier,
+    });
+    answerTimeLimitToSend = at.seconds;
+    answerTimingDebug = at.debug;
+  }
+
+  if (maxAnswerSeconds !== null && maxAnswerSeconds !== undefined) {
+    answerTimeLimitToSend = Math.max(1, Math.min(answerTimeLimitToSend, Math.ceil(maxAnswerSeconds))); // Never past the cap
+  }
+
+  // Remember the hidden tokens / correct option (so /answer can grade them) and the limit /answer enforces
+  await saveCurrentPrompt(ctx.sessionId, {
+    flashcard_id: card.flashcard_id,
+    direction: card.direction || "FORWARD",
+    prompt_type: servedType,
+    ...(variation ? { blanked_text: blankedText } : {}),
+    ...(choices ? { options: choices.options, correct_option: choices.correct_option } : {}),
+    blanks: variation && Array.isArray(variation.blanks) ? variation.blanks : [],
+    answer_time_limit: answerTimeLimitToSend,
+  });
+
+  return {
+    ...(withDisplayTime ? { display_time_per_card: displayTimeToSend, timing_debug: timingDebug } : {}),
+    flashcard_id: card.flashcard_id,
+    direction: card.direction || "FORWARD", // REVERSE: question shows the card's answer
+    question: card.question,
+    answer_time_limit: answerTimeLimitToSend,
+    answer_timing_debug: answerTimingDebug,
+    prompt_type: servedType,
+    ...(choices ? { options: choices.options, distractor_source: choices.distractor_source } : {}), // Correct option stays server-side
+    ...(variation
+      ? {
+          blanked_text: variation.blanked_text,
+          first_letter_clues: variation.first_letter_clues,
+          blanks: publicBlanks(variation.blanks), // Blank positions (hidden tokens stay server-side)
+        }
+      : {}),
+  };
+}
+
+
+module.exports = {
+  saveCurrentPrompt,
+  publicBlanks,
+  generateVariation,
+  buildChoices,
+  previewSeconds,
+  buildTestPrompt,
+};
@@ -0,0 +1,29 @@
+// server/practice/random.js
+// Seeded randomness so a session's order (and generated prompts) stay stable across requests
+
+// Deterministic PRNG (seeded randomness)
+function mulberry32(seed) {
+  let a = seed >>> 0; // Force unsigned 32-bit
+  return function () {
+    a |= 0; // Force int32
+    a = (a + 0x6D2B79F5) | 0; // Advance seed
+    let t = Math.imul(a ^ (a >>> 15), 1 | a); // Mix bits
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t; // Mix bits more
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296; // Return [0,1)
+  };
+}
+
+
+// Seeded shuffle for stable random ordering per session
+function seededShuffle(arr, seed) {
+  const rng = mulberry32(seed); // Create RNG from seed
+  const a = [...arr]; // Clone array so we don’t mutate original
+  for (let i = a.length - 1; i > 0; i--) {
+    const j = Math.floor(rng() * (i + 1)); // Pick swap index
+    [a[i], a[j]] = [a[j], a[i]]; // Swap elements
+  }
+  return a; // Return shuffled array
+}
+
+
+module.exports = { mulberry32, seededShuffle };
@@ -0,0 +1,162 @@
+// server/practice/readingSpeed.js
+// Online reading-speed estimate from real practice timings.
+// Each server-timed, correct, hint-free answer is one sample: words read / (seconds taken - typing time).
+// Outliers are dropped (median absolute deviation), the session's median sample is blended into the
+// calibration adaptive timing reads (the set's own one when it exists, else the general one),
+// and every update is logged in user_calibration_history with source 'PRACTICE'.
+const db = require("../db"); // Import MySQL connection
+const { clamp, countWords } = require("./timing"); // Timing helpers
+
+
+// Promise wrapper for MySQL queries (so we can use async/await)
+function query(sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.query(sql, params, (err, results) => {
+      if (err) return reject(err); // Reject the promise if SQL fails
+      resolve(results); // Resolve with query results
+    });
+  });
+}
+
+
+const DEFAULT_WPS = 2.5; // Reading speed before any calibration
+const TYPING_CHARS_PER_SECOND = 4; // Allowance for typing the answer (~50 wpm)
+const MIN_READING_SECONDS = 1; // Shorter samples are timer noise
+const SAMPLE_WPS_RANGE = [0.3, 12]; // Anything outside is not reading (skipped, guessed, pasted)
+const MAD_CUTOFF = 3; // Samples further than this many (scaled) MADs from the median are outliers
+const MIN_SAMPLES = 5; // Kept samples needed before a session may move the estimate
+const MAX_BLEND = 0.3; // Most a single session can move the estimate
+
+
+// Median of a non-empty list of numbers
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+
+// Drop samples far from the median (robust to a few distracted or rushed answers)
+// Returns { kept, rejected }
+function rejectOutliers(samples) {
+  const inRange = samples.filter((s) => s.wps >= SAMPLE_WPS_RANGE[0] && s.wps <= SAMPLE_WPS_RANGE[1]);
+  if (inRange.length < 3) return { kept: inRange, rejected: samples.length - inRange.length };
+
+  const m = median(inRange.map((s) => s.wps));
+  const mad = median(inRange.map((s) => Math.abs(s.wps - m))) * 1.4826; // Scaled to a std deviation
+  const kept = mad > 0 ? inRange.filter((s) => Math.abs(s.wps - m) <= MAD_CUTOFF * mad) : inRange;
+
+  return { kept, rejected: samples.length - kept.length };
+}
+
+
+// Reading samples from a session's answers
+// Words read: the side asked (question, or answer in REVERSE), plus the hidden-word text for blank prompts
+async function sessionSamples(sessionId) {
+  const rows = await query(
+    `SELECT pr.time_taken, pr.user_answer, pr.direction, f.question, f.answer, pst.prompt_type
+     FROM performance_result pr
+     JOIN flashcard f ON f.flashcard_id = pr.flashcard_id
+     LEFT JOIN practice_settings pst ON pst.session_id = pr.session_id
+     WHERE pr.session_id = ?
+       AND pr.served_at IS NOT NULL
+       AND pr.result_status = 'ANSWERED'
+       AND pr.is_correct = 1
+       AND pr.hints_used = 0
+       AND COALESCE(pr.grading_method, '') NOT IN ('CHOICE', 'TIMEOUT')`,
+    [sessionId]
+  );
+
+  const samples = [];
+  for (const r of rows) {
+    const reverse = r.direction === "REVERSE";
+    const shown = reverse ? r.answer : r.question; // Side the user read
+    const recalled = reverse ? r.question : r.answer; // Side the user produced
+    const blanks = !["NORMAL_HIDDEN", "MULTIPLE_CHOICE", null].includes(r.prompt_type); // Blanked text is read too
+
+    const words = countWords(shown) + (blanks ? countWords(recalled) : 0);
+    const readingSeconds = Number(r.time_taken || 0) - String(r.user_answer || "").length / TYPING_CHARS_PER_SECOND;
+    if (words === 0 || readingSeconds < MIN_READING_SECONDS) continue;
+
+    samples.push({ words, seconds: readingSeconds, wps: words / readingSeconds });
+  }
+  return samples;
+}
+
+
+/**
+ * Blend a finished session's reading samples into the user's reading speed.
+ * Returns null when the session has too few usable samples, else
+ * { set_id, previous_wps, session_wps, words_per_second, samples, rejected }.
+ */
+async function updateReadingSpeedFromSession(sessionId, userId) {
+  const sessionRows = await query("SELECT set_id FROM practice_session WHERE session_id = ? AND user_id = ?", [
+    sessionId,
+    userId,
+  ]);
+  if (sessionRows.length === 0) return null;
+
+  const samples = await sessionSamples(sessionId);
+  const { kept, rejected } = rejectOutliers(samples);
+  if (kept.length < MIN_SAMPLES) return null;
+
+  // The calibration adaptive timing reads for this session's cards
+  const setId = sessionRows[0].set_id;
+  const setRows = setId
+    ? await query("SELECT words_per_second FROM user_set_calibration WHERE user_id = ? AND set_id = ?", [userId, setId])
+    : [];
+  const target = setRows.length ? setId : null;
+
+  let previous = DEFAULT_WPS;
+  if (target) {
+    previous = Number(setRows[0].words_per_second);
+  } else {
+    const rows = await query("SELECT words_per_second FROM user_calibration WHERE user_id = ?", [userId]);
+    if (rows.length) previous = Number(rows[0].words_per_second);
+  }
+  if (!Number.isFinite(previous) || previous <= 0) previous = DEFAULT_WPS;
+
+  // More samples -> more weight, never more than MAX_BLEND per session
+  const sessionWps = median(kept.map((s) => s.wps));
+  const blend = Math.min(MAX_BLEND, kept.length / (kept.length + 20));
+  const updated = clamp(previous * (1 - blend) + sessionWps * blend, 1.0, 6.0);
+
+  if (target) {
+    await query(
+      "UPDATE user_set_calibration SET words_per_second = ?, calibrated_at = NOW() WHERE user_id = ? AND set_id = ?",
+      [updated, userId, target]
+    );
+  } else {
+    await query(
+      `INSERT INTO user_calibration (user_id, words_per_second, calibrated_at)
+       VALUES (?, ?, NOW())
+       ON DUPLICATE KEY UPDATE
+         words_per_second = VALUES(words_per_second),
+         calibrated_at = NOW()`,
+      [userId, updated]
+    );
+  }
+
+  const totalWords = kept.reduce((sum, s) => sum + s.words, 0);
+  const totalSeconds = kept.reduce((sum, s) => sum + s.seconds, 0);
+
+  await query(
+    `INSERT INTO user_calibration_history
+       (user_id, set_id, source, session_id, words_per_second, raw_words_per_second,
+        total_words, total_seconds, sample_count, rejected_count)
+     VALUES (?, ?, 'PRACTICE', ?, ?, ?, ?, ?, ?, ?)`,
+    [userId, target, sessionId, updated, sessionWps, totalWords, totalSeconds, kept.length, rejected]
+  );
+
+  return {
+    set_id: target,
+    previous_wps: Number(previous.toFixed(2)),
+    session_wps: Number(sessionWps.toFixed(2)),
+    words_per_second: Number(updated.toFixed(2)),
+    samples: kept.length,
+    rejected,
+  };
+}
+
+
+module.exports = { median, rejectOutliers, updateReadingSpeedFromSession };
@@ -0,0 +1,182 @@
+// server/practice/timing.js
+// Adaptive preview / answer timing from the user's calibrated reading speed and per-card difficulty
+const db = require("../db"); // Import MySQL connection
+
+
+// Promise wrapper for MySQL queries (so we can use async/await)
+function query(sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.query(sql, params, (err, results) => {
+      if (err) return reject(err); // Reject the promise if SQL fails
+      resolve(results); // Resolve with query results
+    });
+  });
+}
+
+// Clamp helper to keep numbers in a safe range
+function clamp(n, min, max) { // Define clamp function
+  return Math.max(min, Math.min(max, n)); // Return clamped value
+}
+
+// Count words in a string (simple)
+function countWords(text) { // Define word counter
+  const s = String(text || "").trim(); // Convert to string and trim
+  if (!s) return 0; // If empty string, return 0
+  return s.split(/\s+/).filter(Boolean).length; // Split on whitespace and count
+}
+
+// Get user's calibrated words_per_second (the set's own calibration first, fallback to default)
+async function getUserWordsPerSecond(userId, setId = null) { // Define calibration fetch
+  const rows = await query( // Query DB
+    `SELECT words_per_second, 0 AS priority FROM user_set_calibration WHERE user_id = ? AND set_id = ?
+     UNION ALL
+     SELECT words_per_second, 1 AS priority FROM user_calibration WHERE user_id = ?
+     ORDER BY priority ASC`, // Set calibration, then general
+    [userId, setId, userId] // Params
+  );
+
+  if (rows.length === 0) return 2.5; // Default reading speed if not calibrated
+  const wps = Number(rows[0].words_per_second); // Convert to number
+  if (!Number.isFinite(wps) || wps <= 0) return 2.5; // Safety fallback
+  return clamp(wps, 1.0, 6.0); // Clamp to sensible range
+}
+
+// Get per-user difficulty rating for a flashcard in one direction (fallback 50)
+async function getUserDifficultyRating(userId, flashcardId, direction = "FORWARD") { // Define difficulty fetch
+  const rows = await query( // Query DB
+    "SELECT difficulty_rating FROM user_flashcard_stats WHERE user_id = ? AND flashcard_id = ? AND direction = ?", // Select rating
+    [userId, flashcardId, direction] // Params
+  );
+
+  if (rows.length === 0) return 50; // Default difficulty if no stats
+  const rating = Number(rows[0].difficulty_rating); // Convert to number
+  if (!Number.isFinite(rating)) return 50; // Safety fallback
+  return clamp(rating, 0, 100); // Clamp 0..100
+}
+
+// Compute adaptive time (seconds) using reading speed + difficulty + modifier
+async function computeAdaptiveTimeSeconds({ // Define adaptive timing calculator
+  userId, // User id
+  flashcardId, // Flashcard id
+  setId, // Set of the card (per-set calibration)
+  direction, // Side asked (FORWARD/REVERSE)
+  textForTiming, // Text whose length determines timing
+  readingSpeedModifier, // User preference multiplier
+}) {
+  const wps = await getUserWordsPerSecond(userId, setId); // Fetch words per second
+  const rating = await getUserDifficultyRating(userId, flashcardId, direction); // Fetch difficulty rating
+
+  const wordCount = Math.max(1, countWords(textForTiming)); // Count words (min 1)
+
+  const baseSeconds = wordCount / wps; // Base time from reading speed
+
+  const difficultyMultiplier = 0.9 + (rating / 100) * 0.7; // 0.9 (easy) -> 1.6 (hard)
+
+  const modifier = Number(readingSpeedModifier || 1.0); // Convert modifier to number
+  const safeModifier = Number.isFinite(modifier) ? clamp(modifier, 0.5, 2.0) : 1.0; // Clamp modifier
+
+  const raw = baseSeconds * difficultyMultiplier * safeModifier; // Compute raw time
+
+  const seconds = clamp(raw, 3, 20); // Clamp final time to 3..20 seconds
+
+  return { // Return both final seconds and debug info
+    seconds: Number(seconds.toFixed(2)), // Rounded seconds
+    debug: { // Debug info object
+      word_count: wordCount, // Words in text
+      words_per_second: Number(wps.toFixed(2)), // Calibrated speed
+      difficulty_rating: rating, // Rating 0..100
+      difficulty_multiplier: Number(difficultyMultiplier.toFixed(2)), // Multiplier
+      reading_speed_modifier: Number(safeModifier.toFixed(2)), // Modifier
+      base_seconds: Number(baseSeconds.toFixed(2)), // Base time
+      raw_seconds: Number(raw.toFixed(2)), // Raw time before clamp
+      final_seconds: Number(seconds.toFixed(2)), // Final time
+    },
+  };
+}
+
+// Count "blanks" in blanked_text (underscore runs like ____ or r________)
+function countBlanks(blankedText) {
+  const s = String(blankedText || "");
+  if (!s) return 0;
+  const matches = s.match(/_{2,}/g); // runs of 2+ underscores
+  return matches ? matches.length : 0;
+}
+
+// Adaptive ANSWER time (seconds) based on:
+// - user reading speed (wps)
+// - per-user difficulty_rating (0..100)
+// - question + (answer OR blanked_text) word count
+// - number of blanks
+async function computeAdaptiveAnswerLimitSeconds({
+  userId,
+  flashcardId,
+  setId,                     // set of the card (per-set calibration)
+  direction,                 // side asked (FORWARD/REVERSE)
+  questionText,
+  answerText,
+  blankedText,               // optional (if blanks mode)
+  baseAnswerLimitSeconds,    // session.answer_time_limit (e.g. 120)
+  readingSpeedModifier,      // settings.reading_speed_modifier
+}) {
+  const wps = await getUserWordsPerSecond(userId, setId);
+  const rating = await getUserDifficultyRating(userId, flashcardId, direction);
+
+  const qWords = countWords(questionText);
+  const aWords = countWords(answerText);
+  const bWords = countWords(blankedText);
+
+  // If blanks exist, user reads question + blanked text; else question + answer
+  const totalWordsToProcess = blankedText ? (qWords + bWords) : (qWords + aWords);
+
+  const blanks = countBlanks(blankedText);
+
+  const baseLimit = Number(baseAnswerLimitSeconds || 120);
+  const safeBase = Number.isFinite(baseLimit) ? clamp(baseLimit, 30, 300) : 120;
+
+  const modifier = Number(readingSpeedModifier || 1.0);
+  const safeModifier = Number.isFinite(modifier) ? clamp(modifier, 0.5, 2.0) : 1.0;
+
+  // Model:
+  // - reading/thinking time depends on words and wps
+  // - difficulty scales it up
+  // - blanks add fixed overhead
+  const readingThinkingSeconds = (Math.max(1, totalWordsToProcess) / wps) * 2.0;
+  const difficultyMultiplier = 1.0 + (rating / 100) * 0.8; // 1.0..1.8
+  const blanksPenalty = blanks * 1.5; // seconds per blank
+
+  const raw =
+    (safeBase * 0.6) +
+    (readingThinkingSeconds * difficultyMultiplier * 4) +
+    blanksPenalty;
+
+  const finalSeconds = clamp(raw * safeModifier, 30, 300);
+
+  return {
+    seconds: Math.round(finalSeconds),
+    debug: {
+      words_per_second: Number(wps.toFixed(2)),
+      difficulty_rating: rating,
+      question_words: qWords,
+      answer_words: aWords,
+      blanked_words: bWords,
+      total_words_used: totalWordsToProcess,
+      blanks_count: blanks,
+      base_answer_limit: safeBase,
+      difficulty_multiplier: Number(difficultyMultiplier.toFixed(2)),
+      reading_speed_modifier: Number(safeModifier.toFixed(2)),
+      raw_seconds: Number(raw.toFixed(2)),
+      final_seconds: Math.round(finalSeconds),
+    },
+  };
+}
+
+
+module.exports = {
+  clamp,
+  countWords,
+  countBlanks,
+  getUserWordsPerSecond,
+  getUserDifficultyRating,
+  computeAdaptiveTimeSeconds,
+  computeAdaptiveAnswerLimitSeconds,
+};
@@ -0,0 +1,266 @@
+// server/routes/analyticsRoutes.js
+const express = require("express");
+const db = require("../db");
+const { requireAuth } = require("../middleware/auth");
+const { requireSetRole, requireCardRole } = require("../middleware/setAccess");
+const { normalizeForFullSentence } = require("../utils/grading");
+
+const router = express.Router();
+
+/**
+ * Promise wrapper for db.query (mysql/mysql2 callback style)
+ */
+function query(sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.query(sql, params, (err, results) => {
+      if (err) return reject(err);
+      resolve(results);
+    });
+  });
+}
+
+// Buckets for user_flashcard_stats.difficulty_rating (0..100)
+const DIFFICULTY_BUCKETS = [
+  { label: "0-25", min: 0, max: 25 },
+  { label: "25-50", min: 25, max: 50 },
+  { label: "50-75", min: 50, max: 75 },
+  { label: "75-100", min: 75, max: 100.01 },
+];
+
+// Wrong answers scoring at least this much were "nearly right" (often a wording problem)
+const NEAR_MISS_SCORE = 0.5;
+
+/**
+ * Helper: optional ?since_days=N filter on practice_session.started_at.
+ * Returns { sql, params }
+ */
+function sinceFilter(req) {
+  const days = Number(req.query.since_days);
+  if (!Number.isFinite(days) || days <= 0) return { sql: "", params: [] };
+  return {
+    sql: "AND ps.started_at >= DATE_SUB(NOW(), INTERVAL ? DAY)",
+    params: [Math.floor(days)],
+  };
+}
+
+/**
+ * Helper: SQL CASE that maps a difficulty_rating column to its bucket label
+ */
+function bucketCase(column) {
+  const whens = DIFFICULTY_BUCKETS.map(
+    (b) => `WHEN ${column} >= ${b.min} AND ${column} < ${b.max} THEN '${b.label}'`
+  ).join(" ");
+  return `CASE ${whens} ELSE '${DIFFICULTY_BUCKETS[DIFFICULTY_BUCKETS.length - 1].label}' END`;
+}
+
+/**
+ * Helper: empty { label: 0 } distribution
+ */
+function emptyDistribution() {
+  return Object.fromEntries(DIFFICULTY_BUCKETS.map((b) => [b.label, 0]));
+}
+
+/**
+ * Helper: merge wrong-answer rows that only differ by case / punctuation / spacing.
+ * rows: [{ user_answer, n, score_sum }] -> [{ answer, count, avg_score }] most common first
+ */
+function mergeWrongAnswers(rows, limit) {
+  const merged = new Map();
+  for (const r of rows) {
+    const key = normalizeForFullSentence(r.user_answer);
+    if (!key) continue;
+    const entry = merged.get(key) || { answer: String(r.user_answer).trim(), count: 0, score_sum: 0 };
+    entry.count += Number(r.n || 0);
+    entry.score_sum += Number(r.score_sum || 0);
+    merged.set(key, entry);
+  }
+  return [...merged.values()]
+    .sort((a, b) => b.count - a.count)
+    .slice(0, limit)
+    .map(({ score_sum, ...w }) => ({ ...w, avg_score: w.count > 0 ? Number((score_sum / w.count).toFixed(3)) : null }));
+}
+
+/**
+ * GET /api/sets/:setId/analytics
+ * Query: since_days? (only sessions started in the last N days), wrong_answers? (per card, 0..10, default 3)
+ * Aggregates across every user who practised the set (EDITOR or OWNER only):
+ * - per card: attempts, distinct users, error rate, near-miss rate, mean time_taken,
+ *   difficulty_rating distribution and the most common wrong answers
+ * - set totals and the overall difficulty distribution
+ * Attempts are read per card through idx_result_flashcard_id.
+ */
+router.get("/sets/:setId/analytics", requireAuth, requireSetRole("EDITOR"), async (req, res) => {
+  const setId = Number(req.params.setId);
+  const wrongLimit = Math.max(0, Math.min(10, Number(req.query.wrong_answers ?? 3) || 0));
+  const since = sinceFilter(req);
+
+  try {
+    const cards = await query(
+      "SELECT flashcard_id, question, answer FROM flashcard WHERE set_id = ? ORDER BY flashcard_id ASC",
+      [setId]
+    );
+
+    // Attempt aggregates per card
+    const attemptRows = await query(
+      `SELECT f.flashcard_id,
+              COUNT(pr.result_id) AS attempts,
+              COUNT(DISTINCT ps.user_id) AS users,
+              SUM(pr.is_correct = 0) AS wrong_attempts,
+              SUM(pr.is_correct = 0 AND pr.score >= ?) AS near_misses,
+              AVG(COALESCE(pr.score, pr.is_correct)) AS avg_score,
+              AVG(pr.time_taken) AS avg_time_taken,
+              SUM(pr.hints_used > 0) AS hinted_attempts
+       FROM flashcard f
+       JOIN performance_result pr ON pr.flashcard_id = f.flashcard_id
+       JOIN practice_session ps ON ps.session_id = pr.session_id
+       WHERE f.set_id = ? ${since.sql}
+       GROUP BY f.flashcard_id`,
+      [NEAR_MISS_SCORE, setId, ...since.params]
+    );
+    const attemptMap = new Map(attemptRows.map((r) => [Number(r.flashcard_id), r]));
+
+    // difficulty_rating distribution per card (every user with stats on the card, question -> answer only)
+    const difficultyRows = await query(
+      `SELECT ufs.flashcard_id,
+              ${bucketCase("ufs.difficulty_rating")} AS bucket,
+              COUNT(*) AS n
+       FROM flashcard f
+       JOIN user_flashcard_stats ufs ON ufs.flashcard_id = f.flashcard_id AND ufs.direction = 'FORWARD'
+       WHERE f.set_id = ?
+       GROUP BY ufs.flashcard_id, bucket`,
+      [setId]
+    );
+    const difficultyMap = new Map();
+    const setDistribution = emptyDistribution();
+    for (const r of difficultyRows) {
+      const id = Number(r.flashcard_id);
+      if (!difficultyMap.has(id)) difficultyMap.set(id, emptyDistribution());
+      difficultyMap.get(id)[r.bucket] += Number(r.n || 0);
+      setDistribution[r.bucket] += Number(r.n || 0);
+    }
+
+    // Wrong answers per card (merged in JS so "Paris." and "paris" count together)
+    const wrongMap = new Map();
+    if (wrongLimit > 0) {
+      const wrongRows = await query(
+        `SELECT f.flashcard_id, pr.user_answer, COUNT(*) AS n, SUM(COALESCE(pr.score, pr.is_correct)) AS score_sum
+         FROM flashcard f
+         JOIN performance_result pr ON pr.flashcard_id = f.flashcard_id
+         JOIN practice_session ps ON ps.session_id = pr.session_id
+         WHERE f.set_id = ? AND pr.is_correct = 0
+           AND pr.user_answer IS NOT NULL AND TRIM(pr.user_answer) <> '' ${since.sql}
+         GROUP BY f.flashcard_id, pr.user_answer`,
+        [setId, ...since.params]
+      );
+      const byCard = new Map();
+      for (const r of wrongRows) {
+        const id = Number(r.flashcard_id);
+        if (!byCard.has(id)) byCard.set(id, []);
+        byCard.get(id).push(r);
+      }
+      for (const [id, rows] of byCard) wrongMap.set(id, mergeWrongAnswers(rows, wrongLimit));
+    }
+
+    const cardReports = cards.map((c) => {
+      const a = attemptMap.get(Number(c.flashcard_id));
+      const attempts = a ? Number(a.attempts) : 0;
+      const wrong = a ? Number(a.wrong_attempts || 0) : 0;
+
+      return {
+        flashcard_id: c.flashcard_id,
+        question: c.question,
+        answer: c.answer,
+        attempts,
+        users: a ? Number(a.users) : 0,
+        error_rate: attempts > 0 ? Number((wrong / attempts).toFixed(3)) : null,
+        near_miss_rate: wrong > 0 ? Number((Number(a.near_misses || 0) / wrong).toFixed(3)) : null,
+        avg_score: a && a.avg_score !== null ? Number(Number(a.avg_score).toFixed(3)) : null,
+        avg_time_taken: a && a.avg_time_taken !== null ? Number(Number(a.avg_time_taken).toFixed(2)) : null,
+        hinted_rate: attempts > 0 ? Number((Number(a.hinted_attempts || 0) / attempts).toFixed(3)) : null,
+        difficulty_distribution: difficultyMap.get(Number(c.flashcard_id)) || emptyDistribution(),
+        common_wrong_answers: wrongMap.get(Number(c.flashcard_id)) || [],
+      };
+    });
+
+    const totalAttempts = cardReports.reduce((sum, c) => sum + c.attempts, 0);
+    const totalWrong = attemptRows.reduce((sum, r) => sum + Number(r.wrong_attempts || 0), 0);
+
+    const users = await query(
+      `SELECT COUNT(DISTINCT ps.user_id) AS n
+       FROM flashcard f
+       JOIN performance_result pr ON pr.flashcard_id = f.flashcard_id
+       JOIN practice_session ps ON ps.session_id = pr.session_id
+       WHERE f.set_id = ? ${since.sql}`,
+      [setId, ...since.params]
+    );
+
+    res.json({
+      set_id: setId,
+      since_days: since.params[0] || null,
+      summary: {
+        card_count: cards.length,
+        users: Number(users[0]?.n || 0),
+        attempts: totalAttempts,
+        error_rate: totalAttempts > 0 ? Number((totalWrong / totalAttempts).toFixed(3)) : null,
+        difficulty_distribution: setDistribution,
+      },
+      // Hardest first: highest error rate, then slowest
+      cards: cardReports.sort(
+        (x, y) => (y.error_rate ?? -1) - (x.error_rate ?? -1) || (y.avg_time_taken ?? 0) - (x.avg_time_taken ?? 0)
+      ),
+    });
+  } catch (err) {
+    console.error("Set analytics error:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+/**
+ * GET /api/cards/:flashcardId/analytics/wrong-answers
+ * Query: limit? (1..100, default 20), since_days?
+ * Most common wrong answers for one card across all users: attempt count (count), average score
+ * (avg_score, 0..1) and share of the card's wrong attempts
+ * (EDITOR or OWNER of the card's set only)
+ */
+router.get("/cards/:flashcardId/analytics/wrong-answers", requireAuth, requireCardRole("EDITOR"), async (req, res) => {
+  const flashcardId = Number(req.params.flashcardId);
+  const limit = Math.max(1, Math.min(100, Number(req.query.limit) || 20));
+  const since = sinceFilter(req);
+
+  try {
+    const rows = await query(
+      `SELECT pr.user_answer, COUNT(*) AS n, SUM(COALESCE(pr.score, pr.is_correct)) AS score_sum
+       FROM performance_result pr
+       JOIN practice_session ps ON ps.session_id = pr.session_id
+       WHERE pr.flashcard_id = ? AND pr.is_correct = 0
+         AND pr.user_answer IS NOT NULL AND TRIM(pr.user_answer) <> '' ${since.sql}
+       GROUP BY pr.user_answer`,
+      [flashcardId, ...since.params]
+    );
+
+    const totals = await query(
+      `SELECT COUNT(*) AS attempts, SUM(pr.is_correct = 0) AS wrong_attempts
+       FROM performance_result pr
+       JOIN practice_session ps ON ps.session_id = pr.session_id
+       WHERE pr.flashcard_id = ? ${since.sql}`,
+      [flashcardId, ...since.params]
+    );
+
+    const wrongAttempts = Number(totals[0]?.wrong_attempts || 0);
+
+    res.json({
+      flashcard_id: flashcardId,
+      attempts: Number(totals[0]?.attempts || 0),
+      wrong_attempts: wrongAttempts,
+      wrong_answers: mergeWrongAnswers(rows, limit).map((w) => ({
+        ...w,
+        share: wrongAttempts > 0 ? Number((w.count / wrongAttempts).toFixed(3)) : 0,
+      })),
+    });
+  } catch (err) {
+    console.error("Card wrong answers error:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+module.exports = router;
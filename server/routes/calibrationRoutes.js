@@ -1,6 +1,10 @@
 const express = require("express"); // Import Express
 const db = require("../db"); // Import MySQL connection
 const { requireAuth } = require("../middleware/auth"); // Import JWT auth middleware
+const { getSetRole } = require("../middleware/setAccess"); // Import set role checks
+const { seededShuffle } = require("../practice/random"); // Import seeded shuffle
+const { splitSentences, fleschReadingEase, proseRatio } = require("../utils/readability"); // Import sentence scoring
+const { recordEvent } = require("../utils/achievements"); // Import achievement engine
 
 const router = express.Router(); // Create Express router
 
@@ -26,7 +30,7 @@ function countWords(text) {
   return s.split(/\s+/).filter(Boolean).length; // Split on spaces and count tokens
 }
 
-// Hard-coded calibration prompts (For TESTING) Need Ideas on how to personalize this
+// Built-in calibration prompts (used as-is, and to top up card sentences when there are too few)
 const CALIBRATION_PROMPTS = [
   { id: 1, text: "The mitochondria produces energy for the cell." }, // Biology example
   { id: 2, text: "HTTP is the protocol used for communication on the web." }, // CS example
@@ -38,17 +42,127 @@ const CALIBRATION_PROMPTS = [
   { id: 8, text: "Machine learning models learn patterns from data." }, // AI
 ];
 
+// Card sentences with fewer plain words than this are formulas / code / lists, not reading material
+const MIN_PROSE_RATIO = 0.8;
+
+// Cards scanned for sentences (most recent first)
+const MAX_SOURCE_CARDS = 1000;
+
+// Optional numeric query value (null when missing or not a number)
+function optionalNumber(value) {
+  if (value === undefined || value === null || value === "") return null;
+  const n = Number(value);
+  return Number.isFinite(n) ? n : null;
+}
+
+// Sentences from card questions and answers: one set, or every set the user owns
+async function cardSentences(userId, setId) {
+  const rows = setId
+    ? await query(
+        `SELECT flashcard_id, set_id, question, answer
+         FROM flashcard
+         WHERE set_id = ?
+         ORDER BY flashcard_id DESC
+         LIMIT ?`,
+        [setId, MAX_SOURCE_CARDS]
+      )
+    : await query(
+        `SELECT f.flashcard_id, f.set_id, f.question, f.answer
+         FROM flashcard f
+         JOIN flashcard_set s ON s.set_id = f.set_id
+         WHERE s.user_id = ?
+         ORDER BY f.flashcard_id DESC
+         LIMIT ?`,
+        [userId, MAX_SOURCE_CARDS]
+      );
+
+  const seen = new Set(); // Same sentence on several cards counts once
+  const out = [];
+  for (const r of rows) {
+    for (const text of [...splitSentences(r.question), ...splitSentences(r.answer)]) {
+      const key = text.toLowerCase();
+      if (seen.has(key)) continue;
+      seen.add(key);
+      out.push({ text, flashcard_id: r.flashcard_id, set_id: r.set_id });
+    }
+  }
+  return out;
+}
+
 // GET /api/calibration/prompts
-// Returns a list of prompts the frontend can show for calibration timing
+// Query: source? (DEFAULT or CARDS; set_id implies CARDS), set_id? (calibrate on one set),
+//        count? (1..20, default 8), min_words? / max_words? (default 6..30),
+//        min_readability? / max_readability? (Flesch reading ease, default 0..100)
+// CARDS samples sentences from the caller's own sets, filtered by length and readability, and tops up
+// with the built-in prompts. A set calibration only uses that set's sentences and has no default lower
+// readability bound (hard material is what it should measure).
 router.get("/calibration/prompts", requireAuth, async (req, res) => {
   try {
+    const setId = req.query.set_id ? Number(req.query.set_id) : null; // Per-set calibration
+    const source = setId ? "CARDS" : String(req.query.source || "DEFAULT").toUpperCase(); // Where prompts come from
+
+    if (!["DEFAULT", "CARDS"].includes(source)) {
+      return res.status(400).json({ message: "source must be DEFAULT or CARDS" }); // Validate source
+    }
+
     // Add word_count for each prompt (useful for frontend total_words)
-    const prompts = CALIBRATION_PROMPTS.map((p) => ({
+    const builtIn = CALIBRATION_PROMPTS.map((p) => ({
       ...p, // Keep id and text
       word_count: countWords(p.text), // Add word count
+      readability: Number(fleschReadingEase(p.text).toFixed(1)), // Flesch reading ease
+      source: "DEFAULT",
+    }));
+
+    if (source === "DEFAULT") return res.json({ source, set_id: null, prompts: builtIn }); // Built-in list
+
+    if (setId) {
+      const role = await getSetRole(setId, req.user.userId); // Any member role may calibrate on a set
+      if (!role) return res.status(404).json({ message: "Set not found" }); // No access, 404
+    }
+
+    const count = clamp(Math.floor(Number(req.query.count) || 8), 1, 20); // Prompts wanted
+    const minWords = clamp(Math.floor(optionalNumber(req.query.min_words) ?? 6), 1, 100); // Shortest sentence
+    const maxWords = clamp(Math.floor(optionalNumber(req.query.max_words) ?? 30), minWords, 200); // Longest sentence
+    const minReadability = optionalNumber(req.query.min_readability) ?? (setId ? null : 0); // Hardest allowed
+    const maxReadability = optionalNumber(req.query.max_readability) ?? 100; // Easiest allowed
+    const seed = optionalNumber(req.query.seed) ?? Math.floor(Math.random() * 2147483647); // Sample seed
+
+    // Length + readability filter
+    const candidates = (await cardSentences(req.user.userId, setId))
+      .map((c) => ({ ...c, word_count: countWords(c.text), readability: fleschReadingEase(c.text) }))
+      .filter((c) =>
+        c.word_count >= minWords &&
+        c.word_count <= maxWords &&
+        proseRatio(c.text) >= MIN_PROSE_RATIO &&
+        (minReadability === null || c.readability >= minReadability) &&
+        c.readability <= maxReadability
+      );
+
+    const picked = seededShuffle(candidates, seed).slice(0, count).map((c) => ({
+      text: c.text,
+      word_count: c.word_count,
+      readability: Number(c.readability.toFixed(1)),
+      source: "CARD",
+      flashcard_id: c.flashcard_id,
+      set_id: c.set_id,
     }));
 
-    res.json({ prompts }); // Return prompts
+    if (setId && picked.length === 0) {
+      return res.status(400).json({ message: "This set has no sentences suitable for calibration" }); // Nothing to read
+    }
+
+    // General calibrations top up with built-in prompts; a set calibration stays on the set's material
+    const topUp = setId ? [] : seededShuffle(builtIn, seed).slice(0, count - picked.length);
+    const prompts = [...picked, ...topUp.map(({ id, ...p }) => p)].map((p, i) => ({ id: i + 1, ...p }));
+
+    res.json({
+      source,
+      set_id: setId,
+      seed,
+      filters: { min_words: minWords, max_words: maxWords, min_readability: minReadability, max_readability: maxReadability },
+      card_prompts: picked.length, // How many came from the user's cards
+      prompts,
+    });
   } catch (err) {
     console.error("Calibration prompts error:", err); // Log error
     res.status(500).json({ message: "Server error" }); // Generic 500
@@ -56,11 +170,11 @@ router.get("/calibration/prompts", requireAuth, async (req, res) => {
 });
 
 // POST /api/calibration/submit
-// Body: { total_words, total_seconds }
-// Computes words_per_second and stores it for the user
+// Body: { total_words, total_seconds, set_id? }
+// Computes words_per_second and stores it for the user (set_id: only for that set's cards)
 router.post("/calibration/submit", requireAuth, async (req, res) => {
   try {
-    const { total_words, total_seconds } = req.body || {}; // Read request body
+    const { total_words, total_seconds, set_id = null } = req.body || {}; // Read request body
 
     const words = Number(total_words); // Convert to number
     const seconds = Number(total_seconds); // Convert to number
@@ -80,21 +194,54 @@ router.post("/calibration/submit", requireAuth, async (req, res) => {
     // Typical range: ~1.0 to 6.0 words/sec (60 to 360 WPM)
     const wordsPerSecond = clamp(rawWps, 1.0, 6.0); // Clamp WPS
 
-    // Upsert into user_calibration (insert or update)
+    const setId = set_id ? Number(set_id) : null; // Per-set calibration
+    if (setId) {
+      const role = await getSetRole(setId, req.user.userId); // Must be able to practise the set
+      if (!role) return res.status(404).json({ message: "Set not found" }); // No access, 404
+
+      // Upsert into user_set_calibration (the general calibration is left alone)
+      await query(
+        `INSERT INTO user_set_calibration (user_id, set_id, words_per_second, calibrated_at)
+         VALUES (?, ?, ?, NOW())
+         ON DUPLICATE KEY UPDATE
+           words_per_second = VALUES(words_per_second),
+           calibrated_at = NOW()`,
+        [req.user.userId, setId, wordsPerSecond] // Params
+      );
+    } else {
+      // Upsert into user_calibration (insert or update)
+      await query(
+        `INSERT INTO user_calibration (user_id, words_per_second, calibrated_at)
+         VALUES (?, ?, NOW())
+         ON DUPLICATE KEY UPDATE
+           words_per_second = VALUES(words_per_second),
+           calibrated_at = NOW()`,
+        [req.user.userId, wordsPerSecond] // Params
+      );
+    }
+
+    // Keep every run for the reading speed history (GET /api/stats/me/reading-speed)
     await query(
-      `INSERT INTO user_calibration (user_id, words_per_second, calibrated_at)
-       VALUES (?, ?, NOW())
-       ON DUPLICATE KEY UPDATE
-         words_per_second = VALUES(words_per_second),
-         calibrated_at = NOW()`,
-      [req.user.userId, wordsPerSecond] // Params
+      `INSERT INTO user_calibration_history
+         (user_id, set_id, words_per_second, raw_words_per_second, total_words, total_seconds)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [req.user.userId, setId, wordsPerSecond, rawWps, Math.round(words), seconds] // Params
     );
 
+    let newBadges = []; // Badges unlocked by this calibration
+    try {
+      newBadges = await recordEvent(req.user.userId, "CALIBRATION_DONE", { set_id: setId });
+    } catch (e) {
+      console.error("Achievement check failed:", e.message); // Never fail the calibration
+    }
+
     res.json({
       message: "Calibration saved", // Success message
       user_id: req.user.userId, // Return user id
+      set_id: setId, // Set calibrated (null = general)
       words_per_second: Number(wordsPerSecond.toFixed(2)), // Return WPS rounded
       words_per_minute: Math.round(wordsPerSecond * 60), // Return WPM for user-friendly display
+      new_badges: newBadges, // Badges unlocked by this calibration
     });
   } catch (err) {
     console.error("Calibration submit error:", err); // Log error
@@ -103,14 +250,59 @@ router.post("/calibration/submit", requireAuth, async (req, res) => {
 });
 
 // GET /api/calibration/me
-// Returns the current user's calibration (useful for testing/debugging)
+// Query: history_limit? (0..200, default 20)
+// Returns the current user's calibration, any per-set calibrations and the latest calibration runs
+// (manual runs and the estimates practice sessions made), newest first, to show drift
 router.get("/calibration/me", requireAuth, async (req, res) => {
   try {
+    const historyLimit = clamp(Math.floor(optionalNumber(req.query.history_limit) ?? 20), 0, 200); // Runs to return
+
     const rows = await query(
       "SELECT user_id, words_per_second, calibrated_at FROM user_calibration WHERE user_id = ?",
       [req.user.userId] // Param
     );
 
+    const setRows = await query(
+      `SELECT c.set_id, s.title, c.words_per_second, c.calibrated_at
+       FROM user_set_calibration c
+       JOIN flashcard_set s ON s.set_id = c.set_id
+       WHERE c.user_id = ?
+       ORDER BY s.title ASC`,
+      [req.user.userId] // Param
+    );
+
+    const historyRows = await query(
+      `SELECT calibration_id, set_id, source, session_id, words_per_second, raw_words_per_second,
+              total_words, total_seconds, sample_count, rejected_count, calibrated_at
+       FROM user_calibration_history
+       WHERE user_id = ?
+       ORDER BY calibrated_at DESC, calibration_id DESC
+       LIMIT ?`,
+      [req.user.userId, historyLimit] // Params
+    );
+
+    const history = historyRows.map((h) => ({
+      calibration_id: h.calibration_id, // Run id
+      set_id: h.set_id, // Set calibrated (null = general)
+      source: h.source, // MANUAL or PRACTICE
+      session_id: h.session_id, // PRACTICE: session the timings came from
+      words_per_second: Number(Number(h.words_per_second).toFixed(2)), // Value stored
+      measured_words_per_second: h.raw_words_per_second === null ? null : Number(Number(h.raw_words_per_second).toFixed(2)), // Measured
+      total_words: h.total_words, // Words read
+      total_seconds: h.total_seconds === null ? null : Number(Number(h.total_seconds).toFixed(1)), // Seconds spent
+      sample_count: h.sample_count, // PRACTICE: answers used
+      rejected_count: h.rejected_count, // PRACTICE: outliers dropped
+      calibrated_at: h.calibrated_at, // When
+    }));
+
+    const sets = setRows.map((r) => ({
+      set_id: r.set_id, // Set id
+      title: r.title, // Set title
+      words_per_second: Number(Number(r.words_per_second).toFixed(2)), // WPS on this set
+      words_per_minute: Math.round(Number(r.words_per_second) * 60), // WPM on this set
+      calibrated_at: r.calibrated_at, // Time calibrated
+    }));
+
     // If not calibrated yet, return defaults
     if (rows.length === 0) {
       return res.json({
@@ -119,6 +311,8 @@ router.get("/calibration/me", requireAuth, async (req, res) => {
         words_per_minute: 150, // Default WPM
         calibrated_at: null, // No calibration time
         is_default: true, // Mark as default
+        sets, // Per-set calibrations
+        history, // Latest runs (newest first)
       });
     }
 
@@ -130,6 +324,8 @@ router.get("/calibration/me", requireAuth, async (req, res) => {
       words_per_minute: Math.round(Number(row.words_per_second) * 60), // WPM
       calibrated_at: row.calibrated_at, // Time calibrated
       is_default: false, // Not default
+      sets, // Per-set calibrations
+      history, // Latest runs (newest first)
     });
   } catch (err) {
     console.error("Calibration me error:", err); // Log error
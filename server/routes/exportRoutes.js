@@ -0,0 +1,211 @@
+// server/routes/exportRoutes.js
+const express = require("express");
+const db = require("../db");
+const { requireAuth } = require("../middleware/auth");
+const { requireSetRole } = require("../middleware/setAccess");
+
+const router = express.Router();
+
+/**
+ * Promise wrapper for db.query (mysql/mysql2 callback style)
+ */
+function query(sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.query(sql, params, (err, results) => {
+      if (err) return reject(err);
+      resolve(results);
+    });
+  });
+}
+
+// Bundle identity (checked by the JSON importer)
+const BUNDLE_FORMAT = "fyp-flashcard-set";
+const BUNDLE_VERSION = 1;
+
+/**
+ * Helper: quote a CSV cell when needed (RFC 4180)
+ */
+function csvCell(value) {
+  if (value === null || value === undefined) return "";
+  const s = value instanceof Date ? value.toISOString() : String(value);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+/**
+ * Helper: safe file name from a set title
+ */
+function fileNameFor(title, ext) {
+  const base = String(title || "flashcards")
+    .trim()
+    .replace(/[^\w\- ]+/g, "")
+    .replace(/\s+/g, "_")
+    .slice(0, 60);
+  return `${base || "flashcards"}.${ext}`;
+}
+
+/**
+ * Build the portable bundle for a set:
+ * set metadata, cards, hints, stored variations and (optionally) the caller's stats.
+ */
+async function buildSetBundle(setRow, userId, includeStats) {
+  const cards = await query(
+    `SELECT flashcard_id, question, answer, difficulty_rating, created_at
+     FROM flashcard
+     WHERE set_id = ?
+     ORDER BY flashcard_id ASC`,
+    [setRow.set_id]
+  );
+
+  const hints = await query(
+    `SELECT h.flashcard_id, h.hint_text, h.hint_type
+     FROM hint h
+     JOIN flashcard f ON f.flashcard_id = h.flashcard_id
+     WHERE f.set_id = ?
+     ORDER BY h.hint_id ASC`,
+    [setRow.set_id]
+  );
+
+  const variations = await query(
+    `SELECT v.flashcard_id, v.variation_type, v.blanked_text, v.first_letter_clues, v.generated_at
+     FROM flashcard_variation v
+     JOIN flashcard f ON f.flashcard_id = v.flashcard_id
+     WHERE f.set_id = ?
+     ORDER BY v.variation_id ASC`,
+    [setRow.set_id]
+  );
+
+  let stats = [];
+  if (includeStats) {
+    stats = await query(
+      `SELECT ufs.flashcard_id, ufs.direction, ufs.difficulty_rating, ufs.times_seen, ufs.correct_count, ufs.incorrect_count,
+              ufs.avg_time_taken, ufs.last_seen, ufs.ease_factor, ufs.interval_days, ufs.repetitions,
+              ufs.lapse_count, ufs.due_at
+       FROM user_flashcard_stats ufs
+       JOIN flashcard f ON f.flashcard_id = ufs.flashcard_id
+       WHERE f.set_id = ? AND ufs.user_id = ?`,
+      [setRow.set_id, userId]
+    );
+  }
+
+  // Group children by card
+  const group = (rows) => {
+    const m = new Map();
+    for (const r of rows) {
+      if (!m.has(r.flashcard_id)) m.set(r.flashcard_id, []);
+      const { flashcard_id, ...rest } = r;
+      m.get(flashcard_id).push(rest);
+    }
+    return m;
+  };
+
+  const hintMap = group(hints);
+  const variationMap = group(variations);
+  const statsMap = group(stats);
+
+  // stats: question -> answer, reverse_stats: answer -> question (null when never practised that way)
+  const cardStats = (rows) => {
+    const byDirection = (d) => {
+      const row = rows.find((r) => r.direction === d);
+      if (!row) return null;
+      const { direction, ...rest } = row;
+      return rest;
+    };
+    return { stats: byDirection("FORWARD"), reverse_stats: byDirection("REVERSE") };
+  };
+
+  return {
+    format: BUNDLE_FORMAT,
+    version: BUNDLE_VERSION,
+    exported_at: new Date().toISOString(),
+    includes_stats: !!includeStats,
+    set: {
+      title: setRow.title,
+      description: setRow.description,
+      created_at: setRow.created_at,
+    },
+    cards: cards.map((c) => ({
+      question: c.question,
+      answer: c.answer,
+      difficulty_rating: Number(c.difficulty_rating || 0),
+      created_at: c.created_at,
+      hints: hintMap.get(c.flashcard_id) || [],
+      variations: variationMap.get(c.flashcard_id) || [],
+      ...(includeStats ? cardStats(statsMap.get(c.flashcard_id) || []) : {}),
+    })),
+  };
+}
+
+/**
+ * Flatten a bundle to CSV: one row per card (hints / variations joined with " | ")
+ */
+function bundleToCsv(bundle) {
+  const statCols = [
+    "difficulty_rating", "times_seen", "correct_count", "incorrect_count",
+    "avg_time_taken", "last_seen", "interval_days", "ease_factor", "due_at",
+  ];
+
+  const header = ["question", "answer", "hints", "variations"];
+  if (bundle.includes_stats) header.push(...statCols.map((c) => `my_${c}`));
+
+  const lines = [header.join(",")];
+
+  for (const c of bundle.cards) {
+    const row = [
+      c.question,
+      c.answer,
+      c.hints.map((h) => `${h.hint_type}: ${h.hint_text}`).join(" | "),
+      c.variations.map((v) => `${v.variation_type}: ${v.blanked_text}`).join(" | "),
+    ];
+    if (bundle.includes_stats) {
+      row.push(...statCols.map((col) => (c.stats ? c.stats[col] : "")));
+    }
+    lines.push(row.map(csvCell).join(","));
+  }
+
+  return lines.join("\r\n") + "\r\n";
+}
+
+/**
+ * GET /api/sets/:setId/export
+ * Query: format? (json/csv, default json), include_stats? (true/1 adds the caller's user_flashcard_stats)
+ * Any member role may export (stats are always the caller's own).
+ * JSON is round-trippable through POST /api/sets/:setId/import (format JSON) and POST /api/sets/import;
+ * included stats come back only when the import passes restore_stats: true.
+ */
+router.get("/sets/:setId/export", requireAuth, requireSetRole("VIEWER"), async (req, res) => {
+  const setId = Number(req.params.setId);
+  const format = String(req.query.format || "json").toLowerCase();
+  const includeStats = ["true", "1"].includes(String(req.query.include_stats || "").toLowerCase());
+
+  if (!["json", "csv"].includes(format)) {
+    return res.status(400).json({ message: "format must be json or csv" });
+  }
+
+  try {
+    const sets = await query(
+      "SELECT set_id, title, description, created_at FROM flashcard_set WHERE set_id = ?",
+      [setId]
+    );
+    if (sets.length === 0) return res.status(404).json({ message: "Set not found" });
+
+    const bundle = await buildSetBundle(sets[0], req.user.userId, includeStats);
+
+    if (format === "csv") {
+      res.setHeader("Content-Type", "text/csv; charset=utf-8");
+      res.setHeader("Content-Disposition", `attachment; filename="${fileNameFor(sets[0].title, "csv")}"`);
+      return res.send(bundleToCsv(bundle));
+    }
+
+    res.setHeader("Content-Disposition", `attachment; filename="${fileNameFor(sets[0].title, "json")}"`);
+    res.json(bundle);
+  } catch (err) {
+    console.error("Export error:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// Export router + attach bundle helpers for reuse (import validation)
+module.exports = router;
+module.exports.BUNDLE_FORMAT = BUNDLE_FORMAT;
+module.exports.BUNDLE_VERSION = BUNDLE_VERSION;
+module.exports.buildSetBundle = buildSetBundle;
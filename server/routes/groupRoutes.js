@@ -0,0 +1,522 @@
+// server/routes/groupRoutes.js
+const express = require("express");
+const crypto = require("crypto");
+const db = require("../db");
+const { requireAuth } = require("../middleware/auth");
+const { getSetRole, hasRole } = require("../middleware/setAccess");
+const { withTransaction } = require("../utils/transaction");
+const { MODE_NAMES } = require("../practice/modes");
+
+const router = express.Router();
+
+/**
+ * Promise wrapper for db.query (mysql/mysql2 callback style)
+ */
+function query(sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.query(sql, params, (err, results) => {
+      if (err) return reject(err);
+      resolve(results);
+    });
+  });
+}
+
+
+// Which practice sessions count toward an assignment (ps = practice_session, ga = group_assignment):
+// same set and mode, prompt type when one is given, started after the assignment was created
+// (only status = 'COMPLETED' sessions count as done; abandoned ones stay "started")
+const ASSIGNMENT_SESSION_MATCH = `
+  ps.set_id = ga.set_id
+  AND ps.difficulty_mode = ga.difficulty_mode
+  AND ps.started_at >= ga.created_at
+  AND (ga.prompt_type IS NULL OR EXISTS (
+    SELECT 1 FROM practice_settings pst
+    WHERE pst.session_id = ps.session_id AND pst.prompt_type = ga.prompt_type
+  ))`;
+
+/**
+ * Helper: random invite code (uppercase, no ambiguous characters)
+ */
+function newInviteCode() {
+  const alphabet = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+  const bytes = crypto.randomBytes(8);
+  let code = "";
+  for (const b of bytes) code += alphabet[b % alphabet.length];
+  return code;
+}
+
+/**
+ * Helper: the user's role in a group (TEACHER / STUDENT) or null
+ */
+async function getGroupRole(groupId, userId) {
+  const rows = await query(
+    "SELECT role FROM study_group_member WHERE group_id = ? AND user_id = ?",
+    [groupId, userId]
+  );
+  return rows[0]?.role || null;
+}
+
+/**
+ * Helper: load the caller's group role or answer 404 / 403.
+ * Returns the role, or null when a response was already sent.
+ */
+async function requireGroupRole(req, res, teacherOnly) {
+  const role = await getGroupRole(req.params.groupId, req.user.userId);
+  if (!role) {
+    res.status(404).json({ message: "Group not found" });
+    return null;
+  }
+  if (teacherOnly && role !== "TEACHER") {
+    res.status(403).json({ message: "Only teachers can do this" });
+    return null;
+  }
+  return role;
+}
+
+/**
+ * Helper: parse a due date (ISO string / timestamp) -> Date or null
+ */
+function parseDueAt(value) {
+  if (value === undefined || value === null || value === "") return null;
+  const d = new Date(value);
+  return Number.isNaN(d.getTime()) ? null : d;
+}
+
+/**
+ * Helper: assignment status from session counts (completed after due_at = LATE)
+ */
+function assignmentStatus(sessions, completed, completedOnTime) {
+  if (Number(completedOnTime || 0) > 0) return "COMPLETED";
+  if (Number(completed || 0) > 0) return "LATE";
+  if (Number(sessions || 0) > 0) return "IN_PROGRESS";
+  return "NOT_STARTED";
+}
+
+/**
+ * POST /api/groups
+ * Body: { name, description? }
+ * Creates a group; the creator joins as TEACHER
+ */
+router.post("/", requireAuth, async (req, res) => {
+  const name = String(req.body?.name || "").trim();
+  const description = req.body?.description ? String(req.body.description).trim() : null;
+
+  if (!name) return res.status(400).json({ message: "name is required" });
+
+  try {
+    const inviteCode = newInviteCode();
+
+    const groupId = await withTransaction(async (q) => {
+      const insert = await q(
+        "INSERT INTO study_group (owner_user_id, name, description, invite_code) VALUES (?, ?, ?, ?)",
+        [req.user.userId, name.slice(0, 120), description ? description.slice(0, 500) : null, inviteCode]
+      );
+      await q(
+        "INSERT INTO study_group_member (group_id, user_id, role) VALUES (?, ?, 'TEACHER')",
+        [insert.insertId, req.user.userId]
+      );
+      return insert.insertId;
+    });
+
+    res.status(201).json({ group_id: groupId, name, description, invite_code: inviteCode, role: "TEACHER" });
+  } catch (err) {
+    console.error("Create group error:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+/**
+ * GET /api/groups
+ * Groups the caller belongs to (with their role)
+ */
+router.get("/", requireAuth, async (req, res) => {
+  try {
+    const rows = await query(
+      `SELECT g.group_id, g.name, g.description, g.created_at, gm.role,
+              CASE WHEN gm.role = 'TEACHER' THEN g.invite_code ELSE NULL END AS invite_code,
+              (SELECT COUNT(*) FROM study_group_member m WHERE m.group_id = g.group_id AND m.role = 'STUDENT') AS student_count,
+              (SELECT COUNT(*) FROM group_assignment a WHERE a.group_id = g.group_id) AS assignment_count
+       FROM study_group g
+       JOIN study_group_member gm ON gm.group_id = g.group_id AND gm.user_id = ?
+       ORDER BY g.created_at DESC`,
+      [req.user.userId]
+    );
+
+    res.json(rows.map((r) => ({
+      ...r,
+      student_count: Number(r.student_count || 0),
+      assignment_count: Number(r.assignment_count || 0),
+    })));
+  } catch (err) {
+    console.error("Get groups error:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+/**
+ * POST /api/groups/join
+ * Body: { invite_code }
+ * Joins a group as STUDENT
+ */
+router.post("/join", requireAuth, async (req, res) => {
+  const code = String(req.body?.invite_code || "").trim().toUpperCase();
+  if (!code) return res.status(400).json({ message: "invite_code is required" });
+
+  try {
+    const groups = await query("SELECT group_id, name FROM study_group WHERE invite_code = ?", [code]);
+    if (groups.length === 0) return res.status(404).json({ message: "Invalid invite code" });
+
+    const group = groups[0];
+    const existing = await getGroupRole(group.group_id, req.user.userId);
+    if (existing) return res.json({ group_id: group.group_id, name: group.name, role: existing });
+
+    await query(
+      "INSERT INTO study_group_member (group_id, user_id, role) VALUES (?, ?, 'STUDENT')",
+      [group.group_id, req.user.userId]
+    );
+
+    res.status(201).json({ group_id: group.group_id, name: group.name, role: "STUDENT" });
+  } catch (err) {
+    console.error("Join group error:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+/**
+ * GET /api/groups/:groupId
+ * Group details and members (teachers also see the invite code)
+ */
+router.get("/:groupId", requireAuth, async (req, res) => {
+  try {
+    const role = await requireGroupRole(req, res, false);
+    if (!role) return;
+
+    const groups = await query(
+      "SELECT group_id, owner_user_id, name, description, invite_code, created_at FROM study_group WHERE group_id = ?",
+      [req.params.groupId]
+    );
+
+    const members = await query(
+      `SELECT u.user_id, u.username, gm.role, gm.joined_at
+       FROM study_group_member gm
+       JOIN users u ON u.user_id = gm.user_id
+       WHERE gm.group_id = ?
+       ORDER BY gm.role = 'TEACHER' DESC, u.username ASC`,
+      [req.params.groupId]
+    );
+
+    const g = groups[0];
+    res.json({
+      ...g,
+      invite_code: role === "TEACHER" ? g.invite_code : null,
+      my_role: role,
+      members,
+    });
+  } catch (err) {
+    console.error("Get group error:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+/**
+ * POST /api/groups/:groupId/invite-code
+ * Replaces the invite code (old code stops working; teachers only)
+ */
+router.post("/:groupId/invite-code", requireAuth, async (req, res) => {
+  try {
+    if (!(await requireGroupRole(req, res, true))) return;
+
+    const inviteCode = newInviteCode();
+    await query("UPDATE study_group SET invite_code = ? WHERE group_id = ?", [inviteCode, req.params.groupId]);
+
+    res.json({ group_id: Number(req.params.groupId), invite_code: inviteCode });
+  } catch (err) {
+    console.error("Regenerate invite code error:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+/**
+ * PUT /api/groups/:groupId/members/:userId
+ * Body: { role (TEACHER/STUDENT) }
+ * Teachers promote / demote members (the group's creator stays TEACHER)
+ */
+router.put("/:groupId/members/:userId", requireAuth, async (req, res) => {
+  const role = String(req.body?.role || "").toUpperCase();
+  if (!["TEACHER", "STUDENT"].includes(role)) {
+    return res.status(400).json({ message: "role must be TEACHER or STUDENT" });
+  }
+
+  try {
+    if (!(await requireGroupRole(req, res, true))) return;
+
+    const result = await query(
+      `UPDATE study_group_member gm
+       JOIN study_group g ON g.group_id = gm.group_id
+       SET gm.role = ?
+       WHERE gm.group_id = ? AND gm.user_id = ? AND g.owner_user_id <> gm.user_id`,
+      [role, req.params.groupId, req.params.userId]
+    );
+
+    if (result.affectedRows === 0) return res.status(404).json({ message: "Member not found" });
+    res.json({ message: "Member updated", role });
+  } catch (err) {
+    console.error("Update group member error:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+/**
+ * DELETE /api/groups/:groupId/members/:userId
+ * Teachers remove members; anyone can leave. The group's creator cannot be removed.
+ * Removing a student ends their access to the group's assigned sets (their stats are kept).
+ */
+router.delete("/:groupId/members/:userId", requireAuth, async (req, res) => {
+  const isSelf = Number(req.params.userId) === Number(req.user.userId);
+
+  try {
+    if (!(await requireGroupRole(req, res, !isSelf))) return;
+
+    const result = await query(
+      `DELETE gm
+       FROM study_group_member gm
+       JOIN study_group g ON g.group_id = gm.group_id
+       WHERE gm.group_id = ? AND gm.user_id = ? AND g.owner_user_id <> gm.user_id`,
+      [req.params.groupId, req.params.userId]
+    );
+
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ message: "Member not found (the group's creator cannot be removed)" });
+    }
+    res.json({ message: isSelf ? "Left the group" : "Member removed" });
+  } catch (err) {
+    console.error("Remove group member error:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+/**
+ * POST /api/groups/:groupId/assignments
+ * Body: { set_id, difficulty_mode (any practice mode, e.g. EASY/MODERATE/HARD), prompt_type? (NULL = any), due_at, title? }
+ * Teachers only, and they must be an EDITOR or OWNER of the set (assigning shares it read-only with the group).
+ */
+router.post("/:groupId/assignments", requireAuth, async (req, res) => {
+  const { set_id, difficulty_mode, prompt_type = null, due_at, title = null } = req.body || {};
+
+  const mode = String(difficulty_mode || "").toUpperCase();
+  const dueAt = parseDueAt(due_at);
+  const promptType = prompt_type ? String(prompt_type).trim().toUpperCase() : null;
+
+  if (!set_id) return res.status(400).json({ message: "set_id is required" });
+  if (!MODE_NAMES.includes(mode)) {
+    return res.status(400).json({ message: `difficulty_mode must be one of ${MODE_NAMES.join(", ")}` });
+  }
+  if (!dueAt) return res.status(400).json({ message: "due_at must be a valid date" });
+
+  try {
+    if (!(await requireGroupRole(req, res, true))) return;
+
+    const setRole = await getSetRole(set_id, req.user.userId);
+    if (!setRole) return res.status(404).json({ message: "Set not found" });
+    if (!hasRole(setRole, "EDITOR")) {
+      return res.status(403).json({ message: "You need the EDITOR role on the set to assign it" });
+    }
+
+    const insert = await query(
+      `INSERT INTO group_assignment (group_id, set_id, title, difficulty_mode, prompt_type, due_at, created_by)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [req.params.groupId, set_id, title ? String(title).slice(0, 120) : null, mode, promptType, dueAt, req.user.userId]
+    );
+
+    res.status(201).json({
+      assignment_id: insert.insertId,
+      group_id: Number(req.params.groupId),
+      set_id: Number(set_id),
+      title,
+      difficulty_mode: mode,
+      prompt_type: promptType,
+      due_at: dueAt,
+    });
+  } catch (err) {
+    console.error("Create assignment error:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+/**
+ * GET /api/groups/:groupId/assignments
+ * Lists the group's assignments. Students also get their own status
+ * (NOT_STARTED / IN_PROGRESS / COMPLETED / LATE) and best score.
+ */
+router.get("/:groupId/assignments", requireAuth, async (req, res) => {
+  try {
+    const role = await requireGroupRole(req, res, false);
+    if (!role) return;
+
+    const rows = await query(
+      `SELECT ga.assignment_id, ga.set_id, s.title AS set_title, ga.title, ga.difficulty_mode, ga.prompt_type,
+              ga.due_at, ga.created_at,
+              COUNT(ps.session_id) AS my_sessions,
+              SUM(ps.status = 'COMPLETED') AS my_completed,
+              SUM(ps.status = 'COMPLETED' AND ps.completed_at <= ga.due_at) AS my_completed_on_time,
+              MAX(CASE WHEN ps.status = 'COMPLETED' THEN ps.final_score END) AS my_best_score
+       FROM group_assignment ga
+       JOIN flashcard_set s ON s.set_id = ga.set_id
+       LEFT JOIN practice_session ps ON ps.user_id = ? AND ${ASSIGNMENT_SESSION_MATCH}
+       WHERE ga.group_id = ?
+       GROUP BY ga.assignment_id, ga.set_id, s.title, ga.title, ga.difficulty_mode, ga.prompt_type, ga.due_at, ga.created_at
+       ORDER BY ga.due_at ASC`,
+      [req.user.userId, req.params.groupId]
+    );
+
+    res.json(rows.map((r) => {
+      const base = {
+        assignment_id: r.assignment_id,
+        set_id: r.set_id,
+        set_title: r.set_title,
+        title: r.title,
+        difficulty_mode: r.difficulty_mode,
+        prompt_type: r.prompt_type,
+        due_at: r.due_at,
+        created_at: r.created_at,
+      };
+      if (role === "TEACHER") return base;
+
+      return {
+        ...base,
+        my_status: assignmentStatus(r.my_sessions, r.my_completed, r.my_completed_on_time),
+        my_best_score: r.my_best_score === null ? null : Number(r.my_best_score),
+      };
+    }));
+  } catch (err) {
+    console.error("Get assignments error:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+/**
+ * DELETE /api/groups/:groupId/assignments/:assignmentId
+ * Teachers only; students' sessions and stats are kept
+ */
+router.delete("/:groupId/assignments/:assignmentId", requireAuth, async (req, res) => {
+  try {
+    if (!(await requireGroupRole(req, res, true))) return;
+
+    const result = await query(
+      "DELETE FROM group_assignment WHERE assignment_id = ? AND group_id = ?",
+      [req.params.assignmentId, req.params.groupId]
+    );
+
+    if (result.affectedRows === 0) return res.status(404).json({ message: "Assignment not found" });
+    res.json({ message: "Assignment deleted" });
+  } catch (err) {
+    console.error("Delete assignment error:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+/**
+ * GET /api/groups/:groupId/assignments/:assignmentId/progress
+ * Teachers only. One row per student:
+ * - sessions started / completed, best + latest final_score, status vs due date
+ * - attempts, accuracy (partial credit) and mean time from performance_result
+ * - cards_practised out of the set's card_count
+ */
+router.get("/:groupId/assignments/:assignmentId/progress", requireAuth, async (req, res) => {
+  const assignmentId = Number(req.params.assignmentId);
+
+  try {
+    if (!(await requireGroupRole(req, res, true))) return;
+
+    const assignments = await query(
+      `SELECT ga.assignment_id, ga.set_id, s.title AS set_title, ga.title, ga.difficulty_mode, ga.prompt_type,
+              ga.due_at, ga.created_at,
+              (SELECT COUNT(*) FROM flashcard f WHERE f.set_id = ga.set_id) AS card_count
+       FROM group_assignment ga
+       JOIN flashcard_set s ON s.set_id = ga.set_id
+       WHERE ga.assignment_id = ? AND ga.group_id = ?`,
+      [assignmentId, req.params.groupId]
+    );
+    if (assignments.length === 0) return res.status(404).json({ message: "Assignment not found" });
+
+    const assignment = assignments[0];
+
+    // Session-level progress (final_score)
+    const sessionRows = await query(
+      `SELECT gm.user_id, u.username,
+              COUNT(ps.session_id) AS sessions_started,
+              SUM(ps.status = 'COMPLETED') AS sessions_completed,
+              SUM(ps.status = 'COMPLETED' AND ps.completed_at <= ga.due_at) AS completed_on_time,
+              MAX(CASE WHEN ps.status = 'COMPLETED' THEN ps.final_score END) AS best_score,
+              MAX(CASE WHEN ps.status = 'COMPLETED' THEN ps.completed_at END) AS last_completed_at,
+              SUBSTRING_INDEX(
+                GROUP_CONCAT(CASE WHEN ps.status = 'COMPLETED' THEN ps.final_score END ORDER BY ps.completed_at DESC),
+                ',', 1
+              ) AS latest_score
+       FROM group_assignment ga
+       JOIN study_group_member gm ON gm.group_id = ga.group_id AND gm.role = 'STUDENT'
+       JOIN users u ON u.user_id = gm.user_id
+       LEFT JOIN practice_session ps ON ps.user_id = gm.user_id AND ${ASSIGNMENT_SESSION_MATCH}
+       WHERE ga.assignment_id = ?
+       GROUP BY gm.user_id, u.username
+       ORDER BY u.username ASC`,
+      [assignmentId]
+    );
+
+    // Attempt-level progress (performance_result)
+    const attemptRows = await query(
+      `SELECT ps.user_id,
+              COUNT(pr.result_id) AS attempts,
+              SUM(pr.is_correct) AS correct_attempts,
+              AVG(COALESCE(pr.score, pr.is_correct)) AS avg_credit,
+              AVG(pr.time_taken) AS avg_time_taken,
+              COUNT(DISTINCT pr.flashcard_id) AS cards_practised
+       FROM group_assignment ga
+       JOIN study_group_member gm ON gm.group_id = ga.group_id AND gm.role = 'STUDENT'
+       JOIN practice_session ps ON ps.user_id = gm.user_id AND ${ASSIGNMENT_SESSION_MATCH}
+       JOIN performance_result pr ON pr.session_id = ps.session_id
+       WHERE ga.assignment_id = ?
+       GROUP BY ps.user_id`,
+      [assignmentId]
+    );
+    const attemptMap = new Map(attemptRows.map((r) => [Number(r.user_id), r]));
+
+    const students = sessionRows.map((r) => {
+      const a = attemptMap.get(Number(r.user_id));
+      return {
+        user_id: r.user_id,
+        username: r.username,
+        status: assignmentStatus(r.sessions_started, r.sessions_completed, r.completed_on_time),
+        sessions_started: Number(r.sessions_started || 0),
+        sessions_completed: Number(r.sessions_completed || 0),
+        best_score: r.best_score === null ? null : Number(r.best_score),
+        latest_score: r.latest_score === null || r.latest_score === "" ? null : Number(r.latest_score),
+        last_completed_at: r.last_completed_at,
+        attempts: a ? Number(a.attempts) : 0,
+        correct_attempts: a ? Number(a.correct_attempts || 0) : 0,
+        accuracy: a && a.avg_credit !== null ? Number(Number(a.avg_credit).toFixed(3)) : null,
+        avg_time_taken: a && a.avg_time_taken !== null ? Number(Number(a.avg_time_taken).toFixed(2)) : null,
+        cards_practised: a ? Number(a.cards_practised || 0) : 0,
+      };
+    });
+
+    const count = (status) => students.filter((s) => s.status === status).length;
+
+    res.json({
+      assignment: { ...assignment, card_count: Number(assignment.card_count || 0) },
+      summary: {
+        students: students.length,
+        completed: count("COMPLETED"),
+        late: count("LATE"),
+        in_progress: count("IN_PROGRESS"),
+        not_started: count("NOT_STARTED"),
+      },
+      students,
+    });
+  } catch (err) {
+    console.error("Assignment progress error:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,270 @@
+// server/routes/hintRoutes.js
+const express = require("express");
+const axios = require("axios");
+const db = require("../db");
+const { requireAuth } = require("../middleware/auth");
+const { requireSetRole, requireCardRole } = require("../middleware/setAccess");
+
+const router = express.Router();
+
+/**
+ * Promise wrapper for db.query (mysql/mysql2 callback style)
+ */
+function query(sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.query(sql, params, (err, results) => {
+      if (err) return reject(err);
+      resolve(results);
+    });
+  });
+}
+
+// Hint types authors can write by hand
+const HINT_TYPES = ["MNEMONIC", "CLUE", "AI"];
+
+// Hint types generated by the NLP service (replaced on regeneration)
+const AUTO_HINT_TYPES = ["AI_STRUCTURE", "AI_ENTITY", "AI_FIRST_LETTERS"];
+
+/**
+ * Generate hints for one card from its answer via the NLP service.
+ * Replaces the card's previous auto-generated hints; hand-written hints are kept.
+ * Returns the stored hints.
+ */
+async function generateAutoHints(flashcardId, answerText) {
+  if (!answerText || !String(answerText).trim()) return [];
+
+  const nlpUrl = (process.env.NLP_URL || "http://127.0.0.1:6000").trim();
+  const axRes = await axios.post(`${nlpUrl}/hints`, { text: String(answerText) }, { timeout: 8000 });
+
+  const generated = (Array.isArray(axRes.data?.hints) ? axRes.data.hints : [])
+    .filter((h) => AUTO_HINT_TYPES.includes(h.hint_type) && String(h.hint_text || "").trim());
+
+  await query(
+    `DELETE FROM hint WHERE flashcard_id = ? AND hint_type IN (${AUTO_HINT_TYPES.map(() => "?").join(",")})`,
+    [flashcardId, ...AUTO_HINT_TYPES]
+  );
+
+  const stored = [];
+  for (const h of generated) {
+    const insert = await query(
+      "INSERT INTO hint (flashcard_id, hint_text, hint_type) VALUES (?, ?, ?)",
+      [flashcardId, String(h.hint_text).trim(), h.hint_type]
+    );
+    stored.push({
+      hint_id: insert.insertId,
+      flashcard_id: flashcardId,
+      hint_text: String(h.hint_text).trim(),
+      hint_type: h.hint_type,
+    });
+  }
+
+  return stored;
+}
+
+/**
+ * Helper: NLP error -> { status, message } (same shape as variation routes)
+ */
+function nlpError(e) {
+  return {
+    status: e.response?.status || 500,
+    message: e.response?.data?.error || e.response?.data?.message || e.message || "NLP error",
+  };
+}
+
+/**
+ * Helper: validate hint body, returns { hintText, hintType } or { error }
+ */
+function readHintBody(body) {
+  const { hint_text, hint_type = "CLUE" } = body || {};
+
+  const hintText = String(hint_text ?? "").trim();
+  if (!hintText) return { error: "hint_text is required" };
+
+  const hintType = String(hint_type || "").trim().toUpperCase();
+  if (!HINT_TYPES.includes(hintType)) {
+    return { error: `hint_type must be one of ${HINT_TYPES.join(", ")}` };
+  }
+
+  return { hintText, hintType };
+}
+
+/**
+ * GET /api/cards/:flashcardId/hints
+ * Returns hints for a card (in reveal order; any member role)
+ */
+router.get("/cards/:flashcardId/hints", requireAuth, requireCardRole("VIEWER"), async (req, res) => {
+  const flashcardId = Number(req.params.flashcardId);
+
+  try {
+    const hints = await query(
+      `SELECT hint_id, flashcard_id, hint_text, hint_type, created_at
+       FROM hint
+       WHERE flashcard_id = ?
+       ORDER BY hint_id ASC`,
+      [flashcardId]
+    );
+
+    res.json(hints);
+  } catch (err) {
+    console.error("Get hints error:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+/**
+ * POST /api/cards/:flashcardId/hints
+ * Body: { hint_text, hint_type? (MNEMONIC/CLUE/AI, default CLUE) }
+ */
+router.post("/cards/:flashcardId/hints", requireAuth, requireCardRole("EDITOR"), async (req, res) => {
+  const flashcardId = Number(req.params.flashcardId);
+  const { hintText, hintType, error } = readHintBody(req.body);
+
+  if (error) return res.status(400).json({ message: error });
+
+  try {
+    const insert = await query(
+      "INSERT INTO hint (flashcard_id, hint_text, hint_type) VALUES (?, ?, ?)",
+      [flashcardId, hintText, hintType]
+    );
+
+    res.status(201).json({
+      hint_id: insert.insertId,
+      flashcard_id: flashcardId,
+      hint_text: hintText,
+      hint_type: hintType,
+    });
+  } catch (err) {
+    console.error("Create hint error:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+/**
+ * PUT /api/cards/:flashcardId/hints/:hintId
+ * Body: { hint_text, hint_type? }
+ */
+router.put("/cards/:flashcardId/hints/:hintId", requireAuth, requireCardRole("EDITOR"), async (req, res) => {
+  const flashcardId = Number(req.params.flashcardId);
+  const hintId = Number(req.params.hintId);
+  const { hintText, hintType, error } = readHintBody(req.body);
+
+  if (error) return res.status(400).json({ message: error });
+
+  try {
+    const result = await query(
+      "UPDATE hint SET hint_text = ?, hint_type = ? WHERE hint_id = ? AND flashcard_id = ?",
+      [hintText, hintType, hintId, flashcardId]
+    );
+
+    if (result.affectedRows === 0) return res.status(404).json({ message: "Hint not found" });
+    res.json({ message: "Hint updated" });
+  } catch (err) {
+    console.error("Update hint error:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+/**
+ * DELETE /api/cards/:flashcardId/hints/:hintId
+ */
+router.delete("/cards/:flashcardId/hints/:hintId", requireAuth, requireCardRole("EDITOR"), async (req, res) => {
+  const flashcardId = Number(req.params.flashcardId);
+  const hintId = Number(req.params.hintId);
+
+  try {
+    const result = await query(
+      "DELETE FROM hint WHERE hint_id = ? AND flashcard_id = ?",
+      [hintId, flashcardId]
+    );
+
+    if (result.affectedRows === 0) return res.status(404).json({ message: "Hint not found" });
+    res.json({ message: "Hint deleted" });
+  } catch (err) {
+    console.error("Delete hint error:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+/**
+ * POST /api/cards/:flashcardId/hints/generate
+ * Generates structure / entity / first-letter hints from the card's answer (NLP service)
+ */
+router.post("/cards/:flashcardId/hints/generate", requireAuth, requireCardRole("EDITOR"), async (req, res) => {
+  const flashcardId = Number(req.params.flashcardId);
+
+  try {
+    const rows = await query(
+      "SELECT flashcard_id, answer FROM flashcard WHERE flashcard_id = ?",
+      [flashcardId]
+    );
+
+    if (rows.length === 0) return res.status(404).json({ message: "Flashcard not found" });
+
+    let hints;
+    try {
+      hints = await generateAutoHints(flashcardId, rows[0].answer);
+    } catch (e) {
+      console.error("NLP hints call failed:", e.message);
+      const { status, message } = nlpError(e);
+      return res.status(status).json({ message });
+    }
+
+    res.status(201).json({ flashcard_id: flashcardId, hints });
+  } catch (err) {
+    console.error("Generate hints error:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+/**
+ * POST /api/sets/:setId/hints/generate
+ * Body: { only_missing? (default true) }
+ * Generates hints for every card in a set (by default only cards without auto hints yet)
+ */
+router.post("/sets/:setId/hints/generate", requireAuth, requireSetRole("EDITOR"), async (req, res) => {
+  const setId = Number(req.params.setId);
+  const onlyMissing = req.body?.only_missing !== false;
+
+  try {
+    const cards = await query(
+      `SELECT f.flashcard_id, f.answer
+       FROM flashcard f
+       WHERE f.set_id = ?
+         ${onlyMissing ? `AND NOT EXISTS (
+           SELECT 1 FROM hint h
+           WHERE h.flashcard_id = f.flashcard_id
+             AND h.hint_type IN (${AUTO_HINT_TYPES.map(() => "?").join(",")})
+         )` : ""}
+       ORDER BY f.flashcard_id ASC`,
+      onlyMissing ? [setId, ...AUTO_HINT_TYPES] : [setId]
+    );
+
+    let hintsCreated = 0;
+    const failed = [];
+
+    for (const card of cards) {
+      try {
+        const hints = await generateAutoHints(card.flashcard_id, card.answer);
+        hintsCreated += hints.length;
+      } catch (e) {
+        failed.push({ flashcard_id: card.flashcard_id, message: nlpError(e).message });
+      }
+    }
+
+    res.json({
+      set_id: setId,
+      cards_processed: cards.length - failed.length,
+      hints_created: hintsCreated,
+      failed,
+    });
+  } catch (err) {
+    console.error("Generate set hints error:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// Export router + attach generator for reuse in practiceRoutes.js
+module.exports = router;
+module.exports.generateAutoHints = generateAutoHints;
+module.exports.HINT_TYPES = HINT_TYPES;
+module.exports.AUTO_HINT_TYPES = AUTO_HINT_TYPES;
@@ -0,0 +1,418 @@
+// server/routes/importRoutes.js
+const express = require("express");
+const db = require("../db");
+const { requireAuth } = require("../middleware/auth");
+const { requireSetRole } = require("../middleware/setAccess");
+const { withTransaction } = require("../utils/transaction");
+const { parseDelimited, parseAnkiText, resolveDelimiter } = require("../utils/importParsers");
+const { normalizeForFullSentence } = require("../utils/grading");
+const { BUNDLE_FORMAT, BUNDLE_VERSION } = require("./exportRoutes");
+const { HINT_TYPES, AUTO_HINT_TYPES } = require("./hintRoutes");
+
+const router = express.Router();
+
+/**
+ * Promise wrapper for db.query (mysql/mysql2 callback style)
+ */
+function query(sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.query(sql, params, (err, results) => {
+      if (err) return reject(err);
+      resolve(results);
+    });
+  });
+}
+
+// Import limits
+const MAX_IMPORT_ROWS = 5000;
+const PREVIEW_ROWS = 20;
+const INSERT_CHUNK = 500;
+
+const IMPORT_FORMATS = ["CSV", "TSV", "ANKI", "JSON"];
+
+/**
+ * Helper: resolve a column option (index or header name) to a field index
+ */
+function resolveColumn(value, headerNames, fallback) {
+  if (value === undefined || value === null || value === "") return fallback;
+
+  const n = Number(value);
+  if (Number.isInteger(n) && n >= 0) return n;
+
+  if (!headerNames) return -1;
+  const wanted = String(value).trim().toLowerCase();
+  return headerNames.findIndex((h) => String(h).trim().toLowerCase() === wanted);
+}
+
+/**
+ * Helper: read a JSON bundle (from GET /api/sets/:setId/export) given as text or object.
+ * Returns { bundle } or { error }
+ */
+function readBundle(content) {
+  let bundle = content;
+  if (typeof content === "string") {
+    try {
+      bundle = JSON.parse(content);
+    } catch {
+      return { error: "content is not valid JSON" };
+    }
+  }
+
+  if (!bundle || bundle.format !== BUNDLE_FORMAT || !Array.isArray(bundle.cards)) {
+    return { error: `content is not a ${BUNDLE_FORMAT} export` };
+  }
+  if (Number(bundle.version) > BUNDLE_VERSION) {
+    return { error: `Unsupported bundle version ${bundle.version}` };
+  }
+  return { bundle };
+}
+
+/**
+ * Helper: bundle cards -> import candidates (hints and variations travel with their card)
+ * restoreStats: also carry the bundle's stats (FORWARD / REVERSE) when it includes them
+ */
+function bundleCandidates(bundle, restoreStats = false) {
+  const withStats = restoreStats && bundle.includes_stats;
+  return bundle.cards.map((c, i) => ({
+    line: i + 1, // Card position in the bundle
+    question: String(c?.question ?? "").trim(),
+    answer: String(c?.answer ?? "").trim(),
+    hints: Array.isArray(c?.hints) ? c.hints : [],
+    variations: Array.isArray(c?.variations) ? c.variations : [],
+    stats: withStats
+      ? [
+          ["FORWARD", c?.stats],
+          ["REVERSE", c?.reverse_stats],
+        ].filter(([, row]) => row && typeof row === "object")
+      : [],
+  }));
+}
+
+/**
+ * Helper: hint type to store for an imported hint (unknown types become CLUE)
+ */
+function importHintType(value) {
+  const type = String(value || "").toUpperCase();
+  return HINT_TYPES.includes(type) || AUTO_HINT_TYPES.includes(type) ? type : "CLUE";
+}
+
+/**
+ * Helper: one exported stats row -> user_flashcard_stats values (clamped, bad dates become NULL)
+ */
+function statsValues(row) {
+  const num = (v, min, max, fallback) => {
+    const n = Number(v);
+    return Number.isFinite(n) ? Math.min(max, Math.max(min, n)) : fallback;
+  };
+  const date = (v) => {
+    const d = v ? new Date(v) : null;
+    return d && !Number.isNaN(d.getTime()) ? d : null;
+  };
+
+  return [
+    num(row.difficulty_rating, 0, 100, 0),
+    Math.round(num(row.times_seen, 0, 1e6, 0)),
+    Math.round(num(row.correct_count, 0, 1e6, 0)),
+    Math.round(num(row.incorrect_count, 0, 1e6, 0)),
+    num(row.avg_time_taken, 0, 9999, 0),
+    date(row.last_seen),
+    num(row.ease_factor, 1.3, 3.0, 2.5),
+    Math.round(num(row.interval_days, 0, 36500, 0)),
+    Math.round(num(row.repetitions, 0, 1e6, 0)),
+    Math.round(num(row.lapse_count, 0, 1e6, 0)),
+    date(row.due_at),
+  ];
+}
+
+/**
+ * Helper: split candidates into accepted / rejected (missing fields, duplicates)
+ */
+function validateCandidates(candidates, existing, allowDuplicates) {
+  const existingMap = new Map(existing.map((c) => [normalizeForFullSentence(c.question), c.flashcard_id]));
+  const seenInFile = new Map();
+
+  const accepted = [];
+  const rejected = [];
+
+  for (const c of candidates) {
+    const key = normalizeForFullSentence(c.question);
+
+    let reason = null;
+    if (!c.question) reason = "Missing question";
+    else if (!c.answer) reason = "Missing answer";
+    else if (!allowDuplicates && existingMap.has(key)) {
+      reason = `Duplicate of existing card ${existingMap.get(key)}`;
+    } else if (!allowDuplicates && seenInFile.has(key)) {
+      reason = `Duplicate of line ${seenInFile.get(key)}`;
+    }
+
+    if (reason) {
+      rejected.push({ line: c.line, question: c.question || null, reason });
+      continue;
+    }
+
+    seenInFile.set(key, c.line);
+    accepted.push(c);
+  }
+
+  return { accepted, rejected };
+}
+
+/**
+ * Helper: insert accepted cards (plus bundle hints / variations) inside a transaction
+ * statsUserId: restore the candidates' stats as this user's (backup restore); null leaves stats out
+ */
+async function insertCards(q, setId, accepted, statsUserId = null) {
+  const hasChildren = (c) => c.hints?.length || c.variations?.length || (statsUserId && c.stats?.length);
+  const plain = accepted.filter((c) => !hasChildren(c));
+  const withChildren = accepted.filter(hasChildren);
+
+  // Plain rows go in bulk
+  for (let i = 0; i < plain.length; i += INSERT_CHUNK) {
+    const chunk = plain.slice(i, i + INSERT_CHUNK);
+    await q(
+      "INSERT INTO flashcard (set_id, question, answer) VALUES ?",
+      [chunk.map((c) => [setId, c.question, c.answer])]
+    );
+  }
+
+  // Cards with hints / variations / stats need their new id
+  for (const c of withChildren) {
+    const insert = await q(
+      "INSERT INTO flashcard (set_id, question, answer) VALUES (?, ?, ?)",
+      [setId, c.question, c.answer]
+    );
+
+    for (const h of c.hints || []) {
+      if (!String(h?.hint_text || "").trim()) continue;
+      await q(
+        "INSERT INTO hint (flashcard_id, hint_text, hint_type) VALUES (?, ?, ?)",
+        [insert.insertId, String(h.hint_text).trim(), importHintType(h.hint_type)]
+      );
+    }
+
+    for (const v of c.variations || []) {
+      if (!v?.variation_type || !v?.blanked_text) continue;
+      await q(
+        `INSERT INTO flashcard_variation (flashcard_id, variation_type, blanked_text, first_letter_clues)
+         VALUES (?, ?, ?, ?)`,
+        [insert.insertId, String(v.variation_type).slice(0, 50), String(v.blanked_text), v.first_letter_clues || null]
+      );
+    }
+
+    if (!statsUserId) continue;
+    for (const [direction, row] of c.stats || []) {
+      await q(
+        `INSERT INTO user_flashcard_stats
+           (user_id, flashcard_id, direction, difficulty_rating, times_seen, correct_count, incorrect_count,
+            avg_time_taken, last_seen, ease_factor, interval_days, repetitions, lapse_count, due_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [statsUserId, insert.insertId, direction, ...statsValues(row)]
+      );
+    }
+  }
+}
+
+/**
+ * Helper: parse the uploaded text into { rows, headerNames } for the chosen format
+ */
+function parseImport({ format, content, delimiter, hasHeader }) {
+  if (format === "ANKI") {
+    const parsed = parseAnkiText(content, delimiter ? resolveDelimiter(delimiter, "\t") : null);
+    let rows = parsed.rows;
+    let headerNames = parsed.columnNames;
+
+    if (hasHeader && rows.length > 0) {
+      headerNames = rows[0].fields;
+      rows = rows.slice(1);
+    }
+    return { rows, headerNames };
+  }
+
+  const sep = resolveDelimiter(delimiter, format === "TSV" ? "\t" : ",");
+  let rows = parseDelimited(content, sep);
+  let headerNames = null;
+
+  if (hasHeader && rows.length > 0) {
+    headerNames = rows[0].fields;
+    rows = rows.slice(1);
+  }
+  return { rows, headerNames };
+}
+
+/**
+ * POST /api/sets/:setId/import
+ * Body: {
+ *   content,                       // file text (JSON: export bundle text or object)
+ *   format? (CSV/TSV/ANKI/JSON, default CSV),
+ *   delimiter? ("," ";" "tab" ...; default from format),
+ *   has_header? (default false),
+ *   columns? { question, answer } (index or header name; default 0 and 1),
+ *   allow_duplicates? (default false),
+ *   restore_stats? (JSON only, default false: the bundle's stats become the caller's own for the new cards),
+ *   dry_run? (default false)
+ * }
+ * Validates every row, rejects duplicates of existing questions (and of earlier rows),
+ * then inserts all accepted rows in one transaction. dry_run returns the same report without writing.
+ * restore_stats is for restoring your own backup (export with include_stats): review schedules come back with the cards.
+ * Needs the EDITOR role on the set.
+ */
+router.post("/sets/:setId/import", requireAuth, requireSetRole("EDITOR"), async (req, res) => {
+  const setId = Number(req.params.setId);
+
+  const {
+    content,
+    format = "CSV",
+    delimiter = null,
+    has_header = false,
+    columns = {},
+    allow_duplicates = false,
+    restore_stats = false,
+    dry_run = false,
+  } = req.body || {};
+
+  const fmt = String(format || "CSV").toUpperCase();
+  if (!IMPORT_FORMATS.includes(fmt)) {
+    return res.status(400).json({ message: `format must be one of ${IMPORT_FORMATS.join(", ")}` });
+  }
+
+  const isJsonObject = fmt === "JSON" && content && typeof content === "object";
+  if (!isJsonObject && (typeof content !== "string" || !content.trim())) {
+    return res.status(400).json({ message: "content is required (the file text)" });
+  }
+
+  try {
+    let candidates;
+    let headerNames = null;
+
+    if (fmt === "JSON") {
+      const { bundle, error } = readBundle(content);
+      if (error) return res.status(400).json({ message: error });
+      candidates = bundleCandidates(bundle, !!restore_stats);
+    } else {
+      const parsed = parseImport({
+        format: fmt,
+        content,
+        delimiter,
+        hasHeader: !!has_header,
+      });
+      headerNames = parsed.headerNames;
+
+      const qCol = resolveColumn(columns?.question, headerNames, 0);
+      const aCol = resolveColumn(columns?.answer, headerNames, 1);
+
+      if (qCol < 0 || aCol < 0) {
+        return res.status(400).json({ message: "Column mapping does not match the header row", header: headerNames });
+      }
+      if (qCol === aCol) {
+        return res.status(400).json({ message: "question and answer must map to different columns" });
+      }
+
+      candidates = parsed.rows.map((r) => ({
+        line: r.line,
+        question: String(r.fields[qCol] ?? "").trim(),
+        answer: String(r.fields[aCol] ?? "").trim(),
+      }));
+    }
+
+    if (candidates.length === 0) return res.status(400).json({ message: "No rows found in content" });
+    if (candidates.length > MAX_IMPORT_ROWS) {
+      return res.status(400).json({ message: `Too many rows (max ${MAX_IMPORT_ROWS} per import)` });
+    }
+
+    // Existing questions in the set for duplicate detection
+    const existing = await query("SELECT flashcard_id, question FROM flashcard WHERE set_id = ?", [setId]);
+    const { accepted, rejected } = validateCandidates(candidates, existing, !!allow_duplicates);
+
+    const report = {
+      set_id: setId,
+      format: fmt,
+      dry_run: !!dry_run,
+      total_rows: candidates.length,
+      accepted_count: accepted.length,
+      rejected_count: rejected.length,
+      rejected,
+    };
+
+    if (dry_run) {
+      return res.json({
+        ...report,
+        header: headerNames,
+        preview: accepted.slice(0, PREVIEW_ROWS).map((c) => ({
+          line: c.line,
+          question: c.question,
+          answer: c.answer,
+          hints: c.hints ? c.hints.length : 0,
+          variations: c.variations ? c.variations.length : 0,
+          stats: c.stats ? c.stats.length : 0,
+        })),
+      });
+    }
+
+    if (accepted.length === 0) {
+      return res.status(400).json({ ...report, message: "No valid rows to import" });
+    }
+
+    // All-or-nothing insert
+    await withTransaction((q) => insertCards(q, setId, accepted, req.user.userId));
+
+    res.status(201).json({
+      ...report,
+      imported_count: accepted.length,
+      restored_stats_count: accepted.reduce((sum, c) => sum + (c.stats ? c.stats.length : 0), 0),
+    });
+  } catch (err) {
+    console.error("Import error:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+/**
+ * POST /api/sets/import
+ * Body: { content (export bundle text or object), title? (overrides the bundle's title), restore_stats? (default false) }
+ * Creates a new set owned by the caller from a JSON export bundle (moving decks between accounts).
+ * Per-user stats in the bundle are only imported with restore_stats (restoring your own backup).
+ */
+router.post("/sets/import", requireAuth, async (req, res) => {
+  const { content, title, restore_stats = false } = req.body || {};
+
+  if (!content) return res.status(400).json({ message: "content is required (the export bundle)" });
+
+  const { bundle, error } = readBundle(content);
+  if (error) return res.status(400).json({ message: error });
+
+  const setTitle = String(title || bundle.set?.title || "").trim().slice(0, 120);
+  if (!setTitle) return res.status(400).json({ message: "title is required" });
+
+  const candidates = bundleCandidates(bundle, !!restore_stats);
+  if (candidates.length > MAX_IMPORT_ROWS) {
+    return res.status(400).json({ message: `Too many cards (max ${MAX_IMPORT_ROWS} per import)` });
+  }
+
+  const { accepted, rejected } = validateCandidates(candidates, [], false);
+
+  try {
+    const setId = await withTransaction(async (q) => {
+      const insert = await q(
+        "INSERT INTO flashcard_set (user_id, title, description) VALUES (?, ?, ?)",
+        [req.user.userId, setTitle, bundle.set?.description ? String(bundle.set.description).slice(0, 500) : null]
+      );
+      await insertCards(q, insert.insertId, accepted, req.user.userId);
+      return insert.insertId;
+    });
+
+    res.status(201).json({
+      set_id: setId,
+      title: setTitle,
+      imported_count: accepted.length,
+      restored_stats_count: accepted.reduce((sum, c) => sum + (c.stats ? c.stats.length : 0), 0),
+      rejected_count: rejected.length,
+      rejected,
+    });
+  } catch (err) {
+    console.error("Import set error:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,307 @@
+// server/routes/memberRoutes.js
+const express = require("express");
+const crypto = require("crypto");
+const db = require("../db");
+const { requireAuth } = require("../middleware/auth");
+const { ROLES, requireSetRole, isSetCreator } = require("../middleware/setAccess");
+const { withTransaction } = require("../utils/transaction");
+
+const router = express.Router();
+
+/**
+ * Promise wrapper for db.query (mysql/mysql2 callback style)
+ */
+function query(sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.query(sql, params, (err, results) => {
+      if (err) return reject(err);
+      resolve(results);
+    });
+  });
+}
+
+/**
+ * Helper: normalise + validate a role from the request body
+ */
+function readRole(value, fallback = "VIEWER") {
+  const role = String(value || fallback).trim().toUpperCase();
+  return ROLES.includes(role) ? role : null;
+}
+
+/**
+ * Helper: the caller's email (invitations are matched by email)
+ */
+async function getUserEmail(userId) {
+  const rows = await query("SELECT email FROM users WHERE user_id = ?", [userId]);
+  return rows[0] ? String(rows[0].email).toLowerCase() : null;
+}
+
+/**
+ * GET /api/sets/:setId/members
+ * Any member can see who else is on the set; owners also get pending invitations.
+ */
+router.get("/sets/:setId/members", requireAuth, requireSetRole("VIEWER"), async (req, res) => {
+  const setId = Number(req.params.setId);
+
+  try {
+    const members = await query(
+      `SELECT u.user_id, u.username, u.email, 'OWNER' AS role, s.created_at AS added_at, 1 AS is_creator
+       FROM flashcard_set s
+       JOIN users u ON u.user_id = s.user_id
+       WHERE s.set_id = ?
+       UNION ALL
+       SELECT u.user_id, u.username, u.email, sm.role, sm.added_at, 0 AS is_creator
+       FROM set_member sm
+       JOIN users u ON u.user_id = sm.user_id
+       WHERE sm.set_id = ?
+       ORDER BY is_creator DESC, added_at ASC`,
+      [setId, setId]
+    );
+
+    let invitations = [];
+    if (req.setRole === "OWNER") {
+      invitations = await query(
+        `SELECT invitation_id, email, role, created_at
+         FROM set_invitation
+         WHERE set_id = ? AND status = 'PENDING'
+         ORDER BY created_at ASC`,
+        [setId]
+      );
+    }
+
+    res.json({
+      set_id: setId,
+      my_role: req.setRole,
+      members: members.map((m) => ({ ...m, is_creator: !!Number(m.is_creator) })),
+      invitations,
+    });
+  } catch (err) {
+    console.error("Get members error:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+/**
+ * POST /api/sets/:setId/invitations
+ * Body: { email, role? (OWNER/EDITOR/VIEWER, default VIEWER) }
+ * Owners invite by email; the invitee accepts through POST /api/invitations/:invitationId/accept.
+ * Re-inviting the same email replaces its pending invitation.
+ */
+router.post("/sets/:setId/invitations", requireAuth, requireSetRole("OWNER"), async (req, res) => {
+  const setId = Number(req.params.setId);
+  const email = String(req.body?.email || "").trim().toLowerCase();
+  const role = readRole(req.body?.role);
+
+  if (!email || !email.includes("@")) return res.status(400).json({ message: "A valid email is required" });
+  if (!role) return res.status(400).json({ message: `role must be one of ${ROLES.join(", ")}` });
+
+  try {
+    // Already on the set?
+    const existing = await query(
+      `SELECT u.user_id
+       FROM users u
+       JOIN flashcard_set s ON s.set_id = ?
+       LEFT JOIN set_member sm ON sm.set_id = s.set_id AND sm.user_id = u.user_id
+       WHERE LOWER(u.email) = ? AND (s.user_id = u.user_id OR sm.user_id IS NOT NULL)`,
+      [setId, email]
+    );
+    if (existing.length > 0) {
+      return res.status(409).json({ message: "That user is already a member of this set" });
+    }
+
+    const token = crypto.randomBytes(16).toString("hex");
+
+    const invitationId = await withTransaction(async (q) => {
+      await q(
+        "UPDATE set_invitation SET status = 'REVOKED', responded_at = NOW() WHERE set_id = ? AND email = ? AND status = 'PENDING'",
+        [setId, email]
+      );
+      const insert = await q(
+        "INSERT INTO set_invitation (set_id, email, role, token, invited_by) VALUES (?, ?, ?, ?, ?)",
+        [setId, email, role, token, req.user.userId]
+      );
+      return insert.insertId;
+    });
+
+    res.status(201).json({ invitation_id: invitationId, set_id: setId, email, role, token });
+  } catch (err) {
+    console.error("Create invitation error:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+/**
+ * DELETE /api/sets/:setId/invitations/:invitationId
+ * Revokes a pending invitation (owners only)
+ */
+router.delete("/sets/:setId/invitations/:invitationId", requireAuth, requireSetRole("OWNER"), async (req, res) => {
+  try {
+    const result = await query(
+      `UPDATE set_invitation SET status = 'REVOKED', responded_at = NOW()
+       WHERE invitation_id = ? AND set_id = ? AND status = 'PENDING'`,
+      [req.params.invitationId, req.params.setId]
+    );
+
+    if (result.affectedRows === 0) return res.status(404).json({ message: "Invitation not found" });
+    res.json({ message: "Invitation revoked" });
+  } catch (err) {
+    console.error("Revoke invitation error:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+/**
+ * GET /api/invitations
+ * Pending invitations addressed to the caller's email
+ */
+router.get("/invitations", requireAuth, async (req, res) => {
+  try {
+    const email = await getUserEmail(req.user.userId);
+    if (!email) return res.status(404).json({ message: "User not found" });
+
+    const rows = await query(
+      `SELECT i.invitation_id, i.set_id, s.title AS set_title, i.role, i.created_at,
+              u.username AS invited_by_username
+       FROM set_invitation i
+       JOIN flashcard_set s ON s.set_id = i.set_id
+       LEFT JOIN users u ON u.user_id = i.invited_by
+       WHERE i.email = ? AND i.status = 'PENDING'
+       ORDER BY i.created_at DESC`,
+      [email]
+    );
+
+    res.json(rows);
+  } catch (err) {
+    console.error("Get invitations error:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+/**
+ * POST /api/invitations/:invitationId/accept
+ * POST /api/invitations/:invitationId/decline
+ * Only the user whose email was invited can respond.
+ */
+router.post("/invitations/:invitationId/:action", requireAuth, async (req, res) => {
+  const action = String(req.params.action || "").toLowerCase();
+  if (!["accept", "decline"].includes(action)) return res.status(404).json({ message: "Not found" });
+
+  try {
+    const email = await getUserEmail(req.user.userId);
+
+    const rows = await query(
+      "SELECT invitation_id, set_id, role FROM set_invitation WHERE invitation_id = ? AND email = ? AND status = 'PENDING'",
+      [req.params.invitationId, email]
+    );
+    if (rows.length === 0) return res.status(404).json({ message: "Invitation not found" });
+
+    const inv = rows[0];
+
+    if (action === "decline") {
+      await query(
+        "UPDATE set_invitation SET status = 'DECLINED', responded_at = NOW() WHERE invitation_id = ?",
+        [inv.invitation_id]
+      );
+      return res.json({ message: "Invitation declined" });
+    }
+
+    await withTransaction(async (q) => {
+      // The creator never needs a member row
+      const sets = await q("SELECT user_id FROM flashcard_set WHERE set_id = ?", [inv.set_id]);
+      if (sets.length > 0 && Number(sets[0].user_id) !== Number(req.user.userId)) {
+        await q(
+          `INSERT INTO set_member (set_id, user_id, role, added_by)
+           SELECT ?, ?, ?, invited_by FROM set_invitation WHERE invitation_id = ?
+           ON DUPLICATE KEY UPDATE role = VALUES(role)`,
+          [inv.set_id, req.user.userId, inv.role, inv.invitation_id]
+        );
+      }
+      await q(
+        "UPDATE set_invitation SET status = 'ACCEPTED', responded_at = NOW() WHERE invitation_id = ?",
+        [inv.invitation_id]
+      );
+    });
+
+    res.json({ message: "Invitation accepted", set_id: inv.set_id, role: inv.role });
+  } catch (err) {
+    console.error("Respond invitation error:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+/**
+ * Helper: is req.params.userId a member OWNER that only the creator may manage?
+ * (true when the target is another OWNER and the caller is not the set's creator)
+ */
+async function otherOwnerNeedsCreator(req) {
+  if (Number(req.params.userId) === Number(req.user.userId)) return false;
+  if (await isSetCreator(req.params.setId, req.user.userId)) return false;
+
+  const rows = await query("SELECT role FROM set_member WHERE set_id = ? AND user_id = ?", [
+    req.params.setId,
+    req.params.userId,
+  ]);
+  return rows[0]?.role === "OWNER";
+}
+
+/**
+ * PUT /api/sets/:setId/members/:userId
+ * Body: { role }
+ * Owners change a member's role (the set's creator always stays OWNER).
+ * Only the creator changes the role of another member OWNER.
+ */
+router.put("/sets/:setId/members/:userId", requireAuth, requireSetRole("OWNER"), async (req, res) => {
+  const role = readRole(req.body?.role, "");
+  if (!role) return res.status(400).json({ message: `role must be one of ${ROLES.join(", ")}` });
+
+  try {
+    if (await otherOwnerNeedsCreator(req)) {
+      return res.status(403).json({ message: "Only the set's creator can change another owner's role" });
+    }
+
+    const result = await query(
+      "UPDATE set_member SET role = ? WHERE set_id = ? AND user_id = ?",
+      [role, req.params.setId, req.params.userId]
+    );
+
+    if (result.affectedRows === 0) return res.status(404).json({ message: "Member not found" });
+    res.json({ message: "Member updated", role });
+  } catch (err) {
+    console.error("Update member error:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+/**
+ * DELETE /api/sets/:setId/members/:userId
+ * Owners remove members (only the creator removes another OWNER); any member can remove themselves (leave the set).
+ * Their own stats and practice history are kept.
+ */
+router.delete("/sets/:setId/members/:userId", requireAuth, requireSetRole("VIEWER"), async (req, res) => {
+  const isSelf = Number(req.params.userId) === Number(req.user.userId);
+
+  if (!isSelf && req.setRole !== "OWNER") {
+    return res.status(403).json({ message: "This action needs the OWNER role on the set" });
+  }
+
+  try {
+    if (!isSelf && (await otherOwnerNeedsCreator(req))) {
+      return res.status(403).json({ message: "Only the set's creator can remove another owner" });
+    }
+
+    const result = await query(
+      "DELETE FROM set_member WHERE set_id = ? AND user_id = ?",
+      [req.params.setId, req.params.userId]
+    );
+
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ message: "Member not found (the set's creator cannot be removed)" });
+    }
+    res.json({ message: isSelf ? "Left the set" : "Member removed" });
+  } catch (err) {
+    console.error("Remove member error:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+module.exports = router;
@@ -3,6 +3,14 @@ const axios = require("axios"); // Import axios (for calling NLP service)
 const db = require("../db"); // Import MySQL connection
 const { requireAuth } = require("../middleware/auth"); // Import JWT auth middleware
 const { completeSessionForUser } = require("./sessionRoutes"); // Import reusable session completion logic
+const { gradeAnswer, gradeBlanks, gradeChoice } = require("../utils/grading"); // Import answer grading engine
+const { generateAutoHints } = require("./hintRoutes"); // Import NLP hint generator
+const { getSetRole, hasRole, accessibleSetSql, accessParams } = require("../middleware/setAccess"); // Import set role checks
+const { MODE_NAMES, getMode, readState, writeState } = require("../practice/modes"); // Import practice mode engine
+const { saveCurrentPrompt } = require("../practice/prompts"); // Import served-prompt storage
+const { seededShuffle } = require("../practice/random"); // Import seeded shuffle
+const { parseDirection, statsDirections, cardDirection, orientCard } = require("../practice/direction"); // Import card direction helpers
+const { todayGoalStatus } = require("../utils/studyGoal"); // Import daily study goal progress
 
 
 const router = express.Router(); // Create Express router
@@ -23,227 +31,155 @@ function clamp(n, min, max) { // Define clamp function
   return Math.max(min, Math.min(max, n)); // Return clamped value
 }
 
-// Count words in a string (simple)
-function countWords(text) { // Define word counter
-  const s = String(text || "").trim(); // Convert to string and trim
-  if (!s) return 0; // If empty string, return 0
-  return s.split(/\s+/).filter(Boolean).length; // Split on whitespace and count
+// Get session (and ensure it belongs to the user) + completion info
+async function getSession(sessionId, userId) {
+  const rows = await query(
+    `SELECT session_id, set_id, difficulty_mode,
+            display_time_per_card, answer_time_limit,
+            card_order_json, session_state_json,
+            current_prompt_json,
+            started_at, completed_at, final_score,
+            status, paused_at, total_paused_seconds
+     FROM practice_session
+     WHERE session_id = ? AND user_id = ?`, // Session query
+    [sessionId, userId] // Params
+  );
+  return rows[0] || null; // Return session row or null
 }
 
-// Get user's calibrated words_per_second (fallback to default)
-async function getUserWordsPerSecond(userId) { // Define calibration fetch
-  const rows = await query( // Query DB
-    "SELECT words_per_second FROM user_calibration WHERE user_id = ?", // Select calibration
-    [userId] // Params
-  );
 
-  if (rows.length === 0) return 2.5; // Default reading speed if not calibrated
-  const wps = Number(rows[0].words_per_second); // Convert to number
-  if (!Number.isFinite(wps) || wps <= 0) return 2.5; // Safety fallback
-  return clamp(wps, 1.0, 6.0); // Clamp to sensible range
-}
+// Answers arriving this long after the limit still count (network / render delay)
+const ANSWER_GRACE_SECONDS = 3;
 
-// Get per-user difficulty rating for a flashcard (fallback 50)
-async function getUserDifficultyRating(userId, flashcardId) { // Define difficulty fetch
-  const rows = await query( // Query DB
-    "SELECT difficulty_rating FROM user_flashcard_stats WHERE user_id = ? AND flashcard_id = ?", // Select rating
-    [userId, flashcardId] // Params
-  );
+// Longest typed answer accepted (grading is O(n*m) edit distance on the event loop)
+// Cards with long answers allow twice their answer's length instead
+const MAX_ANSWER_CHARS = 2000;
 
-  if (rows.length === 0) return 50; // Default difficulty if no stats
-  const rating = Number(rows[0].difficulty_rating); // Convert to number
-  if (!Number.isFinite(rating)) return 50; // Safety fallback
-  return clamp(rating, 0, 100); // Clamp 0..100
-}
 
-// Compute adaptive time (seconds) using reading speed + difficulty + modifier
-async function computeAdaptiveTimeSeconds({ // Define adaptive timing calculator
-  userId, // User id
-  flashcardId, // Flashcard id
-  textForTiming, // Text whose length determines timing
-  readingSpeedModifier, // User preference multiplier
-}) {
-  const wps = await getUserWordsPerSecond(userId); // Fetch words per second
-  const rating = await getUserDifficultyRating(userId, flashcardId); // Fetch difficulty rating
-
-  const wordCount = Math.max(1, countWords(textForTiming)); // Count words (min 1)
-
-  const baseSeconds = wordCount / wps; // Base time from reading speed
-
-  const difficultyMultiplier = 0.9 + (rating / 100) * 0.7; // 0.9 (easy) -> 1.6 (hard)
-
-  const modifier = Number(readingSpeedModifier || 1.0); // Convert modifier to number
-  const safeModifier = Number.isFinite(modifier) ? clamp(modifier, 0.5, 2.0) : 1.0; // Clamp modifier
-
-  const raw = baseSeconds * difficultyMultiplier * safeModifier; // Compute raw time
-
-  const seconds = clamp(raw, 3, 20); // Clamp final time to 3..20 seconds
-
-  return { // Return both final seconds and debug info
-    seconds: Number(seconds.toFixed(2)), // Rounded seconds
-    debug: { // Debug info object
-      word_count: wordCount, // Words in text
-      words_per_second: Number(wps.toFixed(2)), // Calibrated speed
-      difficulty_rating: rating, // Rating 0..100
-      difficulty_multiplier: Number(difficultyMultiplier.toFixed(2)), // Multiplier
-      reading_speed_modifier: Number(safeModifier.toFixed(2)), // Modifier
-      base_seconds: Number(baseSeconds.toFixed(2)), // Base time
-      raw_seconds: Number(raw.toFixed(2)), // Raw time before clamp
-      final_seconds: Number(seconds.toFixed(2)), // Final time
-    },
-  };
-}
+// Server-side timing of an answer to the served prompt (submitAnswer only grades an open prompt).
+// Legacy prompts stored without served_at fall back to the client's time_taken and are never timed out.
+function answerTiming(prompt, clientTimeTaken) {
+  const clientSeconds =
+    clientTimeTaken !== null && clientTimeTaken !== undefined && Number.isFinite(Number(clientTimeTaken))
+      ? Math.max(0, Math.round(Number(clientTimeTaken)))
+      : null;
 
-// Count "blanks" in blanked_text (underscore runs like ____ or r________)
-function countBlanks(blankedText) {
-  const s = String(blankedText || "");
-  if (!s) return 0;
-  const matches = s.match(/_{2,}/g); // runs of 2+ underscores
-  return matches ? matches.length : 0;
-}
+  if (!prompt.served_at) {
+    return { served_at: null, time_taken: clientSeconds, answer_time_limit: null, timed_out: false };
+  }
 
-// Adaptive ANSWER time (seconds) based on:
-// - user reading speed (wps)
-// - per-user difficulty_rating (0..100)
-// - question + (answer OR blanked_text) word count
-// - number of blanks
-async function computeAdaptiveAnswerLimitSeconds({
-  userId,
-  flashcardId,
-  questionText,
-  answerText,
-  blankedText,               // optional (if blanks mode)
-  baseAnswerLimitSeconds,    // session.answer_time_limit (e.g. 120)
-  readingSpeedModifier,      // settings.reading_speed_modifier
-}) {
-  const wps = await getUserWordsPerSecond(userId);
-  const rating = await getUserDifficultyRating(userId, flashcardId);
-
-  const qWords = countWords(questionText);
-  const aWords = countWords(answerText);
-  const bWords = countWords(blankedText);
-
-  // If blanks exist, user reads question + blanked text; else question + answer
-  const totalWordsToProcess = blankedText ? (qWords + bWords) : (qWords + aWords);
-
-  const blanks = countBlanks(blankedText);
-
-  const baseLimit = Number(baseAnswerLimitSeconds || 120);
-  const safeBase = Number.isFinite(baseLimit) ? clamp(baseLimit, 30, 300) : 120;
-
-  const modifier = Number(readingSpeedModifier || 1.0);
-  const safeModifier = Number.isFinite(modifier) ? clamp(modifier, 0.5, 2.0) : 1.0;
-
-  // Model:
-  // - reading/thinking time depends on words and wps
-  // - difficulty scales it up
-  // - blanks add fixed overhead
-  const readingThinkingSeconds = (Math.max(1, totalWordsToProcess) / wps) * 2.0;
-  const difficultyMultiplier = 1.0 + (rating / 100) * 0.8; // 1.0..1.8
-  const blanksPenalty = blanks * 1.5; // seconds per blank
-
-  const raw =
-    (safeBase * 0.6) +
-    (readingThinkingSeconds * difficultyMultiplier * 4) +
-    blanksPenalty;
-
-  const finalSeconds = clamp(raw * safeModifier, 30, 300);
+  const servedAt = new Date(prompt.served_at);
+  const elapsed = Math.max(0, (Date.now() - servedAt.getTime()) / 1000); // Seconds since the card was served
+  const limit = Number(prompt.answer_time_limit);
+  const hasLimit = Number.isFinite(limit) && limit > 0;
 
   return {
-    seconds: Math.round(finalSeconds),
-    debug: {
-      words_per_second: Number(wps.toFixed(2)),
-      difficulty_rating: rating,
-      question_words: qWords,
-      answer_words: aWords,
-      blanked_words: bWords,
-      total_words_used: totalWordsToProcess,
-      blanks_count: blanks,
-      base_answer_limit: safeBase,
-      difficulty_multiplier: Number(difficultyMultiplier.toFixed(2)),
-      reading_speed_modifier: Number(safeModifier.toFixed(2)),
-      raw_seconds: Number(raw.toFixed(2)),
-      final_seconds: Math.round(finalSeconds),
-    },
+    served_at: servedAt,
+    time_taken: Math.round(elapsed),
+    answer_time_limit: hasLimit ? limit : null,
+    timed_out: hasLimit && elapsed > limit + ANSWER_GRACE_SECONDS,
   };
 }
 
 
-
-// Deterministic PRNG (seeded randomness)
-function mulberry32(seed) {
-  let a = seed >>> 0; // Force unsigned 32-bit
-  return function () {
-    a |= 0; // Force int32
-    a = (a + 0x6D2B79F5) | 0; // Advance seed
-    let t = Math.imul(a ^ (a >>> 15), 1 | a); // Mix bits
-    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t; // Mix bits more
-    return ((t ^ (t >>> 14)) >>> 0) / 4294967296; // Return [0,1)
-  };
-}
+// Sessions started before the mode engine have no session_state_json and cannot be continued
+const LEGACY_SESSION_MESSAGE = "This session predates the practice mode engine and cannot be continued. Start a new session.";
 
 
-// Seeded shuffle for stable random ordering per session
-function seededShuffle(arr, seed) {
-  const rng = mulberry32(seed); // Create RNG from seed
-  const a = [...arr]; // Clone array so we don’t mutate original
-  for (let i = a.length - 1; i > 0; i--) {
-    const j = Math.floor(rng() * (i + 1)); // Pick swap index
-    [a[i], a[j]] = [a[j], a[i]]; // Swap elements
-  }
-  return a; // Return shuffled array
+// Reject actions on a paused session (409 so the client can offer "resume")
+function rejectIfPaused(session, res) {
+  if (String(session.status) !== "PAUSED") return false; // Not paused, carry on
+  res.status(409).json({ message: "Session is paused", status: "PAUSED", paused_at: session.paused_at });
+  return true;
 }
 
 
-// Check if flashcard set belongs to the logged-in user
-async function ensureSetOwnership(setId, userId) {
-  const rows = await query(
-    "SELECT set_id FROM flashcard_set WHERE set_id = ? AND user_id = ?", // Ownership query
-    [setId, userId] // Params
-  );
-  return rows.length > 0; // True if owned
+// Ask the NLP service how close two texts are in meaning (0..1)
+async function fetchSemanticSimilarity(textA, textB) {
+  const nlpUrl = (process.env.NLP_URL || "http://127.0.0.1:6000").trim(); // NLP base URL
+  const axRes = await axios.post(`${nlpUrl}/similarity`, { text_a: textA, text_b: textB }, { timeout: 8000 });
+  const sim = Number(axRes.data?.similarity);
+  return Number.isFinite(sim) ? clamp(sim, 0, 1) : 0;
 }
 
-// Get session (and ensure it belongs to the user) + completion info
-async function getSession(sessionId, userId) {
-  const rows = await query(
-    `SELECT session_id, set_id, difficulty_mode,
-            display_time_per_card, answer_time_limit,
-            card_order_json, easy_phase, easy_index,
-            moderate_phase, moderate_group_index, moderate_preview_index, 
-            moderate_test_index,
-            hard_phase, hard_preview_index, hard_queue,
-            completed_at, final_score
-     FROM practice_session
-     WHERE session_id = ? AND user_id = ?`, // Session query
-    [sessionId, userId] // Params
+
+// Pick card ids for a DUE session (optionally within one set):
+// due/overdue cards first (most overdue first), then up to newCardsLimit never-seen cards.
+// Schedules are per direction: MIXED counts a card as due (or new) when either direction is.
+async function selectDueCardIds(userId, setId, newCardsLimit, direction = "FORWARD") {
+  const directions = statsDirections(direction);
+  const dirSql = directions.map(() => "?").join(",");
+  const params = [userId, ...directions, ...accessParams(userId)]; // Stats join + set access
+  const setFilter = setId ? "AND s.set_id = ?" : "";
+  if (setId) params.push(setId);
+
+  // Stats rows without a schedule (seen before the scheduler existed) count as due now
+  const dueRows = await query(
+    `SELECT f.flashcard_id, MIN(ufs.due_at IS NOT NULL) AS scheduled, MIN(ufs.due_at) AS first_due
+     FROM flashcard f
+     JOIN flashcard_set s ON s.set_id = f.set_id
+     JOIN user_flashcard_stats ufs
+       ON ufs.flashcard_id = f.flashcard_id AND ufs.user_id = ? AND ufs.direction IN (${dirSql})
+     WHERE ${accessibleSetSql("s")} ${setFilter}
+       AND (ufs.due_at IS NULL OR ufs.due_at <= NOW())
+     GROUP BY f.flashcard_id
+     ORDER BY scheduled, first_due ASC, f.flashcard_id ASC`,
+    params
   );
-  return rows[0] || null; // Return session row or null
-}
 
+  let newRows = [];
+  const dueSet = new Set(dueRows.map((r) => Number(r.flashcard_id)));
+  if (newCardsLimit > 0) {
+    newRows = await query(
+      `SELECT f.flashcard_id
+       FROM flashcard f
+       JOIN flashcard_set s ON s.set_id = f.set_id
+       LEFT JOIN user_flashcard_stats ufs
+         ON ufs.flashcard_id = f.flashcard_id AND ufs.user_id = ? AND ufs.direction IN (${dirSql})
+       WHERE ${accessibleSetSql("s")} ${setFilter}
+       GROUP BY f.flashcard_id
+       HAVING COUNT(ufs.flashcard_id) < ?
+       ORDER BY f.flashcard_id ASC
+       LIMIT ?`,
+      [...params, directions.length, newCardsLimit + dueSet.size] // Room for cards already picked as due
+    );
+  }
 
-// MODERATE helper: shuffle WITHIN each group (not across groups)
-function orderCardsModerate(cards, groupSize, seed, randomize) {
-  const gs = Math.max(1, Number(groupSize) || 5); // Ensure group size >= 1
-  const out = []; // Output array
+  return {
+    dueIds: [...dueSet],
+    newIds: newRows.map((r) => Number(r.flashcard_id)).filter((id) => !dueSet.has(id)).slice(0, newCardsLimit),
+  };
+}
 
 
-  for (let start = 0; start < cards.length; start += gs) {
-    const group = cards.slice(start, start + gs); // Take one group slice
-    if (randomize) {
-      const groupIndex = Math.floor(start / gs); // Which group number
-      out.push(...seededShuffle(group, seed + groupIndex * 101)); // Shuffle within group
-    } else {
-      out.push(...group); // Keep group order
-    }
+// Load the cards a session practises:
+// ALL -> every card in the set, DUE -> only the cards chosen at start (may span several sets)
+async function getSessionCards(session, settings, userId) {
+  if (String(settings.card_selection || "ALL") !== "DUE") {
+    return query(
+      `SELECT flashcard_id, set_id, question, answer
+       FROM flashcard
+       WHERE set_id = ?
+       ORDER BY flashcard_id ASC`,
+      [session.set_id]
+    );
   }
 
+  const ids = safeJsonParse(session.card_order_json || "[]", []).map(Number).filter(Boolean);
+  if (ids.length === 0) return [];
 
-  return out; // Return grouped ordering
+  return query(
+    `SELECT f.flashcard_id, f.set_id, f.question, f.answer
+     FROM flashcard f
+     JOIN flashcard_set s ON s.set_id = f.set_id
+     WHERE ${accessibleSetSql("s")} AND f.flashcard_id IN (${ids.map(() => "?").join(",")})
+     ORDER BY f.flashcard_id ASC`,
+    [...accessParams(userId), ...ids]
+  );
 }
 
 
-// Safe JSON parse for HARD queue
+// Safe JSON parse for stored JSON columns
 function safeJsonParse(text, fallback) {
   try {
     return JSON.parse(text); // Parse JSON
@@ -253,14 +189,27 @@ function safeJsonParse(text, fallback) {
 }
 
 
+// Today's study goal progress for the end screen (null if it cannot be read; never fails the response)
+async function goalStatusOrNull(userId) {
+  try {
+    return await todayGoalStatus(userId); // { minutes, goal_minutes, met, message, ... }
+  } catch (e) {
+    console.error("Goal status failed:", e.message); // Log and carry on
+    return null;
+  }
+}
+
+
 // Build a compact summary for the frontend end screen (with top 3 hardest cards)
 async function buildCompactSummary(completion, mode, totalCards, setId) {
   const totalAttempts = Number(completion.total_attempts || 0);         // Total attempts
   const totalCorrect = Number(completion.total_correct || 0);            // Total correct
   const totalIncorrect = Math.max(0, totalAttempts - totalCorrect);       // Total incorrect
   const accuracy = totalAttempts > 0 ? totalCorrect / totalAttempts : 0;   // Accuracy fraction 0..1
+  const totalCredit = Number(completion.total_credit ?? totalCorrect);     // Partial credit earned
+  const averageScore = totalAttempts > 0 ? totalCredit / totalAttempts : 0; // Mean answer score 0..1
   const cardsAttempted = Array.isArray(completion.updated_cards)           // Unique cards attempted
-    ? completion.updated_cards.length
+    ? new Set(completion.updated_cards.map((x) => Number(x.flashcardId))).size
     : 0;
 
 
@@ -275,27 +224,32 @@ async function buildCompactSummary(completion, mode, totalCards, setId) {
   const topIds = topHard.map((x) => Number(x.flashcardId)).filter(Boolean);     // Extract IDs
 
 
-  let topCards = [];                                                           // Will become [{flashcard_id, question, difficulty_rating}]
+  let topCards = [];                                                           // Will become [{flashcard_id, direction, question, difficulty_rating}]
   if (topIds.length > 0) {
-    // Fetch questions for those cards (ensure they belong to the set for safety)
+    // Fetch questions for those cards (ensure they belong to the set for safety;
+    // cross-set DUE sessions have no set, their ids come from the user's own completion)
     const rows = await query(
-      `SELECT flashcard_id, question
+      `SELECT flashcard_id, question, answer
        FROM flashcard
-       WHERE set_id = ? AND flashcard_id IN (${topIds.map(() => "?").join(",")})`,
-      [setId, ...topIds]
+       WHERE ${setId ? "set_id = ? AND" : ""} flashcard_id IN (${topIds.map(() => "?").join(",")})`,
+      setId ? [setId, ...topIds] : topIds
     );
 
 
-    // Map id -> question
-    const qMap = new Map(rows.map((r) => [Number(r.flashcard_id), r.question]));
+    // Map id -> card
+    const cardMap = new Map(rows.map((r) => [Number(r.flashcard_id), r]));
 
 
-    // Build ordered list (keep the same “hardest first” order)
-    topCards = topHard.map((x) => ({
-      flashcard_id: Number(x.flashcardId),
-      question: qMap.get(Number(x.flashcardId)) || null,
-      difficulty_rating: Number(x.difficulty_rating || 0),
-    }));
+    // Build ordered list (keep the same “hardest first” order), showing the side that was asked
+    topCards = topHard.map((x) => {
+      const card = cardMap.get(Number(x.flashcardId));
+      return {
+        flashcard_id: Number(x.flashcardId),
+        direction: x.direction || "FORWARD",
+        question: card ? orientCard(card, x.direction).question : null,
+        difficulty_rating: Number(x.difficulty_rating || 0),
+      };
+    });
   }
 
 
@@ -306,7 +260,8 @@ async function buildCompactSummary(completion, mode, totalCards, setId) {
     total_correct: totalCorrect,           // Correct
     total_incorrect: totalIncorrect,       // Incorrect
     accuracy,                              // 0..1
-    cards_total: Number(totalCards || 0),     // Cards in set
+    average_score: Number(averageScore.toFixed(3)), // Mean partial credit 0..1
+    cards_total: Number(totalCards || 0),     // Cards in session
     cards_attempted: cardsAttempted,      // Unique cards attempted
     top_hardest_cards: topCards,          //  Top 3 hardest
   };
@@ -324,36 +279,122 @@ router.post("/start", requireAuth, async (req, res) => {
   try {
     const {
       set_id, // Set to practice
-      difficulty_mode = "EASY", // EASY/MODERATE/HARD
+      difficulty_mode = "EASY", // EASY/MODERATE/HARD/CRAM/SPRINT (see practice/modes)
+      mode_options = {}, // Mode-specific options (e.g. SPRINT: { time_budget_seconds })
       display_time_per_card = null, // reading time (how long card is shown before answering)
       answer_time_limit = null, // answering time limit (default 2 minutes)
       group_size = 5, // MODERATE grouping size
-      randomize_order = true, // Shuffle option
+      randomize_order = null, // Shuffle option (null = shuffle ALL sessions, keep DUE sessions most overdue first)
       use_adaptive_timing = false, // legacy (kept for backward compatibility)
       use_adaptive_preview_timing = null, // new (null means "inherit from legacy")
       use_adaptive_answer_timing = null,  // new (null means "inherit from legacy")
       reading_speed_modifier = 1.0, // User-controlled timing modifier (e.g. 0.8 for 20% faster, 1.2 for 20% slower)
-      prompt_type = "NORMAL_HIDDEN", // NORMAL_HIDDEN or NLP variation type
+      prompt_type = "NORMAL_HIDDEN", // NORMAL_HIDDEN, MULTIPLE_CHOICE or NLP variation type
       blank_ratio = null, // For random blanking types
       seed = null, // For deterministic randomness
+      card_selection = "ALL", // ALL (whole set) or DUE (due/overdue cards, set_id optional)
+      new_cards_limit = 10, // DUE only: max never-seen cards added to the session
+      grading_mode = "FUZZY", // STRICT (exact match), FUZZY (partial credit) or SEMANTIC (accepts paraphrases)
+      pass_threshold = null, // Score (0..1) needed to count as correct
+      semantic_threshold = null, // SEMANTIC: NLP similarity (0..1) needed to accept a paraphrase
+      retry_incorrect = false, // EASY/MODERATE: re-ask wrong cards at the end of the session/group
+      max_retries = 2, // Repeats allowed per card when retry_incorrect is on
+      direction = null, // FORWARD/REVERSE/MIXED (null = the set's practice_direction)
     } = req.body || {}; // Default to {} if missing body
 
 
-    if (!set_id) return res.status(400).json({ message: "set_id is required" }); // Validate set_id
+    const mode = getMode(difficulty_mode); // Practice mode strategy
+    if (!mode) {
+      return res.status(400).json({ message: `difficulty_mode must be one of ${MODE_NAMES.join(", ")}` }); // Validate mode
+    }
+
+    let modeOptions = {}; // Validated mode options
+    try {
+      modeOptions = mode.parseOptions ? mode.parseOptions(mode_options || {}) : {};
+    } catch (e) {
+      if (e.status) return res.status(e.status).json({ message: e.message }); // Invalid option
+      throw e;
+    }
+
+    const selection = String(card_selection || "ALL").toUpperCase(); // Normalise selection
+    if (!["ALL", "DUE"].includes(selection)) {
+      return res.status(400).json({ message: "card_selection must be ALL or DUE" }); // Validate selection
+    }
+
+    if (!set_id && selection !== "DUE") return res.status(400).json({ message: "set_id is required" }); // Validate set_id
+
+    const gradingMode = String(grading_mode || "FUZZY").toUpperCase(); // Normalise grading mode
+    if (!["STRICT", "FUZZY", "SEMANTIC"].includes(gradingMode)) {
+      return res.status(400).json({ message: "grading_mode must be STRICT, FUZZY or SEMANTIC" }); // Validate grading mode
+    }
 
+    let passThreshold = Number(pass_threshold); // Parse pass threshold
+    if (pass_threshold === null || pass_threshold === undefined || !Number.isFinite(passThreshold)) passThreshold = 0.9; // Default
+    passThreshold = clamp(passThreshold, 0.5, 1.0); // Keep it meaningful
 
-    const ok = await ensureSetOwnership(set_id, req.user.userId); // Check set ownership
-    if (!ok) return res.status(404).json({ message: "Set not found" }); // If not owned, 404
+    let semanticThreshold = Number(semantic_threshold); // Parse semantic threshold
+    if (semantic_threshold === null || semantic_threshold === undefined || !Number.isFinite(semanticThreshold)) semanticThreshold = 0.8; // Default
+    semanticThreshold = clamp(semanticThreshold, 0.5, 1.0); // Keep it meaningful
+
+    let maxRetries = Math.floor(Number(max_retries)); // Parse retry cap
+    if (!Number.isFinite(maxRetries)) maxRetries = 2; // Default
+    maxRetries = clamp(maxRetries, 1, 5); // At most 5 repeats per card
+
+
+    let practiceDirection = null; // Side asked
+    if (direction !== null && direction !== undefined) {
+      practiceDirection = parseDirection(direction);
+      if (!practiceDirection) {
+        return res.status(400).json({ message: "direction must be FORWARD, REVERSE or MIXED" }); // Validate direction
+      }
+    }
+
+
+    if (set_id) {
+      const role = await getSetRole(set_id, req.user.userId); // Any member role may practise
+      if (!role) return res.status(404).json({ message: "Set not found" }); // No access, 404
+
+      if (!practiceDirection) {
+        const setRows = await query("SELECT practice_direction FROM flashcard_set WHERE set_id = ?", [set_id]);
+        practiceDirection = parseDirection(setRows[0]?.practice_direction); // Set default
+      }
+    }
+    if (!practiceDirection) practiceDirection = "FORWARD"; // Cross-set review default
+
+    // Cap on new cards for DUE sessions (0 = reviews only)
+    let newCardsLimit = Number(new_cards_limit);
+    if (!Number.isFinite(newCardsLimit) || newCardsLimit < 0) newCardsLimit = 10;
+    newCardsLimit = Math.min(500, Math.floor(newCardsLimit));
+
+    // Pick the session's cards before creating the session (DUE may find nothing to study)
+    let ids = [];
+    let dueCount = 0;
+    let newCount = 0;
+
+    if (selection === "DUE") {
+      const picked = await selectDueCardIds(req.user.userId, set_id || null, newCardsLimit, practiceDirection);
+      ids = [...picked.dueIds, ...picked.newIds];
+      dueCount = picked.dueIds.length;
+      newCount = picked.newIds.length;
+
+      if (ids.length === 0) {
+        return res.status(400).json({ message: "No cards are due for review" });
+      }
+    } else {
+      const cardIdRows = await query(
+        `SELECT flashcard_id
+        FROM flashcard
+        WHERE set_id = ?
+        ORDER BY flashcard_id ASC`,
+        [set_id]
+      );
+      ids = cardIdRows.map(r => Number(r.flashcard_id)).filter(Boolean);
+    }
 
     // Decide display (reading) time default based on mode
     let displayTime = Number(display_time_per_card); // Use new field if provided
 
-    if (!Number.isFinite(displayTime) || displayTime <= 0) { // If not provided
-      if (String(difficulty_mode) === "EASY") displayTime = 5;
-      else if (String(difficulty_mode) === "MODERATE") displayTime = 10;
-      else if (String(difficulty_mode) === "HARD") displayTime = 10;
-      else displayTime = 10;
-    }
+    if (!Number.isFinite(displayTime) || displayTime <= 0) displayTime = mode.defaultDisplayTime || 10; // Mode default
 
     // Decide answer time limit default (2 minutes)
     let answerLimit = Number(answer_time_limit); // Parse answer limit
@@ -362,62 +403,17 @@ router.post("/start", requireAuth, async (req, res) => {
     const sessionInsert = await query(
       `INSERT INTO practice_session (user_id, set_id, difficulty_mode, display_time_per_card, answer_time_limit)
        VALUES (?, ?, ?, ?, ?)`, // Insert session row
-      [req.user.userId, set_id, difficulty_mode, displayTime, answerLimit] // Values
+      [req.user.userId, set_id || null, mode.name, displayTime, answerLimit] // Values
     );
 
 
     const session_id = sessionInsert.insertId; // Grab new session ID
-    
-    // Build and store a stable card order for this session + initialize phases
-    const cardIdRows = await query(
-      `SELECT flashcard_id
-      FROM flashcard
-      WHERE set_id = ?
-      ORDER BY flashcard_id ASC`,
-      [set_id]
-    );
 
-    const ids = cardIdRows.map(r => Number(r.flashcard_id)).filter(Boolean);
-
-    // 
+    // Stable card order for this session
     const sessionSeed = seed !== null && seed !== undefined ? Number(seed) : session_id;
-    const orderedIds = randomize_order ? seededShuffle(ids, sessionSeed) : ids;
-
-    const updates = [];
-    const params = [];
-
-    // Always store card order for ALL modes (useful for consistency)
-    updates.push("card_order_json = ?");
-    params.push(JSON.stringify(orderedIds));
-
-    // Initialize only the chosen mode
-    if (String(difficulty_mode) === "EASY") {
-      updates.push("easy_phase = 'PREVIEW'");
-      updates.push("easy_index = 0");
-    }
-
-    if (String(difficulty_mode) === "MODERATE") {
-      updates.push("moderate_phase = 'PREVIEW'");
-      updates.push("moderate_group_index = 0");
-      updates.push("moderate_preview_index = 0");
-      updates.push("moderate_test_index = 0");
-    }
-
-    if (String(difficulty_mode) === "HARD") {
-      updates.push("hard_phase = 'PREVIEW'");
-      updates.push("hard_preview_index = 0");
-      updates.push("hard_queue = NULL");
-    }
-
-    // finalize update
-    params.push(session_id);
-
-    await query(
-      `UPDATE practice_session
-      SET ${updates.join(", ")}
-      WHERE session_id = ?`,
-      params
-    );
+    const shuffle =
+      randomize_order === null || randomize_order === undefined ? selection !== "DUE" : !!randomize_order;
+    const orderedIds = shuffle ? seededShuffle(ids, sessionSeed) : ids;
 
     // Backward compatible behavior:
     // If new toggles are omitted (null), inherit from legacy use_adaptive_timing.
@@ -436,12 +432,14 @@ router.post("/start", requireAuth, async (req, res) => {
       `INSERT INTO practice_settings
        (session_id, group_size, randomize_order, 
        use_adaptive_timing, use_adaptive_preview_timing, use_adaptive_answer_timing, 
-       reading_speed_modifier, prompt_type, blank_ratio, seed)
-       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`, // Insert settings row
+       reading_speed_modifier, prompt_type, blank_ratio, seed,
+       card_selection, new_cards_limit, grading_mode, pass_threshold, semantic_threshold,
+       retry_incorrect, max_retries, direction)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`, // Insert settings row
       [
         session_id, // FK to session
         group_size, // Store group size
-        !!randomize_order, // Store boolean shuffle
+        shuffle, // Store boolean shuffle
 
         //legacy and new split toggles
         !!use_adaptive_timing, // Store boolean adaptive timing
@@ -452,11 +450,41 @@ router.post("/start", requireAuth, async (req, res) => {
         String(prompt_type), // Store prompt type
         blank_ratio !== null && blank_ratio !== undefined ? Number(blank_ratio) : null, // Store blank ratio
         seed !== null && seed !== undefined ? Number(seed) : session_id, // Default seed to session_id
+        selection, // Store card selection
+        selection === "DUE" ? newCardsLimit : null, // Store new card cap (DUE only)
+        gradingMode, // Store grading mode
+        passThreshold, // Store pass threshold
+        semanticThreshold, // Store semantic threshold
+        !!retry_incorrect, // Store retry-wrong-cards option
+        maxRetries, // Store retry cap
+        practiceDirection, // Store direction
       ]
     );
 
+    // Store the card order and the mode's initial state
+    const state = mode.init({
+      cardIds: orderedIds,
+      settings: { group_size, retry_incorrect: !!retry_incorrect, max_retries: maxRetries },
+      seed: sessionSeed,
+      options: modeOptions,
+    });
+
+    await query(
+      "UPDATE practice_session SET card_order_json = ?, session_state_json = ? WHERE session_id = ?",
+      [JSON.stringify(orderedIds), JSON.stringify(state), session_id]
+    );
 
-    res.status(201).json({ session_id }); // Return created session id
+
+    res.status(201).json({
+      session_id, // Return created session id
+      difficulty_mode: mode.name, // Echo mode
+      mode_options: modeOptions, // Echo validated mode options
+      card_selection: selection, // Echo selection
+      direction: practiceDirection, // Echo direction
+      card_count: ids.length, // Cards in this session
+      due_count: dueCount, // DUE: reviews included
+      new_count: newCount, // DUE: new cards included
+    });
   } catch (err) {
     console.error("Practice start error:", err); // Log error
     res.status(500).json({ message: "Server error" }); // Generic 500
@@ -464,752 +492,336 @@ router.post("/start", requireAuth, async (req, res) => {
 });
 
 
-// GET /api/practice/:sessionId/next
-// EASY + MODERATE: linear flow, auto-complete when finished
-// HARD: PREVIEW -> TEST flow, auto-complete when queue empty
-
-
-
-
-router.get("/:sessionId/next", requireAuth, async (req, res) => {
-  const sessionId = Number(req.params.sessionId); // Parse sessionId from URL
+// GET /api/practice/active
+// Incomplete sessions (ACTIVE or PAUSED) with progress, newest first
 
+router.get("/active", requireAuth, async (req, res) => {
   try {
-    const session = await getSession(sessionId, req.user.userId); // Load session (and ownership)
-    if (!session) return res.status(404).json({ message: "Session not found" }); // Not found/owned
-
-
-    const settingsRows = await query(
-      "SELECT * FROM practice_settings WHERE session_id = ?", // Load practice settings
-      [sessionId] // Param
-    );
-    if (settingsRows.length === 0) {
-      return res.status(500).json({ message: "Missing practice settings" }); // Must exist
-    }
-    const settings = settingsRows[0]; // Single settings row
-
-
-    const cards = await query(
-      `SELECT flashcard_id, question, answer
-       FROM flashcard
-       WHERE set_id = ?
-       ORDER BY flashcard_id ASC`, // Load all flashcards in set
-      [session.set_id] // Param
+    const rows = await query(
+      `SELECT ps.session_id, ps.set_id, s.title AS set_title, ps.difficulty_mode,
+              ps.session_state_json, ps.card_order_json, ps.started_at, ps.status, ps.paused_at, ps.total_paused_seconds,
+              pst.card_selection, pst.prompt_type, pst.direction,
+              COUNT(pr.result_id) AS attempts,
+              COUNT(DISTINCT pr.flashcard_id) AS cards_answered,
+              SUM(pr.is_correct) AS correct
+       FROM practice_session ps
+       LEFT JOIN flashcard_set s ON s.set_id = ps.set_id
+       LEFT JOIN practice_settings pst ON pst.session_id = ps.session_id
+       LEFT JOIN performance_result pr ON pr.session_id = ps.session_id
+       WHERE ps.user_id = ? AND ps.completed_at IS NULL
+       GROUP BY ps.session_id, ps.set_id, s.title, ps.difficulty_mode,
+                ps.session_state_json, ps.card_order_json, ps.started_at, ps.status, ps.paused_at, ps.total_paused_seconds,
+                pst.card_selection, pst.prompt_type, pst.direction
+       ORDER BY ps.started_at DESC`,
+      [req.user.userId]
     );
 
+    res.json(rows.map((r) => {
+      const cardCount = new Set(safeJsonParse(r.card_order_json || "[]", [])).size; // Distinct cards
+      const mode = getMode(r.difficulty_mode);
+      const state = readState(r);
+      const answered = Number(r.cards_answered || 0);
+      const attempts = Number(r.attempts || 0);
+
+      return {
+        session_id: r.session_id,
+        set_id: r.set_id,
+        set_title: r.set_id === null ? "Review (mixed sets)" : r.set_title,
+        difficulty_mode: r.difficulty_mode,
+        card_selection: r.card_selection || "ALL",
+        prompt_type: r.prompt_type,
+        direction: r.direction || "FORWARD",
+        status: r.status,
+        phase: mode && state ? mode.phase(state) : null,
+        started_at: r.started_at,
+        paused_at: r.paused_at,
+        total_paused_seconds: Number(r.total_paused_seconds || 0),
+        progress: {
+          cards_total: cardCount,
+          cards_answered: answered,
+          attempts,
+          correct: Number(r.correct || 0),
+          percent: cardCount > 0 ? Math.round((Math.min(answered, cardCount) / cardCount) * 100) : 0,
+        },
+      };
+    }));
+  } catch (err) {
+    console.error("Active sessions error:", err); // Log error
+    res.status(500).json({ message: "Server error" }); // Generic 500
+  }
+});
 
-    if (cards.length === 0) return res.status(400).json({ message: "No flashcards in this set" }); // No cards
-
-
-    const seed = Number(settings.seed ?? sessionId); // Determine seed
-    const groupSize = Math.max(1, Number(settings.group_size) || 5); // Determine group size
-    const promptType = String(settings.prompt_type || "NORMAL_HIDDEN"); // Determine prompt type
-    const nlpUrl = (process.env.NLP_URL || "http://127.0.0.1:6000").trim(); // NLP base URL
-    
-
-
-    // ---------------- HARD MODE ----------------
-    if (String(session.difficulty_mode) === "HARD") {
-      const phase = String(session.hard_phase || "PREVIEW"); // Current HARD phase
-
-
-      // PREVIEW phase: show full answers for study (no answering)
-      if (phase === "PREVIEW") {
-        const idx = Number(session.hard_preview_index || 0); // Current preview index
-
-
-        // If preview finished, move to TEST phase and create queue
-        if (idx >= cards.length) {
-          const ids = cards.map((c) => c.flashcard_id); // Extract flashcard IDs
-          const queue = seededShuffle(ids, seed); // Shuffle IDs for random test order
-
-
-          await query(
-            `UPDATE practice_session
-             SET hard_phase = 'TEST', hard_queue = ?, hard_preview_index = ?
-             WHERE session_id = ?`, // Switch to TEST and store queue
-            [JSON.stringify(queue), cards.length, sessionId] // Values
-          );
-
-
-          return res.json({
-            difficulty_mode: "HARD", // Mode
-            phase: "TEST", // New phase
-            message: "Preview finished. Start test phase.", // Message
-            call_next_again: true, // Frontend can immediately call /next again
-          });
-        }
-
-
-        const card = cards[idx]; // Current preview card
-
-
-        await query(
-          "UPDATE practice_session SET hard_preview_index = hard_preview_index + 1 WHERE session_id = ?", // Advance index
-          [sessionId] // Param
-        );
-
-        let displayTimeToSend = Number(session.display_time_per_card || 10); // Reading time
-        let timingDebug = null; // Optional debug info
-
-        if (settings.use_adaptive_preview_timing) {
-          const timing = await computeAdaptiveTimeSeconds({
-            userId: req.user.userId,
-            flashcardId: card.flashcard_id,
-            textForTiming: `${card.question} ${card.answer}`, // Use full text for timing in preview
-            readingSpeedModifier: settings.reading_speed_modifier,
-          });
-
-          displayTimeToSend = timing.seconds;
-          timingDebug = timing.debug;
-        }
-
-        const answerTimeLimit = Number(session.answer_time_limit || 120);
-
-        return res.json({
-          difficulty_mode: "HARD", // Mode
-          phase: "PREVIEW", // Phase
-          display_time_per_card: displayTimeToSend, // display card tome
-          answer_time_limit: answerTimeLimit,       // answer card time
-          adaptive_preview_time: !!settings.use_adaptive_preview_timing,
-          adaptive_answer_time: !!settings.use_adaptive_answer_timing,
-          timing_debug: timingDebug,
-          progress: { index: idx + 1, total: cards.length }, // Preview progress
-          flashcard_id: card.flashcard_id, // Card id
-          question: card.question, // Question
-          show_answer: true, // Tell frontend to show answer
-          answer: card.answer, // Full answer (study phase)
-        });
-      }
-
-
-      // TEST phase: take from queue and serve random cards
-      const queue = safeJsonParse(session.hard_queue || "[]", []); // Parse queue from DB
-
-
-      // If queue empty -> HARD finished -> AUTO COMPLETE SESSION 
-      if (queue.length === 0) {
-        // If already completed, just return done (avoid re-completing)
-        if (session.completed_at) {
-          return res.json({
-            done: true, // Completed
-            difficulty_mode: "HARD", // Mode
-            phase: "TEST", // Phase
-            message: "Test finished. Session already completed.", // Message
-            final_score: session.final_score, // Provide final score if stored
-          });
-        }
-
-
-        const completion = await completeSessionForUser(sessionId, req.user.userId); // Run completion engine
-
-
-        const summary = await buildCompactSummary(
-          completion,
-          "HARD",
-          cards.length,
-          session.set_id
-        );
-
-
-        return res.json({
-          done: true, // Completed
-          difficulty_mode: "HARD", // Mode
-          phase: "TEST", // Phase
-          message: "Test finished. Session auto-completed.", // Message
-          summary,
-          completion, // Completion payload (score + updated cards)
-        });
-      }
 
+// POST /api/practice/:sessionId/pause
+// Freezes the session: answer timers stop until resume, /next /answer /hint return 409
 
-      const nextId = queue[0]; // Next flashcard id to serve
-      const remaining = queue.slice(1); // Remaining queue after popping
+router.post("/:sessionId/pause", requireAuth, async (req, res) => {
+  const sessionId = Number(req.params.sessionId); // Parse sessionId
 
+  try {
+    const session = await getSession(sessionId, req.user.userId); // Load session
+    if (!session) return res.status(404).json({ message: "Session not found" }); // Not found/owned
+    if (session.completed_at) return res.status(400).json({ message: "Session already completed" }); // Nothing to pause
 
+    if (String(session.status) !== "PAUSED") {
       await query(
-        "UPDATE practice_session SET hard_queue = ? WHERE session_id = ?", // Persist new queue
-        [JSON.stringify(remaining), sessionId] // Values
+        "UPDATE practice_session SET status = 'PAUSED', paused_at = NOW() WHERE session_id = ? AND status = 'ACTIVE'",
+        [sessionId]
       );
-
-
-      const card = cards.find((c) => c.flashcard_id === nextId); // Find card by id
-      if (!card) return res.status(500).json({ message: "Queue contained invalid flashcard_id" }); // Safety check
-
-
-      // NORMAL_HIDDEN in TEST: show question only
-      if (promptType === "NORMAL_HIDDEN") {
-        let displayTimeToSend = Number(session.display_time_per_card || 10);
-        let timingDebug = null;
-
-        // BASE answer limit from session
-        let answerTimeLimitToSend = Number(session.answer_time_limit || 120);
-        let answerTimingDebug = null;
-
-        if (settings.use_adaptive_answer_timing) {
-          // Reading time (for showing the question)
-          const timing = await computeAdaptiveTimeSeconds({
-            userId: req.user.userId,
-            flashcardId: card.flashcard_id,
-            textForTiming: card.question,
-            readingSpeedModifier: settings.reading_speed_modifier,
-          });
-          displayTimeToSend = timing.seconds;
-          timingDebug = timing.debug;
-
-          // Answer time (user must type answer)
-          const at = await computeAdaptiveAnswerLimitSeconds({
-            userId: req.user.userId,
-            flashcardId: card.flashcard_id,
-            questionText: card.question,
-            answerText: card.answer,
-            blankedText: null,
-            baseAnswerLimitSeconds: answerTimeLimitToSend,
-            readingSpeedModifier: settings.reading_speed_modifier,
-          });
-          answerTimeLimitToSend = at.seconds;
-          answerTimingDebug = at.debug;
-        }
-
-        return res.json({
-          difficulty_mode: "HARD",
-          phase: "TEST",
-          display_time_per_card: displayTimeToSend,
-          answer_time_limit: answerTimeLimitToSend,
-          adaptive_preview_time: !!settings.use_adaptive_preview_timing,
-          adaptive_answer_time: !!settings.use_adaptive_answer_timing,
-          timing_debug: timingDebug,
-          answer_timing_debug: answerTimingDebug,
-          progress: { remaining: remaining.length, total: cards.length },
-          flashcard_id: card.flashcard_id,
-          question: card.question,
-          prompt_type: "NORMAL_HIDDEN",
-        });
-      }
-
-
-      // NLP prompt in TEST: generate variation from answer
-      const payload = { text: card.answer, variation_type: promptType }; // NLP request payload
-
-
-      // Add randomness controls for random-based variations
-      if (promptType === "RANDOM_BLANKS" || promptType === "RANDOM_FULL_BLANKS" || promptType === "INCREASING_DIFFICULTY") {
-        if (settings.blank_ratio !== null && settings.blank_ratio !== undefined) payload.blank_ratio = Number(settings.blank_ratio); // Add blank ratio
-        payload.seed = seed + remaining.length; // Vary seed per step
-      }
-
-
-      // Increasing difficulty can use attempt_number (per card in session)
-      if (promptType === "INCREASING_DIFFICULTY") {
-        const attemptRows = await query(
-          "SELECT COUNT(*) AS c FROM performance_result WHERE session_id = ? AND flashcard_id = ?", // Count attempts
-          [sessionId, card.flashcard_id] // Params
-        );
-        payload.attempt_number = Number(attemptRows[0]?.c || 0) + 1; // Next attempt number
-      }
-
-
-      // Difficulty-level blanks uses per-user difficulty stats to set difficulty_level 1-4
-      if (promptType === "DIFFICULTY_LEVEL_BLANKS") {
-        const stats = await query(
-          "SELECT COALESCE(difficulty_rating, 0) AS difficulty_rating FROM user_flashcard_stats WHERE user_id = ? AND flashcard_id = ?", // Get rating
-          [req.user.userId, card.flashcard_id] // Params
-        );
-
-
-        const rating = Math.max(0, Math.min(100, Number(stats[0]?.difficulty_rating ?? 0))); // Clamp 0..100
-
-
-        let difficulty_level = 1; // Default level
-        if (rating > 75) difficulty_level = 4; // Level 4
-        else if (rating > 50) difficulty_level = 3; // Level 3
-        else if (rating > 25) difficulty_level = 2; // Level 2
-
-
-        payload.difficulty_level = difficulty_level; // Add to NLP payload
-      }
-
-
-      const axRes = await axios.post(`${nlpUrl}/generate`, payload); // Call NLP service to get prompt variation
-
-      let displayTimeToSend = Number(session.display_time_per_card || 10);
-      let timingDebug = null;
-
-      // BASE answer limit from session
-      let answerTimeLimitToSend = Number(session.answer_time_limit || 120);
-      let answerTimingDebug = null;
-
-      const blankedText = axRes.data.blanked_text || null;
-
-      if (settings.use_adaptive_answer_timing) {
-        // Reading time (blanked text is what user reads in TEST)
-        const timing = await computeAdaptiveTimeSeconds({
-          userId: req.user.userId,
-          flashcardId: card.flashcard_id,
-          textForTiming: blankedText || card.answer,
-          readingSpeedModifier: settings.reading_speed_modifier,
-        });
-        displayTimeToSend = timing.seconds;
-        timingDebug = timing.debug;
-
-        // Answer time (depends on question + blanked text + blanks count + difficulty)
-        const at = await computeAdaptiveAnswerLimitSeconds({
-          userId: req.user.userId,
-          flashcardId: card.flashcard_id,
-          questionText: card.question,
-          answerText: card.answer,
-          blankedText,
-          baseAnswerLimitSeconds: answerTimeLimitToSend,
-          readingSpeedModifier: settings.reading_speed_modifier,
-        });
-        answerTimeLimitToSend = at.seconds;
-        answerTimingDebug = at.debug;
-      }
-
-      return res.json({
-        difficulty_mode: "HARD",
-        phase: "TEST",
-        display_time_per_card: displayTimeToSend,
-        answer_time_limit: answerTimeLimitToSend,
-        adaptive_preview_time: !!settings.use_adaptive_preview_timing,
-        adaptive_answer_time: !!settings.use_adaptive_answer_timing,
-        timing_debug: timingDebug,
-        answer_timing_debug: answerTimingDebug,
-        progress: { remaining: remaining.length, total: cards.length },
-        flashcard_id: card.flashcard_id,
-        question: card.question,
-        prompt_type: promptType,
-        blanked_text: axRes.data.blanked_text,
-        first_letter_clues: axRes.data.first_letter_clues,
-      });
     }
 
+    const rows = await query("SELECT paused_at FROM practice_session WHERE session_id = ?", [sessionId]);
 
-    //EASY / MODERATE
+    res.json({ session_id: sessionId, status: "PAUSED", paused_at: rows[0]?.paused_at || null });
+  } catch (err) {
+    console.error("Pause session error:", err); // Log error
+    res.status(500).json({ message: "Server error" }); // Generic 500
+  }
+});
 
 
-    // Build stable order from DB
-    const orderedIds = safeJsonParse(session.card_order_json || "[]", []);
-    if (orderedIds.length === 0) {
-      return res.status(500).json({ message: "Missing card_order_json for session" });
-    }
+// POST /api/practice/:sessionId/resume
+// Adds the pause to total_paused_seconds and moves the served card's timer start forward by it,
+// so time spent paused never counts towards the answer time limit
 
-// Map for quick lookup
-const cardById = new Map(cards.map(c => [Number(c.flashcard_id), c]));
-
-// Helper: complete when truly finished (based on phase indices)
-async function completeIfNeeded() {
-  // If already completed, avoid re-completing
-  if (session.completed_at) {
-    return res.json({
-      done: true,
-      difficulty_mode: session.difficulty_mode,
-      message: "Session already completed.",
-      final_score: session.final_score,
-    });
-  }
+router.post("/:sessionId/resume", requireAuth, async (req, res) => {
+  const sessionId = Number(req.params.sessionId); // Parse sessionId
 
-  const completion = await completeSessionForUser(sessionId, req.user.userId);
-  const summary = await buildCompactSummary(
-    completion,
-    session.difficulty_mode,
-    cards.length,
-    session.set_id
-  );
+  try {
+    const session = await getSession(sessionId, req.user.userId); // Load session
+    if (!session) return res.status(404).json({ message: "Session not found" }); // Not found/owned
+    if (session.completed_at) return res.status(400).json({ message: "Session already completed" }); // Nothing to resume
 
-  return res.json({
-    done: true,
-    difficulty_mode: session.difficulty_mode,
-    message: "Session finished. Auto-completed.",
-    summary,
-    completion,
-  });
-}
+    // Length of this pause, measured by the database clock that set paused_at
+    const pauseRows = await query(
+      "SELECT COALESCE(TIMESTAMPDIFF(SECOND, paused_at, NOW()), 0) AS paused_seconds FROM practice_session WHERE session_id = ?",
+      [sessionId]
+    );
+    const pausedSeconds = Math.max(0, Number(pauseRows[0]?.paused_seconds || 0));
 
-// ---------- EASY (2-phase: PREVIEW -> TEST) ----------
-if (String(session.difficulty_mode) === "EASY") {
-  const idx = Number(session.easy_index || 0);
-  if (idx >= orderedIds.length) return completeIfNeeded();
-
-  const phase = String(session.easy_phase || "PREVIEW"); // default PREVIEW
-  const cardId = orderedIds[idx];
-  const card = cardById.get(Number(cardId));
-  if (!card) return res.status(500).json({ message: "Invalid card in card_order_json" });
-
-  // -------- PREVIEW: show full answer, then flip to TEST --------
-  if (phase === "PREVIEW") {
-    let revealSeconds = 15;
-    let timingDebug = null;
-
-    if (settings.use_adaptive_preview_timing) {
-      const timing = await computeAdaptiveTimeSeconds({
-        userId: req.user.userId,
-        flashcardId: card.flashcard_id,
-        textForTiming: `${card.question} ${card.answer}`,
-        readingSpeedModifier: settings.reading_speed_modifier,
-      });
-      revealSeconds = timing.seconds;
-      timingDebug = timing.debug;
+    // Shift the unanswered card's timer so the pause is not counted
+    let prompt = safeJsonParse(session.current_prompt_json || "null", null);
+    if (prompt && !prompt.answered && prompt.served_at && pausedSeconds > 0) {
+      const shifted = new Date(new Date(prompt.served_at).getTime() + pausedSeconds * 1000);
+      prompt = { ...prompt, served_at: shifted.toISOString() };
     }
 
+    // Modes with their own clocks (e.g. SPRINT's deadline) move them too
+    const mode = getMode(session.difficulty_mode);
+    const state = readState(session);
+    if (mode && state && mode.resume) mode.resume(state, pausedSeconds);
+
     await query(
       `UPDATE practice_session
-       SET easy_phase = 'TEST'
+       SET status = 'ACTIVE', paused_at = NULL,
+           total_paused_seconds = total_paused_seconds + ?,
+           current_prompt_json = ?,
+           session_state_json = ?
        WHERE session_id = ?`,
-      [sessionId]
+      [
+        pausedSeconds,
+        prompt ? JSON.stringify(prompt) : session.current_prompt_json,
+        state ? JSON.stringify(state) : session.session_state_json,
+        sessionId,
+      ]
     );
 
-    return res.json({
-      difficulty_mode: "EASY",
-      phase: "PREVIEW",
-      reveal_seconds: revealSeconds,
-      timing_debug: timingDebug,
-      progress: { current: idx + 1, total: orderedIds.length },
-      flashcard_id: card.flashcard_id,
-      question: card.question,
-      answer: card.answer, // full answer in preview
-    });
-  }
-
-  // -------- TEST: question only, optionally blanks --------
-  if (phase === "TEST") {
-    // NORMAL
-    if (promptType === "NORMAL_HIDDEN") {
-      let answerTimeLimitToSend = Number(session.answer_time_limit || 120);
-      let answerTimingDebug = null;
-
-    if (settings.use_adaptive_answer_timing) {
-        const at = await computeAdaptiveAnswerLimitSeconds({
-          userId: req.user.userId,
-          flashcardId: card.flashcard_id,
-          questionText: card.question,
-          answerText: card.answer,
-          blankedText: null,
-          baseAnswerLimitSeconds: answerTimeLimitToSend,
-          readingSpeedModifier: settings.reading_speed_modifier,
-        });
-        answerTimeLimitToSend = at.seconds;
-        answerTimingDebug = at.debug;
-      }
-      return res.json({
-        difficulty_mode: "EASY",
-        phase: "TEST",
-        progress: { current: idx + 1, total: orderedIds.length },
-        flashcard_id: card.flashcard_id,
-        question: card.question,
-        answer_time_limit: answerTimeLimitToSend,
-        answer_timing_debug: answerTimingDebug,
-        prompt_type: "NORMAL_HIDDEN",
-      });
-    }
-
-    // BLANKS (generate from answer, like MODERATE TEST / HARD TEST)
-    const payload = { text: card.answer, variation_type: promptType };
-
-    if (
-      promptType === "RANDOM_BLANKS" ||
-      promptType === "RANDOM_FULL_BLANKS" ||
-      promptType === "INCREASING_DIFFICULTY"
-    ) {
-      if (settings.blank_ratio !== null && settings.blank_ratio !== undefined) {
-        payload.blank_ratio = Number(settings.blank_ratio);
-      }
-      payload.seed = seed + idx; // stable per card
-    }
-
-    if (promptType === "INCREASING_DIFFICULTY") {
-      const attemptRows = await query(
-        "SELECT COUNT(*) AS c FROM performance_result WHERE session_id = ? AND flashcard_id = ?",
-        [sessionId, card.flashcard_id]
-      );
-      payload.attempt_number = Number(attemptRows[0]?.c || 0) + 1;
-    }
-
-    if (promptType === "DIFFICULTY_LEVEL_BLANKS") {
-      const stats = await query(
-        "SELECT COALESCE(difficulty_rating, 0) AS difficulty_rating FROM user_flashcard_stats WHERE user_id = ? AND flashcard_id = ?",
-        [req.user.userId, card.flashcard_id]
-      );
+    // Seconds already used on the waiting card (client restarts its countdown from here)
+    const answerElapsed = prompt && !prompt.answered && prompt.served_at
+      ? Math.max(0, Math.round((Date.now() - new Date(prompt.served_at).getTime()) / 1000))
+      : null;
 
-      const rating = Math.max(0, Math.min(100, Number(stats[0]?.difficulty_rating ?? 0)));
-
-      let difficulty_level = 1;
-      if (rating > 75) difficulty_level = 4;
-      else if (rating > 50) difficulty_level = 3;
-      else if (rating > 25) difficulty_level = 2;
-
-      payload.difficulty_level = difficulty_level;
-    }
-
-    const axRes = await axios.post(`${nlpUrl}/generate`, payload); // call NLP for blanked version of answer
-
-    const blankedText = axRes.data.blanked_text || null;
-
-    let answerTimeLimitToSend = Number(session.answer_time_limit || 120);
-    let answerTimingDebug = null;
-
-    if (settings.use_adaptive_answer_timing) {
-      const at = await computeAdaptiveAnswerLimitSeconds({
-        userId: req.user.userId,
-        flashcardId: card.flashcard_id,
-        questionText: card.question,
-        answerText: card.answer,
-        blankedText,
-        baseAnswerLimitSeconds: answerTimeLimitToSend,
-        readingSpeedModifier: settings.reading_speed_modifier,
-      });
-      answerTimeLimitToSend = at.seconds;
-      answerTimingDebug = at.debug;
-    }
-
-    return res.json({
-      difficulty_mode: "EASY",
-      phase: "TEST",
-      progress: { current: idx + 1, total: orderedIds.length },
-      flashcard_id: card.flashcard_id,
-      question: card.question,
-      answer_time_limit: answerTimeLimitToSend,
-      answer_timing_debug: answerTimingDebug,
-      prompt_type: promptType,
-      blanked_text: axRes.data.blanked_text,
-      first_letter_clues: axRes.data.first_letter_clues,
+    res.json({
+      session_id: sessionId,
+      status: "ACTIVE",
+      paused_seconds: pausedSeconds, // This pause
+      total_paused_seconds: Number(session.total_paused_seconds || 0) + pausedSeconds,
+      current_flashcard_id: prompt && !prompt.answered ? prompt.flashcard_id : null,
+      answer_elapsed_seconds: answerElapsed,
+      answer_time_limit: prompt && !prompt.answered ? prompt.answer_time_limit ?? null : null,
     });
+  } catch (err) {
+    console.error("Resume session error:", err); // Log error
+    res.status(500).json({ message: "Server error" }); // Generic 500
   }
-
-  // If phase somehow invalid
-  return res.status(500).json({ message: "Invalid easy_phase state" });
-}
-
-
+});
 
 
-// ---------- MODERATE ----------
-if (String(session.difficulty_mode) === "MODERATE") {
-  const gs = Math.max(1, Number(settings.group_size) || 5);
-  const groupIndex = Number(session.moderate_group_index || 0);
-  const groupStart = groupIndex * gs;
-  const groupEnd = Math.min(groupStart + gs, orderedIds.length);
+// POST /api/practice/:sessionId/abandon
+// Ends the session early. It is scored on the attempts made so far (unseen cards are not zeros);
+// with no attempts it closes without a final_score so it never counts as a 0.
 
-  if (groupStart >= orderedIds.length) return completeIfNeeded();
+router.post("/:sessionId/abandon", requireAuth, async (req, res) => {
+  const sessionId = Number(req.params.sessionId); // Parse sessionId
 
-  const phase = String(session.moderate_phase || "PREVIEW");
+  try {
+    const session = await getSession(sessionId, req.user.userId); // Load session
+    if (!session) return res.status(404).json({ message: "Session not found" }); // Not found/owned
+    if (session.completed_at) return res.status(400).json({ message: "Session already completed" }); // Too late
 
-  // PREVIEW: show Q+A for each card in group, then switch to TEST
-  if (phase === "PREVIEW") {
-    const previewIndex = Number(session.moderate_preview_index || 0);
-    const absoluteIndex = groupStart + previewIndex;
+    const attemptRows = await query(
+      "SELECT COUNT(*) AS c FROM performance_result WHERE session_id = ?",
+      [sessionId]
+    );
+    const cardCount = new Set(safeJsonParse(session.card_order_json || "[]", [])).size; // Distinct cards
 
-    // Finished preview -> switch to TEST
-    if (absoluteIndex >= groupEnd) {
+    if (Number(attemptRows[0]?.c || 0) === 0) {
       await query(
         `UPDATE practice_session
-         SET moderate_phase = 'TEST',
-             moderate_test_index = 0
+         SET completed_at = NOW(), final_score = NULL, status = 'ABANDONED',
+             total_paused_seconds = total_paused_seconds + COALESCE(TIMESTAMPDIFF(SECOND, paused_at, NOW()), 0),
+             paused_at = NULL
          WHERE session_id = ?`,
         [sessionId]
       );
 
       return res.json({
-        difficulty_mode: "MODERATE",
-        phase: "TEST",
-        message: "Group preview finished. Start answering this group.",
-        call_next_again: true,
+        session_id: sessionId,
+        status: "ABANDONED",
+        message: "Session abandoned before any answers. It is not scored.",
+        summary: null,
       });
     }
 
-    const cardId = orderedIds[absoluteIndex];
-    const card = cardById.get(Number(cardId));
-    if (!card) return res.status(500).json({ message: "Invalid card in card_order_json" });
+    const completion = await completeSessionForUser(sessionId, req.user.userId, "ABANDONED"); // Score attempts so far
+    const summary = await buildCompactSummary(completion, session.difficulty_mode, cardCount, session.set_id);
 
-    // Advance preview cursor
-    await query(
-      `UPDATE practice_session
-       SET moderate_preview_index = moderate_preview_index + 1
-       WHERE session_id = ?`,
-      [sessionId]
-    );
-
-    // Decide answer reveal seconds (calibration affects answer reveal)
-    let revealSeconds = 15;
-    let timingDebug = null;
-
-    if (settings.use_adaptive_preview_timing) {
-      const timing = await computeAdaptiveTimeSeconds({
-        userId: req.user.userId,
-        flashcardId: card.flashcard_id,
-        textForTiming: `${card.question} ${card.answer}`,
-        readingSpeedModifier: settings.reading_speed_modifier,
-      });
-      revealSeconds = timing.seconds;
-      timingDebug = timing.debug;
-    }
-
-    return res.json({
-      difficulty_mode: "MODERATE",
-      phase: "PREVIEW",
-      reveal_seconds: revealSeconds,
-      timing_debug: timingDebug,
-      group: { index: groupIndex + 1, size: gs },
-      progress: { in_group: previewIndex + 1, group_total: groupEnd - groupStart },
-      flashcard_id: card.flashcard_id,
-      question: card.question,
-      answer: card.answer,
+    res.json({
+      session_id: sessionId,
+      status: "ABANDONED",
+      message: "Session abandoned. Scored on the cards answered so far.",
+      summary,
+      completion,
     });
+  } catch (err) {
+    console.error("Abandon session error:", err); // Log error
+    res.status(err.status || 500).json({ message: err.status ? err.message : "Server error" });
   }
+});
 
-  // TEST: show question only; must answer all in group before next group
-  const testIndex = Number(session.moderate_test_index || 0);
-  const absoluteIndex = groupStart + testIndex;
 
-  // Finished test -> next group preview
-  if (absoluteIndex >= groupEnd) {
-    await query(
-      `UPDATE practice_session
-       SET moderate_group_index = moderate_group_index + 1,
-           moderate_phase = 'PREVIEW',
-           moderate_preview_index = 0,
-           moderate_test_index = 0
-       WHERE session_id = ?`,
-      [sessionId]
-    );
+// GET /api/practice/:sessionId/next
+// Serves the next step of the session's mode (practice/modes) and auto-completes when the mode is done
 
-    return res.json({
-      difficulty_mode: "MODERATE",
-      phase: "PREVIEW",
-      message: "Group completed. Moving to next group preview.",
-      call_next_again: true,
-    });
-  }
+router.get("/:sessionId/next", requireAuth, async (req, res) => {
+  const sessionId = Number(req.params.sessionId); // Parse sessionId from URL
 
-  const cardId = orderedIds[absoluteIndex];
-  const card = cardById.get(Number(cardId));
-  if (!card) return res.status(500).json({ message: "Invalid card in card_order_json" });
-
-  // NORMAL
-  if (promptType === "NORMAL_HIDDEN") {
-    let answerTimeLimitToSend = Number(session.answer_time_limit || 120);
-    let answerTimingDebug = null;
-
-    if (settings.use_adaptive_answer_timing) {
-      const at = await computeAdaptiveAnswerLimitSeconds({
-        userId: req.user.userId,
-        flashcardId: card.flashcard_id,
-        questionText: card.question,
-        answerText: card.answer,
-        blankedText: null,
-        baseAnswerLimitSeconds: answerTimeLimitToSend,
-        readingSpeedModifier: settings.reading_speed_modifier,
+  try {
+    const session = await getSession(sessionId, req.user.userId); // Load session (and ownership)
+    if (!session) return res.status(404).json({ message: "Session not found" }); // Not found/owned
+    if (rejectIfPaused(session, res)) return; // Resume first
+
+    // Completed (or abandoned) sessions serve nothing more
+    if (session.completed_at) {
+      return res.json({
+        done: true,
+        difficulty_mode: session.difficulty_mode,
+        message: "Session already completed.",
+        final_score: session.final_score,
       });
-      answerTimeLimitToSend = at.seconds;
-      answerTimingDebug = at.debug;
     }
 
-    return res.json({
-      difficulty_mode: "MODERATE",
-      phase: "TEST",
-      group: { index: groupIndex + 1, size: gs },
-      progress: { answered_in_group: testIndex + 1, group_total: groupEnd - groupStart },
-      flashcard_id: card.flashcard_id,
-      question: card.question,
-      answer_time_limit: answerTimeLimitToSend,
-      answer_timing_debug: answerTimingDebug,
-      prompt_type: "NORMAL_HIDDEN",
-    });
-  }
+    const mode = getMode(session.difficulty_mode); // Mode strategy
+    const state = readState(session); // Mode state
+    if (!mode) return res.status(400).json({ message: "Unsupported difficulty_mode" });
+    if (!state) return res.status(409).json({ message: LEGACY_SESSION_MESSAGE }); // Started before session_state_json
 
-  // BLANKS (generate from answer like HARD TEST)
-  const payload = { text: card.answer, variation_type: promptType };
 
-  if (
-    promptType === "RANDOM_BLANKS" ||
-    promptType === "RANDOM_FULL_BLANKS" ||
-    promptType === "INCREASING_DIFFICULTY"
-  ) {
-    if (settings.blank_ratio !== null && settings.blank_ratio !== undefined) {
-      payload.blank_ratio = Number(settings.blank_ratio);
+    const settingsRows = await query(
+      "SELECT * FROM practice_settings WHERE session_id = ?", // Load practice settings
+      [sessionId] // Param
+    );
+    if (settingsRows.length === 0) {
+      return res.status(500).json({ message: "Missing practice settings" }); // Must exist
     }
-    payload.seed = seed + absoluteIndex;
-  }
+    const settings = settingsRows[0]; // Single settings row
 
-  if (promptType === "INCREASING_DIFFICULTY") {
-    const attemptRows = await query(
-      "SELECT COUNT(*) AS c FROM performance_result WHERE session_id = ? AND flashcard_id = ?",
-      [sessionId, card.flashcard_id]
-    );
-    payload.attempt_number = Number(attemptRows[0]?.c || 0) + 1;
-  }
 
-  if (promptType === "DIFFICULTY_LEVEL_BLANKS") {
-    const stats = await query(
-      "SELECT COALESCE(difficulty_rating, 0) AS difficulty_rating FROM user_flashcard_stats WHERE user_id = ? AND flashcard_id = ?",
-      [req.user.userId, card.flashcard_id]
-    );
+    const seed = Number(settings.seed ?? sessionId); // Determine seed
+    const direction = String(settings.direction || "FORWARD"); // FORWARD/REVERSE/MIXED
 
-    const rating = Math.max(0, Math.min(100, Number(stats[0]?.difficulty_rating ?? 0)));
+    // Load the session's flashcards, turned to the side each one is asked on
+    const cards = (await getSessionCards(session, settings, req.user.userId)).map((c) =>
+      orientCard(c, cardDirection(direction, seed, c.flashcard_id))
+    );
 
-    let difficulty_level = 1;
-    if (rating > 75) difficulty_level = 4;
-    else if (rating > 50) difficulty_level = 3;
-    else if (rating > 25) difficulty_level = 2;
 
-    payload.difficulty_level = difficulty_level;
-  }
+    if (cards.length === 0) return res.status(400).json({ message: "No flashcards in this session" }); // No cards
 
-  const axRes = await axios.post(`${nlpUrl}/generate`, payload); // call NLP for blanked version of answer
 
-  const blankedText = axRes.data.blanked_text || null;
+    const ctx = {
+      sessionId,
+      userId: req.user.userId,
+      session,
+      settings,
+      state,
+      cards,
+      cardById: new Map(cards.map((c) => [Number(c.flashcard_id), c])), // Quick lookup
+      seed,
+      promptType: String(settings.prompt_type || "NORMAL_HIDDEN"), // Determine prompt type
+      nlpUrl: (process.env.NLP_URL || "http://127.0.0.1:6000").trim(), // NLP base URL
+    };
+
+
+    // Finished -> AUTO COMPLETE SESSION
+    if (mode.isDone(ctx)) {
+      const attemptRows = await query("SELECT COUNT(*) AS c FROM performance_result WHERE session_id = ?", [sessionId]);
+
+      // Nothing answered (e.g. every HARD card skipped, a SPRINT that ran out): close it unscored
+      if (Number(attemptRows[0]?.c || 0) === 0) {
+        await query(
+          "UPDATE practice_session SET completed_at = NOW(), final_score = NULL, status = 'COMPLETED' WHERE session_id = ?",
+          [sessionId]
+        );
+        return res.json({
+          done: true,
+          difficulty_mode: mode.name,
+          phase: mode.phase(state),
+          message: "Session finished without answers. It is not scored.",
+          summary: null,
+          goal: await goalStatusOrNull(req.user.userId), // Today's study goal progress
+        });
+      }
 
-  let answerTimeLimitToSend = Number(session.answer_time_limit || 120);
-  let answerTimingDebug = null;
+      const completion = await completeSessionForUser(sessionId, req.user.userId); // Run completion engine
+      const summary = await buildCompactSummary(completion, mode.name, cards.length, session.set_id);
 
-  if (settings.use_adaptive_answer_timing) {
-    const at = await computeAdaptiveAnswerLimitSeconds({
-      userId: req.user.userId,
-      flashcardId: card.flashcard_id,
-      questionText: card.question,
-      answerText: card.answer,
-      blankedText,
-      baseAnswerLimitSeconds: answerTimeLimitToSend,
-      readingSpeedModifier: settings.reading_speed_modifier,
-    });
-    answerTimeLimitToSend = at.seconds;
-    answerTimingDebug = at.debug;
-  }
+      return res.json({
+        done: true, // Completed
+        difficulty_mode: mode.name, // Mode
+        phase: mode.phase(state), // Last phase
+        message: "Session finished. Auto-completed.", // Message
+        summary,
+        new_badges: completion.new_badges || [], // Badges this session unlocked
+        goal: await goalStatusOrNull(req.user.userId), // Today's study goal progress ("12 of 20 minutes today")
+        completion, // Completion payload (score + updated cards)
+      });
+    }
 
-  return res.json({
-    difficulty_mode: "MODERATE",
-    phase: "TEST",
-    group: { index: groupIndex + 1, size: gs },
-    progress: { answered_in_group: testIndex + 1, group_total: groupEnd - groupStart },
-    flashcard_id: card.flashcard_id,
-    question: card.question,
-    answer_time_limit: answerTimeLimitToSend,
-    answer_timing_debug: answerTimingDebug,
-    prompt_type: promptType,
-    blanked_text: axRes.data.blanked_text,
-    first_letter_clues: axRes.data.first_letter_clues,
-  });
-}
 
-// Fallback
-return res.status(400).json({ message: "Unsupported difficulty_mode" });
+    const payload = await mode.next(ctx); // Serve the next step (may advance ctx.state)
+    await writeState(sessionId, ctx.state); // Persist mode state
 
-} catch (err) {
+    res.json({ difficulty_mode: mode.name, ...payload });
+  } catch (err) {
     console.error("Next card error:", err);
-    res.status(500).json({ message: "Server error" });
+    const status = err.isAxiosError ? 500 : err.status || 500; // NLP failures stay generic
+    res.status(status).json({ message: status === 500 ? "Server error" : err.message });
   }
 });
 
 
-// POST /api/practice/:sessionId/answer
-// Save performance_result attempt (EASY/MODERATE/HARD TEST)
-   
-router.post("/:sessionId/answer", requireAuth, async (req, res) => {
+// Save a performance_result attempt (the card the session's mode has open) for /answer and /expire.
+// Time taken is measured on the server from when /next served the card; an answer later than
+// the card's answer_time_limit (or an /expire call) is stored as TIMED_OUT with no credit.
+async function submitAnswer(req, res, expired) {
   const sessionId = Number(req.params.sessionId); // Parse sessionId
 
   try {
     const session = await getSession(sessionId, req.user.userId); // Load session
     if (!session) return res.status(404).json({ message: "Session not found" }); // Not found/owned
+    if (session.completed_at) return res.status(400).json({ message: "Session already completed" }); // Completed or abandoned
+    if (rejectIfPaused(session, res)) return; // Timers are frozen while paused
 
     const settingsRows = await query(
       "SELECT * FROM practice_settings WHERE session_id = ?",
@@ -1221,110 +833,157 @@ router.post("/:sessionId/answer", requireAuth, async (req, res) => {
     const settings = settingsRows[0];
 
 
-    // Block answering during phases that are not answer phases
-    if (String(session.difficulty_mode) === "HARD" && String(session.hard_phase) === "PREVIEW") {
-      return res.status(400).json({ message: "Cannot submit answers during HARD preview phase" });
-    }
+    // The mode decides which card (if any) is open for an answer
+    const mode = getMode(session.difficulty_mode);
+    const state = readState(session);
+    if (!mode) return res.status(400).json({ message: "Unsupported difficulty_mode" });
+    if (!state) return res.status(409).json({ message: LEGACY_SESSION_MESSAGE }); // Started before session_state_json
+
+    const current = mode.current(state);
+    if (current.error) return res.status(400).json({ message: current.error }); // Not an answer phase
 
-    if (String(session.difficulty_mode) === "EASY" && String(session.easy_phase || "PREVIEW") !== "TEST") {
-      return res.status(400).json({ message: "Not in test phase yet" });
+    // Modes with a session clock (SPRINT) refuse answers once it has run out
+    if (mode.accepting && !mode.accepting(state)) {
+      return res.status(409).json({ message: "Time is up for this session: call /next to finish it.", difficulty_mode: mode.name });
     }
 
 
+    const { user_answer, blank_answers, selected_option, time_taken = null } = req.body || {}; // Read body
+    const servedPrompt = safeJsonParse(session.current_prompt_json || "null", null); // Prompt from /next
 
-    if (String(session.difficulty_mode) === "MODERATE" && String(session.moderate_phase || "PREVIEW") === "PREVIEW") {
-      return res.status(400).json({ message: "Cannot submit answers during MODERATE preview phase" });
+    // /expire may omit flashcard_id: it defaults to the card waiting for an answer
+    const flashcard_id = req.body?.flashcard_id || (expired ? current.flashcardId : null);
+
+    if (!flashcard_id || (!expired && user_answer === undefined && blank_answers === undefined && selected_option === undefined)) {
+      return res.status(400).json({ message: "flashcard_id and user_answer (or blank_answers / selected_option) are required" }); // Validate
+    }
+
+    if (blank_answers !== undefined && !Array.isArray(blank_answers)) {
+      return res.status(400).json({ message: "blank_answers must be an array (one answer per blank)" }); // Validate
     }
 
+    // Enforce answering the current card
+    if (Number(flashcard_id) !== Number(current.flashcardId)) {
+      return res.status(400).json({
+        message: "You must answer the current card.",
+        expected_flashcard_id: current.flashcardId,
+        difficulty_mode: mode.name,
+        ...(current.details || {}),
+      });
+    }
 
-    const { flashcard_id, user_answer, time_taken = null } = req.body || {}; // Read body
+    // The card must have been served by /next (otherwise its answer timer never started)
+    if (!servedPrompt || servedPrompt.answered || Number(servedPrompt.flashcard_id) !== Number(current.flashcardId)) {
+      return res.status(409).json({
+        message: "This card has not been served for answering: call /next first.",
+        expected_flashcard_id: current.flashcardId,
+      });
+    }
 
 
-    if (!flashcard_id || user_answer === undefined) {
-      return res.status(400).json({ message: "flashcard_id and user_answer are required" }); // Validate
+    let cardRows;
+    if (String(settings.card_selection || "ALL") === "DUE") {
+      // DUE sessions may span sets: the card must be one chosen for this session
+      const sessionIds = safeJsonParse(session.card_order_json || "[]", []).map(Number);
+      cardRows = sessionIds.includes(Number(flashcard_id))
+        ? await query(
+            `SELECT f.question, f.answer
+             FROM flashcard f
+             JOIN flashcard_set s ON s.set_id = f.set_id
+             WHERE f.flashcard_id = ? AND ${accessibleSetSql("s")}`, // Get correct answer
+            [flashcard_id, ...accessParams(req.user.userId)] // Params
+          )
+        : [];
+    } else {
+      cardRows = await query(
+        "SELECT question, answer FROM flashcard WHERE flashcard_id = ? AND set_id = ?", // Get correct answer
+        [flashcard_id, session.set_id] // Params
+      );
     }
 
-    // Enforce answering the current card (MODERATE)
-    if (String(session.difficulty_mode) === "MODERATE") {
-      // Only allow answering in TEST phase
-      if (String(session.moderate_phase || "PREVIEW") !== "TEST") {
-        return res.status(400).json({ message: "Cannot submit answers during MODERATE preview phase" });
-      }
 
-      const orderedIds = safeJsonParse(session.card_order_json || "[]", []);
-      const gs = Math.max(1, Number(settings.group_size) || 5);
+    if (cardRows.length === 0) return res.status(404).json({ message: "Flashcard not found in this session" }); // Validate card
 
-      const groupIndex = Number(session.moderate_group_index || 0);
-      const testIndex = Number(session.moderate_test_index || 0);
 
-      const groupStart = groupIndex * gs;
-      const absoluteIndex = groupStart + testIndex;
+    // Side the card was asked on (same seeded pick as /next)
+    const direction = cardDirection(String(settings.direction || "FORWARD"), Number(settings.seed ?? sessionId), flashcard_id);
+    const correctAnswer = orientCard(cardRows[0], direction).answer; // Correct answer for that side
 
-      // Safety: if we're past the end, group/session is effectively done
-      if (absoluteIndex >= orderedIds.length) {
-        return res.status(400).json({ message: "No current card to answer (session/group finished)." });
+    // Reject oversized answers before grading or storing them
+    const maxAnswerChars = Math.max(MAX_ANSWER_CHARS, 2 * String(correctAnswer || "").length);
+    const answerChars = Array.isArray(blank_answers)
+      ? blank_answers.reduce((sum, a) => sum + String(a ?? "").length, 0) // All blanks together
+      : user_answer === undefined || user_answer === null ? 0 : String(user_answer).length;
+    if (answerChars > maxAnswerChars) {
+      return res.status(413).json({ message: `Answer is too long (at most ${maxAnswerChars} characters)`, max_length: maxAnswerChars });
+    }
+    const gradingOptions = {
+      mode: settings.grading_mode, // STRICT or FUZZY
+      threshold: settings.pass_threshold, // Score needed to pass
+    };
+
+    const timing = answerTiming(servedPrompt, time_taken); // Server-measured time
+    const timedOut = expired || timing.timed_out; // Out of time: no credit
+
+    let grade;
+    if (timedOut) {
+      grade = { is_correct: false, score: 0, method: "TIMEOUT", details: null };
+    } else if (Array.isArray(blank_answers)) {
+      // Blank-level grading: each answer is checked against the token hidden in the served prompt
+      const blanks = servedPrompt && Array.isArray(servedPrompt.blanks) ? servedPrompt.blanks : [];
+
+      if (!servedPrompt || Number(servedPrompt.flashcard_id) !== Number(flashcard_id) || blanks.length === 0) {
+        return res.status(400).json({ message: "No blanked prompt was served for this card" });
       }
 
-      const expectedId = Number(orderedIds[absoluteIndex]);
-
-      if (Number(flashcard_id) !== expectedId) {
+      if (blank_answers.length !== blanks.length) {
         return res.status(400).json({
-          message: "You must answer the current card.",
-          expected_flashcard_id: expectedId,
-          phase: "TEST",
-          difficulty_mode: "MODERATE",
-          group: { index: groupIndex + 1, size: gs },
-          progress: { answered_in_group: testIndex, group_total: Math.min(gs, orderedIds.length - groupStart) }
+          message: `Expected ${blanks.length} blank answer(s), got ${blank_answers.length}`,
+          blank_count: blanks.length,
         });
       }
-    }
-
-    function normalizeForFullSentence(s) {
-  return String(s ?? "")
-    .toLowerCase()
-    .trim()
-    // normalize common unicode punctuation
-    .replace(/[’‘]/g, "'")
-    .replace(/[“”]/g, '"')
-    .replace(/[–—]/g, "-")
-    // remove punctuation (keep letters/numbers/space)
-    .replace(/[^\w\s]/g, "")
-    .replace(/\s+/g, " ");
-}
 
+      grade = gradeBlanks(blank_answers, blanks, gradingOptions);
+    } else if (selected_option !== undefined) {
+      // Multiple choice: the pick is checked against the option order served by /next
+      const options = servedPrompt && Array.isArray(servedPrompt.options) ? servedPrompt.options : [];
 
-    // Enforce answering the current card (EASY)
-    if (String(session.difficulty_mode) === "EASY") {
-      const orderedIds = safeJsonParse(session.card_order_json || "[]", []);
-      const idx = Number(session.easy_index || 0);
+      if (!servedPrompt || Number(servedPrompt.flashcard_id) !== Number(flashcard_id) || options.length === 0) {
+        return res.status(400).json({ message: "No multiple-choice prompt was served for this card" });
+      }
 
-      if (idx >= orderedIds.length) {
-        return res.status(400).json({ message: "Session already finished (no current card)." });
+      const pick = Number(selected_option);
+      if (!Number.isInteger(pick) || pick < 0 || pick >= options.length) {
+        return res.status(400).json({ message: `selected_option must be an option index (0..${options.length - 1})` });
       }
-      
-      const expectedId = Number(orderedIds[idx]);
 
-      if (Number(flashcard_id) !== expectedId) {
-        return res.status(400).json({
-          message: "You must answer the current card.",
-          expected_flashcard_id: expectedId,
-        });
+      grade = gradeChoice(pick, servedPrompt.correct_option);
+    } else {
+      grade = gradeAnswer(user_answer, correctAnswer, gradingOptions);
+
+      // SEMANTIC: a paraphrase that failed the wording checks can still pass on meaning
+      // (not one that flips a negation or changes a number: those are wrong, not reworded)
+      const meaningChanged = Boolean(grade.details?.negation_mismatch || grade.details?.number_mismatch);
+      if (String(settings.grading_mode) === "SEMANTIC" && !grade.is_correct && !meaningChanged && String(user_answer).trim()) {
+        try {
+          const similarity = await fetchSemanticSimilarity(String(user_answer), correctAnswer);
+          const semanticThreshold = Number(settings.semantic_threshold ?? 0.8);
+
+          grade.similarity_score = Number(similarity.toFixed(3));
+          grade.details = { ...(grade.details || {}), semantic_similarity: grade.similarity_score, semantic_threshold: semanticThreshold };
+
+          if (similarity >= semanticThreshold) {
+            grade.is_correct = true;
+            grade.score = Number(Math.max(grade.score, similarity).toFixed(3));
+            grade.method = "SEMANTIC";
+          }
+        } catch (e) {
+          // NLP unavailable: keep the wording-based grade rather than failing the answer
+          console.error("Semantic similarity failed:", e.message);
+        }
       }
     }
-
-
-    const cardRows = await query(
-      "SELECT answer FROM flashcard WHERE flashcard_id = ? AND set_id = ?", // Get correct answer
-      [flashcard_id, session.set_id] // Params
-    );
-
-
-    if (cardRows.length === 0) return res.status(404).json({ message: "Flashcard not found in this set" }); // Validate card
-
-
-    const correctAnswer = cardRows[0].answer; // Correct answer
-    const is_correct =
-      normalizeForFullSentence(user_answer) === normalizeForFullSentence(correctAnswer) ? 1 : 0;
+    const is_correct = grade.is_correct ? 1 : 0; // Binary flag (kept for counters)
 
 
     const attemptRows = await query(
@@ -1336,51 +995,177 @@ router.post("/:sessionId/answer", requireAuth, async (req, res) => {
     const attempt_number = Number(attemptRows[0]?.c || 0) + 1; // Next attempt number
 
 
+    // Hints revealed for this attempt (weaker evidence when completing the session)
+    const hintRows = await query(
+      "SELECT COUNT(*) AS c FROM practice_hint_reveal WHERE session_id = ? AND flashcard_id = ? AND attempt_number = ?",
+      [sessionId, flashcard_id, attempt_number]
+    );
+    const hints_used = Number(hintRows[0]?.c || 0);
+
+
     await query(
       `INSERT INTO performance_result
-       (session_id, flashcard_id, is_correct, user_answer, time_taken, attempt_number)
-       VALUES (?, ?, ?, ?, ?, ?)`, // Insert attempt row
+       (session_id, flashcard_id, is_correct, score, grading_method, similarity_score, user_answer, time_taken,
+        served_at, result_status, attempt_number, hints_used, direction)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`, // Insert attempt row
       [
         sessionId, // Session
         flashcard_id, // Flashcard
         is_correct, // Correct flag
-        String(user_answer), // User answer
-        time_taken !== null && time_taken !== undefined ? Number(time_taken) : null, // Time taken
+        grade.score, // Partial credit 0..1
+        grade.method, // Which check decided
+        grade.similarity_score ?? null, // Semantic similarity (SEMANTIC only)
+        grade.method === "CHOICE"
+          ? String(servedPrompt.options[Number(selected_option)]) // Chosen option text
+          : Array.isArray(blank_answers) ? JSON.stringify(blank_answers) : user_answer === undefined ? null : String(user_answer), // User answer
+        timing.time_taken, // Seconds since served (client value only for legacy prompts)
+        timing.served_at, // When /next served the card
+        timedOut ? "TIMED_OUT" : "ANSWERED", // Result status
         attempt_number, // Attempt number
+        hints_used, // Hints revealed before answering
+        direction, // Side asked (stats are kept per direction)
       ]
     );
 
-    // Advance phase/index for EASY and MODERATE after an answer is submitted
-    if (String(session.difficulty_mode) === "EASY") {
-      await query(
-        `UPDATE practice_session
-         SET easy_index = easy_index + 1,
-            easy_phase = 'PREVIEW'
-        WHERE session_id = ?`,
-        [sessionId]
-      );
+    // Mark the served prompt as answered (no more hints for it)
+    if (servedPrompt && Number(servedPrompt.flashcard_id) === Number(flashcard_id)) {
+      await saveCurrentPrompt(sessionId, { ...servedPrompt, answered: true });
     }
 
-    if (String(session.difficulty_mode) === "MODERATE") {
-      await query(
-        `UPDATE practice_session
-        SET moderate_test_index = moderate_test_index + 1
-        WHERE session_id = ?`,
-        [sessionId]
-      );
-    }
+    // Let the mode move on (and re-queue a missed card when it retries)
+    const { requeued } = await mode.answer(
+      { sessionId, userId: req.user.userId, session, settings, state },
+      { flashcardId: Number(flashcard_id), isCorrect: !!is_correct, attemptNumber: attempt_number }
+    );
+    await writeState(sessionId, state); // Persist mode state
 
 
 
     res.json({
+      result_status: timedOut ? "TIMED_OUT" : "ANSWERED", // TIMED_OUT = answered too late (or expired)
       is_correct: !!is_correct, // Boolean correctness
+      score: grade.score, // Partial credit 0..1
+      grading_method: grade.method, // EXACT / FUZZY / STRICT / BLANKS / SEMANTIC / CHOICE
+      similarity_score: grade.similarity_score ?? null, // Semantic similarity (SEMANTIC only)
+      grading_details: grade.details || null, // Similarity breakdown (FUZZY) or picked/correct option (CHOICE)
+      blanks: grade.blanks || null, // Per-blank correctness (BLANKS only)
       correct_answer: correctAnswer, // Return correct answer (useful for feedback)
+      direction, // FORWARD or REVERSE
       attempt_number, // Return attempt number
+      hints_used, // Hints revealed for this attempt
+      requeued, // Card will be asked again later in this session
+      time_taken: timing.time_taken, // Server-measured seconds
+      answer_time_limit: timing.answer_time_limit, // Limit the answer was checked against
     });
   } catch (err) {
     console.error("Answer error:", err); // Log error
     res.status(500).json({ message: "Server error" }); // Generic 500
   }
+}
+
+
+// POST /api/practice/:sessionId/answer
+// Grade an answer to the served card
+
+router.post("/:sessionId/answer", requireAuth, (req, res) => submitAnswer(req, res, false));
+
+
+// POST /api/practice/:sessionId/expire
+// Body: { flashcard_id? } (defaults to the card waiting for an answer)
+// The client's countdown ran out: records a TIMED_OUT attempt and advances like /answer
+
+router.post("/:sessionId/expire", requireAuth, (req, res) => submitAnswer(req, res, true));
+
+
+// POST /api/practice/:sessionId/hint
+// Reveals the next hint for the card currently being answered and records it against the attempt
+
+router.post("/:sessionId/hint", requireAuth, async (req, res) => {
+  const sessionId = Number(req.params.sessionId); // Parse sessionId
+
+  try {
+    const session = await getSession(sessionId, req.user.userId); // Load session
+    if (!session) return res.status(404).json({ message: "Session not found" }); // Not found/owned
+    if (session.completed_at) return res.status(400).json({ message: "Session already completed" }); // Too late
+    if (rejectIfPaused(session, res)) return; // Resume first
+
+    // Hints are only for a served, unanswered TEST prompt
+    const prompt = safeJsonParse(session.current_prompt_json || "null", null);
+    if (!prompt || !prompt.flashcard_id || prompt.answered) {
+      return res.status(400).json({ message: "No card is waiting for an answer" });
+    }
+
+    const flashcardId = Number(prompt.flashcard_id);
+
+    // Hints describe the card's answer, which a REVERSE prompt already shows
+    if (prompt.direction === "REVERSE") {
+      return res.status(400).json({ message: "Hints are not available for cards asked in reverse" });
+    }
+
+    const attemptRows = await query(
+      "SELECT COUNT(*) AS c FROM performance_result WHERE session_id = ? AND flashcard_id = ?", // Count attempts
+      [sessionId, flashcardId]
+    );
+    const attemptNumber = Number(attemptRows[0]?.c || 0) + 1; // Attempt the hint belongs to
+
+    // Cards nobody wrote hints for get NLP-generated ones on first request
+    // (saved into the set, so only for users who may edit it; viewers just get no hints)
+    const existingHints = await query("SELECT COUNT(*) AS c FROM hint WHERE flashcard_id = ?", [flashcardId]);
+    if (Number(existingHints[0]?.c || 0) === 0) {
+      const answerRows = await query("SELECT answer, set_id FROM flashcard WHERE flashcard_id = ?", [flashcardId]);
+      const role = answerRows.length ? await getSetRole(answerRows[0].set_id, req.user.userId) : null; // Caller's role on the card's set
+      if (hasRole(role, "EDITOR")) {
+        try {
+          await generateAutoHints(flashcardId, answerRows[0].answer);
+        } catch (e) {
+          console.error("Auto hint generation failed:", e.message); // No hints is not fatal
+        }
+      }
+    }
+
+    // Next hint not yet revealed for this attempt (authoring order)
+    const hints = await query(
+      `SELECT h.hint_id, h.hint_text, h.hint_type
+       FROM hint h
+       WHERE h.flashcard_id = ?
+         AND h.hint_id NOT IN (
+           SELECT r.hint_id FROM practice_hint_reveal r
+           WHERE r.session_id = ? AND r.flashcard_id = ? AND r.attempt_number = ?
+         )
+       ORDER BY h.hint_id ASC`,
+      [flashcardId, sessionId, flashcardId, attemptNumber]
+    );
+
+    if (hints.length === 0) {
+      return res.status(404).json({ message: "No more hints for this card", flashcard_id: flashcardId });
+    }
+
+    const hint = hints[0];
+
+    await query(
+      `INSERT INTO practice_hint_reveal (session_id, flashcard_id, hint_id, attempt_number)
+       VALUES (?, ?, ?, ?)`,
+      [sessionId, flashcardId, hint.hint_id, attemptNumber]
+    );
+
+    const revealedRows = await query(
+      "SELECT COUNT(*) AS c FROM practice_hint_reveal WHERE session_id = ? AND flashcard_id = ? AND attempt_number = ?",
+      [sessionId, flashcardId, attemptNumber]
+    );
+
+    res.json({
+      flashcard_id: flashcardId, // Card the hint is for
+      attempt_number: attemptNumber, // Attempt it counts against
+      hint_id: hint.hint_id,
+      hint_text: hint.hint_text,
+      hint_type: hint.hint_type,
+      hints_revealed: Number(revealedRows[0]?.c || 0), // Hints used so far on this attempt
+      hints_remaining: hints.length - 1, // Hints still available
+    });
+  } catch (err) {
+    console.error("Hint reveal error:", err); // Log error
+    res.status(500).json({ message: "Server error" }); // Generic 500
+  }
 });
 
 
@@ -1397,6 +1182,17 @@ router.get("/:sessionId/review-hardest", requireAuth, async (req, res) => {
     if (!session) return res.status(404).json({ message: "Session not found" }); // Reject if not owned
 
 
+    // Cross-set DUE sessions have no set: limit to the cards chosen for the session
+    const sessionIds = safeJsonParse(session.card_order_json || "[]", []).map(Number).filter(Boolean);
+    const scopeSql = session.set_id
+      ? "f.set_id = ?"
+      : `f.flashcard_id IN (${sessionIds.length ? sessionIds.map(() => "?").join(",") : "NULL"})`;
+    const scopeParams = session.set_id ? [session.set_id] : sessionIds;
+
+    // Stats of the direction(s) the session practises (MIXED lists each card once per direction)
+    const settingsRows = await query("SELECT direction FROM practice_settings WHERE session_id = ?", [sessionId]);
+    const directions = statsDirections(String(settingsRows[0]?.direction || "FORWARD"));
+
     // Pull top hardest cards based on user_flashcard_stats difficulty_rating
     // Only within this session’s set for safety/consistency
     const rows = await query(
@@ -1404,6 +1200,7 @@ router.get("/:sessionId/review-hardest", requireAuth, async (req, res) => {
          f.flashcard_id,                                                -- Card id
          f.question,                                                    -- Question text
          f.answer,                                                      -- Answer text (for review)
+         COALESCE(ufs.direction, ?) AS direction,                       -- Side the stats are for
          COALESCE(ufs.difficulty_rating, 0) AS difficulty_rating,       -- User-specific difficulty
          COALESCE(ufs.times_seen, 0) AS times_seen,                     -- Times seen
          COALESCE(ufs.correct_count, 0) AS correct_count,               -- Correct count
@@ -1412,10 +1209,11 @@ router.get("/:sessionId/review-hardest", requireAuth, async (req, res) => {
        FROM flashcard f
        LEFT JOIN user_flashcard_stats ufs
          ON ufs.flashcard_id = f.flashcard_id AND ufs.user_id = ?
-       WHERE f.set_id = ?
+        AND ufs.direction IN (${directions.map(() => "?").join(",")})
+       WHERE ${scopeSql}
        ORDER BY COALESCE(ufs.difficulty_rating, 0) DESC, f.flashcard_id DESC
        LIMIT ?`,
-      [req.user.userId, session.set_id, limit]                          // Params
+      [directions[0], req.user.userId, ...directions, ...scopeParams, limit] // Params
     );
 
 
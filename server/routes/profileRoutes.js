@@ -2,6 +2,9 @@
 const express = require("express");
 const db = require("../db");
 const { requireAuth } = require("../middleware/auth");
+const { parseCriteria } = require("../utils/achievements");
+const { refreshStreak, FREEZE_EVERY_DAYS, MAX_FREEZES } = require("../utils/streaks");
+const { resolveTimezone } = require("../utils/studyTime");
 
 const router = express.Router();
 
@@ -16,6 +19,7 @@ function query(sql, params = []) {
 }
 
 // GET /api/profile/me
+// Streak fields are the stored values (updated on session completion; GET /streak recomputes them)
 router.get("/me", requireAuth, async (req, res) => {
   try {
     const userId = req.user.userId;
@@ -34,6 +38,9 @@ router.get("/me", requireAuth, async (req, res) => {
          p.preferred_difficulty,
          p.current_streak,
          p.longest_streak,
+         p.streak_requires_goal,
+         p.streak_freezes,
+         p.last_study_date,
          p.last_login_date,
          p.created_at,
          p.updated_at
@@ -53,7 +60,8 @@ router.get("/me", requireAuth, async (req, res) => {
            u.user_id, u.username, u.email,
            p.display_name, p.bio, p.avatar_url, p.timezone,
            p.study_goal_minutes_per_day, p.preferred_difficulty,
-           p.current_streak, p.longest_streak, p.last_login_date,
+           p.current_streak, p.longest_streak, p.streak_requires_goal,
+           p.streak_freezes, p.last_study_date, p.last_login_date,
            p.created_at, p.updated_at
          FROM users u
          LEFT JOIN user_profile p ON p.user_id = u.user_id
@@ -82,6 +90,7 @@ router.put("/me", requireAuth, async (req, res) => {
       timezone,
       study_goal_minutes_per_day,
       preferred_difficulty,
+      streak_requires_goal,
     } = req.body || {};
 
     // basic validation + safety clamps
@@ -89,6 +98,9 @@ router.put("/me", requireAuth, async (req, res) => {
     const safeBio = bio !== undefined ? String(bio).trim().slice(0, 255) : undefined;
     const safeAvatar = avatar_url !== undefined ? String(avatar_url).trim().slice(0, 255) : undefined;
     const safeTimezone = timezone !== undefined ? String(timezone).trim().slice(0, 64) : undefined;
+    if (safeTimezone && resolveTimezone(safeTimezone, null) === null) {
+      return res.status(400).json({ message: "timezone must be an IANA timezone name (e.g. Europe/London)" });
+    }
 
     let safeGoal = study_goal_minutes_per_day;
     if (safeGoal !== undefined && safeGoal !== null) {
@@ -105,6 +117,14 @@ router.put("/me", requireAuth, async (req, res) => {
       }
     }
 
+    let safeRequiresGoal = streak_requires_goal;
+    if (safeRequiresGoal !== undefined) {
+      if (typeof safeRequiresGoal !== "boolean") {
+        return res.status(400).json({ message: "streak_requires_goal must be true or false" });
+      }
+      safeRequiresGoal = safeRequiresGoal ? 1 : 0;
+    }
+
     // ensure profile exists then update only provided fields
     await query(
       "INSERT INTO user_profile (user_id) VALUES (?) ON DUPLICATE KEY UPDATE user_id = user_id",
@@ -127,6 +147,7 @@ router.put("/me", requireAuth, async (req, res) => {
     add("timezone", safeTimezone);
     add("study_goal_minutes_per_day", safeGoal);
     add("preferred_difficulty", safePref);
+    add("streak_requires_goal", safeRequiresGoal);
 
     if (updates.length === 0) {
       return res.status(400).json({ message: "No fields provided to update" });
@@ -139,11 +160,72 @@ router.put("/me", requireAuth, async (req, res) => {
       params
     );
 
-    res.json({ message: "Profile updated" });
+    // Day boundaries or the daily requirement changed: replay the streak under the new settings
+    // (the profile change is saved either way; streak is null if the replay failed)
+    let streak;
+    if (safeTimezone !== undefined || safeGoal !== undefined || safeRequiresGoal !== undefined) {
+      try {
+        streak = await refreshStreak(userId, { full: true });
+      } catch (e) {
+        console.error("Streak update failed:", e.message);
+        streak = null;
+      }
+    }
+
+    res.json({ message: "Profile updated", streak });
   } catch (err) {
     console.error("Profile update error:", err);
     res.status(500).json({ message: "Server error" });
   }
 });
 
+// GET /api/profile/streak
+// Current study streak, recomputed from practice history in the user's timezone.
+// frozen_days: missed days that streak freezes bridged for the current streak.
+router.get("/streak", requireAuth, async (req, res) => {
+  try {
+    const streak = await refreshStreak(req.user.userId);
+    res.json({ ...streak, freeze_every_days: FREEZE_EVERY_DAYS, max_freezes: MAX_FREEZES });
+  } catch (err) {
+    console.error("Profile streak error:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// GET /api/profile/badges
+// Every badge with whether (and when) the user earned it: earned first (newest first), then the rest.
+// criteria / event come from the badges table so the frontend can explain how to unlock a badge.
+router.get("/badges", requireAuth, async (req, res) => {
+  try {
+    const rows = await query(
+      `SELECT b.badge_id, b.code, b.name, b.description, b.icon, b.event, b.criteria_json, ub.earned_at
+       FROM badges b
+       LEFT JOIN user_badges ub ON ub.badge_id = b.badge_id AND ub.user_id = ?
+       ORDER BY ub.earned_at IS NULL, ub.earned_at DESC, b.badge_id ASC`,
+      [req.user.userId]
+    );
+
+    const badges = rows.map((b) => ({
+      badge_id: b.badge_id,
+      code: b.code,
+      name: b.name,
+      description: b.description,
+      icon: b.icon,
+      event: b.event,
+      criteria: parseCriteria(b),
+      earned: b.earned_at !== null,
+      earned_at: b.earned_at,
+    }));
+
+    res.json({
+      earned_count: badges.filter((b) => b.earned).length,
+      total_count: badges.length,
+      badges,
+    });
+  } catch (err) {
+    console.error("Profile badges error:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
 module.exports = router;
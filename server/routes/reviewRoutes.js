@@ -0,0 +1,187 @@
+// server/routes/reviewRoutes.js
+const express = require("express"); // Express
+const db = require("../db"); // MySQL connection
+const { requireAuth } = require("../middleware/auth"); // JWT middleware
+const { accessibleSetSql, accessParams } = require("../middleware/setAccess"); // Set membership filter
+
+const router = express.Router(); // Router
+
+// Promise wrapper for MySQL queries
+function query(sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.query(sql, params, (err, results) => {
+      if (err) return reject(err);
+      resolve(results);
+    });
+  });
+}
+
+// Clamp helper
+function clamp(n, min, max) {
+  return Math.max(min, Math.min(max, n));
+}
+
+// SM-2 limits
+const MIN_EASE = 1.3;
+const MAX_EASE = 3.0;
+const DEFAULT_EASE = 2.5;
+const MAX_INTERVAL_DAYS = 365;
+
+/**
+ * Turn one session's performance on a card into an SM-2 quality grade (0..5).
+ * - accuracy: fraction of attempts answered correctly (0..1)
+ * - avgTime: average seconds per attempt (fast recall earns a 5)
+ */
+function qualityFromPerformance(accuracy, avgTime) {
+  const acc = clamp(Number(accuracy) || 0, 0, 1);
+  const t = Number(avgTime) || 0;
+
+  if (acc >= 1) return t > 0 && t <= 10 ? 5 : 4; // Perfect recall (fast = 5)
+  if (acc >= 0.75) return 3; // Recalled with some difficulty
+  if (acc >= 0.5) return 2; // Shaky -> counts as a lapse
+  if (acc > 0) return 1; // Mostly wrong
+  return 0; // Complete blackout
+}
+
+/**
+ * SM-2 scheduler step.
+ * prev: { ease_factor, interval_days, repetitions, lapse_count } (missing = new card)
+ * Returns the new schedule including due_at (for responses only: store due_at as
+ * DATE_ADD(NOW(), INTERVAL interval_days DAY) so it is compared on the database clock).
+ */
+function computeNextReview(prev, quality, now = new Date()) {
+  const q = clamp(Math.round(Number(quality) || 0), 0, 5);
+
+  let ease = Number(prev?.ease_factor);
+  if (!Number.isFinite(ease) || ease <= 0) ease = DEFAULT_EASE;
+
+  let interval = Number(prev?.interval_days || 0);
+  let repetitions = Number(prev?.repetitions || 0);
+  let lapses = Number(prev?.lapse_count || 0);
+
+  if (q < 3) {
+    // Forgotten: restart the learning steps, review again tomorrow
+    if (repetitions > 0) lapses += 1;
+    repetitions = 0;
+    interval = 1;
+  } else {
+    repetitions += 1;
+    if (repetitions === 1) interval = 1;
+    else if (repetitions === 2) interval = 6;
+    else interval = Math.round(Math.max(1, interval) * ease);
+  }
+
+  // Standard SM-2 ease adjustment
+  ease = clamp(ease + (0.1 - (5 - q) * (0.08 + (5 - q) * 0.02)), MIN_EASE, MAX_EASE);
+  interval = clamp(interval, 1, MAX_INTERVAL_DAYS);
+
+  const dueAt = new Date(now.getTime() + interval * 24 * 60 * 60 * 1000);
+
+  return {
+    quality: q,
+    ease_factor: Number(ease.toFixed(2)),
+    interval_days: interval,
+    repetitions,
+    lapse_count: lapses,
+    due_at: dueAt,
+  };
+}
+
+
+// GET /api/review/due
+// Query: set_id? (limit to one set), limit? (1..500, default 100), include_new? (default false),
+//        direction? (FORWARD or REVERSE schedule, default FORWARD)
+// Returns cards whose due_at has passed for this user (sets they own or are a member of), most overdue first.
+// Stats rows without a schedule (seen before the scheduler existed) count as due now.
+router.get("/due", requireAuth, async (req, res) => {
+  const limit = clamp(Number(req.query.limit) || 100, 1, 500);
+  const setId = req.query.set_id ? Number(req.query.set_id) : null;
+  const includeNew = String(req.query.include_new || "") === "true" || String(req.query.include_new || "") === "1";
+  const direction = String(req.query.direction || "FORWARD").toUpperCase();
+
+  if (!["FORWARD", "REVERSE"].includes(direction)) {
+    return res.status(400).json({ message: "direction must be FORWARD or REVERSE" });
+  }
+
+  try {
+    const params = [req.user.userId, direction, ...accessParams(req.user.userId)]; // Stats join + set access
+    let setFilter = "";
+    if (setId) {
+      setFilter = "AND s.set_id = ?";
+      params.push(setId);
+    }
+
+    const dueCondition = includeNew
+      ? "(ufs.due_at IS NULL OR ufs.due_at <= NOW())"
+      : "ufs.flashcard_id IS NOT NULL AND (ufs.due_at IS NULL OR ufs.due_at <= NOW())";
+
+    params.push(limit);
+
+    const rows = await query(
+      `SELECT
+         f.flashcard_id,
+         f.set_id,
+         s.title AS set_title,
+         f.question,
+         f.answer,
+         ufs.due_at,
+         COALESCE(ufs.interval_days, 0) AS interval_days,
+         COALESCE(ufs.ease_factor, ${DEFAULT_EASE}) AS ease_factor,
+         COALESCE(ufs.repetitions, 0) AS repetitions,
+         COALESCE(ufs.lapse_count, 0) AS lapse_count,
+         COALESCE(ufs.difficulty_rating, 0) AS difficulty_rating,
+         CASE WHEN ufs.due_at IS NULL THEN NULL ELSE DATEDIFF(NOW(), ufs.due_at) END AS days_overdue
+       FROM flashcard f
+       JOIN flashcard_set s ON s.set_id = f.set_id
+       LEFT JOIN user_flashcard_stats ufs
+         ON ufs.flashcard_id = f.flashcard_id AND ufs.user_id = ? AND ufs.direction = ?
+       WHERE ${accessibleSetSql("s")} ${setFilter}
+         AND ${dueCondition}
+       ORDER BY ufs.flashcard_id IS NULL, ufs.due_at IS NOT NULL, ufs.due_at ASC, f.flashcard_id ASC
+       LIMIT ?`,
+      params
+    );
+
+    // Per-set counts so the frontend can show a daily queue overview
+    const countParams = [req.user.userId, direction, ...accessParams(req.user.userId)];
+    if (setId) countParams.push(setId);
+
+    const counts = await query(
+      `SELECT
+         s.set_id,
+         s.title,
+         SUM(CASE WHEN ufs.flashcard_id IS NOT NULL AND (ufs.due_at IS NULL OR ufs.due_at <= NOW()) THEN 1 ELSE 0 END) AS due_count,
+         SUM(CASE WHEN ufs.flashcard_id IS NULL THEN 1 ELSE 0 END) AS new_count
+       FROM flashcard f
+       JOIN flashcard_set s ON s.set_id = f.set_id
+       LEFT JOIN user_flashcard_stats ufs
+         ON ufs.flashcard_id = f.flashcard_id AND ufs.user_id = ? AND ufs.direction = ?
+       WHERE ${accessibleSetSql("s")} ${setFilter}
+       GROUP BY s.set_id, s.title
+       ORDER BY s.set_id ASC`,
+      countParams
+    );
+
+    res.json({
+      limit,
+      set_id: setId,
+      direction,
+      total_due: counts.reduce((sum, c) => sum + Number(c.due_count || 0), 0),
+      sets: counts.map((c) => ({
+        set_id: c.set_id,
+        title: c.title,
+        due_count: Number(c.due_count || 0),
+        new_count: Number(c.new_count || 0),
+      })),
+      cards: rows,
+    });
+  } catch (err) {
+    console.error("Review due error:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// Export router + attach scheduler helpers for reuse in sessionRoutes.js
+module.exports = router;
+module.exports.qualityFromPerformance = qualityFromPerformance;
+module.exports.computeNextReview = computeNextReview;
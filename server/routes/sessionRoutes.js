@@ -3,6 +3,11 @@
 const express = require("express"); // Express
 const db = require("../db"); // MySQL connection
 const { requireAuth } = require("../middleware/auth"); // JWT middleware
+const { qualityFromPerformance, computeNextReview } = require("./reviewRoutes"); // Spaced repetition scheduler
+const { updateReadingSpeedFromSession } = require("../practice/readingSpeed"); // Online reading-speed estimate
+const { recordEvent } = require("../utils/achievements"); // Achievement engine
+const { refreshStreak } = require("../utils/streaks"); // Practice-driven study streaks
+const { withTransaction } = require("../utils/transaction"); // Transaction helper
 
 const router = express.Router(); // Router
 
@@ -21,15 +26,26 @@ function clamp(n, min, max) {
   return Math.max(min, Math.min(max, n));
 }
 
+// Each revealed hint weakens the evidence of an answer (credit multiplier floor)
+const HINT_PENALTY_PER_HINT = 0.2;
+const MIN_HINT_CREDIT = 0.4;
+
 /**
  * COMPLETE SESSION ENGINE (REUSABLE)
  * Finalises a session and updates PER-USER difficulty in user_flashcard_stats
- * based on performance_result.
+ * based on performance_result, then reschedules each card (SM-2).
+ * Difficulty, scheduling and final_score use partial credit (performance_result.score),
+ * reduced for answers given after revealing hints; correct_count / incorrect_count stay binary.
+ * Stats are kept per direction (FORWARD / REVERSE): each is its own skill with its own schedule.
+ * status: 'COMPLETED' (finished) or 'ABANDONED' (ended early; scored on the attempts made so far)
+ * The session's answer timings also refine the user's reading speed (practice/readingSpeed.js),
+ * the user's study streak is recomputed (streak in the payload),
+ * and the SESSION_COMPLETED achievement event runs (new_badges lists what it unlocked).
  */
-async function completeSessionForUser(sessionId, userId) {
+async function completeSessionForUser(sessionId, userId, status = "COMPLETED") {
   // 1) Ensure session belongs to user
   const sessionRows = await query(
-    "SELECT session_id FROM practice_session WHERE session_id = ? AND user_id = ?",
+    "SELECT session_id, difficulty_mode, completed_at, status FROM practice_session WHERE session_id = ? AND user_id = ?",
     [sessionId, userId]
   );
 
@@ -39,132 +55,223 @@ async function completeSessionForUser(sessionId, userId) {
     throw err;
   }
 
-  // 2) Aggregate performance per flashcard for this session
-  const perf = await query(
-    `SELECT
-       flashcard_id,
-       COUNT(*) AS attempts,
-       SUM(CASE WHEN is_correct = 1 THEN 1 ELSE 0 END) AS correct_count,
-       AVG(COALESCE(time_taken, 0)) AS avg_time
-     FROM performance_result
-     WHERE session_id = ?
-     GROUP BY flashcard_id`,
-    [sessionId]
-  );
+  // Claim, stats and final score in one transaction: a failure (or no answers) leaves the session open
+  const { finalScore, totalAttempts, totalCorrect, totalCredit, updates } = await withTransaction(async (q) => {
+    // A session is completed once: doing it again would apply its attempts to the stats a second time.
+    // The conditional UPDATE claims the session (a concurrent request waits on the row lock, then gets 409).
+    const claim = sessionRows[0].completed_at
+      ? { affectedRows: 0 }
+      : await q(
+          "UPDATE practice_session SET completed_at = NOW(), status = ? WHERE session_id = ? AND completed_at IS NULL",
+          [status, sessionId]
+        );
+
+    if (claim.affectedRows === 0) {
+      const err = new Error("Session is already completed");
+      err.status = 409;
+      throw err;
+    }
 
-  if (perf.length === 0) {
-    const err = new Error("No performance data for this session");
-    err.status = 400;
-    throw err;
-  }
+    // 2) Aggregate performance per flashcard and direction for this session
+    const perf = await q(
+      `SELECT
+         flashcard_id,
+         direction,
+         COUNT(*) AS attempts,
+         SUM(CASE WHEN is_correct = 1 THEN 1 ELSE 0 END) AS correct_count,
+         SUM(COALESCE(score, is_correct) * GREATEST(?, 1 - ? * hints_used)) AS credit,
+         AVG(COALESCE(time_taken, 0)) AS avg_time
+       FROM performance_result
+       WHERE session_id = ?
+       GROUP BY flashcard_id, direction`,
+      [MIN_HINT_CREDIT, HINT_PENALTY_PER_HINT, sessionId]
+    );
+
+    if (perf.length === 0) {
+      const err = new Error("No performance data for this session");
+      err.status = 400;
+      throw err;
+    }
 
-  // 3) Load existing stats rows (if any) for this user + these flashcards
-  const ids = perf.map((r) => r.flashcard_id);
+    // 3) Load existing stats rows (if any) for this user + these flashcards
+    const ids = [...new Set(perf.map((r) => r.flashcard_id))];
+
+    const existingStats = await q(
+      `SELECT user_id, flashcard_id, direction, difficulty_rating, times_seen, correct_count, incorrect_count, avg_time_taken,
+              ease_factor, interval_days, repetitions, lapse_count
+       FROM user_flashcard_stats
+       WHERE user_id = ? AND flashcard_id IN (${ids.map(() => "?").join(",")})`,
+      [userId, ...ids]
+    );
+
+    const statsKey = (flashcardId, direction) => `${flashcardId}:${direction}`;
+    const statsMap = new Map(existingStats.map((s) => [statsKey(s.flashcard_id, s.direction), s]));
+
+    // 4) Compute updates + apply them
+    const updates = [];
+    let totalCorrect = 0;
+    let totalCredit = 0;
+    let totalAttempts = 0;
+
+    for (const r of perf) {
+      const flashcardId = r.flashcard_id;
+      const direction = r.direction || "FORWARD";
+      const attempts = Number(r.attempts || 0);
+      const correct = Number(r.correct_count || 0);
+      const credit = clamp(Number(r.credit || 0), 0, attempts); // Sum of 0..1 scores
+      const avgTimeThisSession = Number(r.avg_time || 0);
+
+      totalCorrect += correct;
+      totalCredit += credit;
+      totalAttempts += attempts;
+
+      const incorrect = attempts - correct;
+
+      // Session difficulty score (0..100), partial credit counts partly correct
+      const incorrectRate = attempts > 0 ? 1 - credit / attempts : 0; // 0..1
+      const timeFactor = clamp(avgTimeThisSession / 10, 0, 2); // 0..2 (10s baseline)
+      const sessionScore = clamp(incorrectRate * 80 + timeFactor * 10, 0, 100);
+
+      const existing = statsMap.get(statsKey(flashcardId, direction));
+
+      // Next review date from this session's recall quality
+      const quality = qualityFromPerformance(attempts > 0 ? credit / attempts : 0, avgTimeThisSession);
+      const schedule = computeNextReview(existing, quality);
+
+      if (!existing) {
+        // First time user has stats for this card
+        const initialRating = clamp(sessionScore, 0, 100);
+        const initialAvgTime = avgTimeThisSession || 0;
+
+        await q(
+          `INSERT INTO user_flashcard_stats
+           (user_id, flashcard_id, direction, difficulty_rating, times_seen, correct_count, incorrect_count, avg_time_taken, last_seen,
+            ease_factor, interval_days, repetitions, lapse_count, due_at)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?, NOW(), ?, ?, ?, ?, DATE_ADD(NOW(), INTERVAL ? DAY))`,
+          [
+            userId, flashcardId, direction, initialRating, attempts, correct, incorrect, initialAvgTime,
+            schedule.ease_factor, schedule.interval_days, schedule.repetitions, schedule.lapse_count, schedule.interval_days,
+          ]
+        );
+
+        updates.push({
+          flashcardId,
+          direction,
+          difficulty_rating: initialRating,
+          times_seen: attempts,
+          correct_count: correct,
+          incorrect_count: incorrect,
+          avg_time_taken: initialAvgTime,
+          quality: schedule.quality,
+          interval_days: schedule.interval_days,
+          ease_factor: schedule.ease_factor,
+          lapse_count: schedule.lapse_count,
+          due_at: schedule.due_at,
+        });
+      } else {
+        const oldRating = Number(existing.difficulty_rating || 0);
+        const oldSeen = Number(existing.times_seen || 0);
+        const oldCorrect = Number(existing.correct_count || 0);
+        const oldIncorrect = Number(existing.incorrect_count || 0);
+        const oldAvgTime = Number(existing.avg_time_taken || 0);
+
+        const newSeen = oldSeen + attempts;
+        const newCorrect = oldCorrect + correct;
+        const newIncorrect = oldIncorrect + incorrect;
+
+        // Running average time (weighted by attempts)
+        const oldTotalTime = oldAvgTime * oldSeen;
+        const newTotalTime = oldTotalTime + avgTimeThisSession * attempts;
+        const newAvgTime = newSeen > 0 ? newTotalTime / newSeen : 0;
+
+        // Smooth difficulty update (prevents wild jumps)
+        const updatedRating = clamp(oldRating * 0.7 + sessionScore * 0.3, 0, 100);
+
+        await q(
+          `UPDATE user_flashcard_stats
+           SET difficulty_rating = ?, times_seen = ?, correct_count = ?, incorrect_count = ?, avg_time_taken = ?, last_seen = NOW(),
+               ease_factor = ?, interval_days = ?, repetitions = ?, lapse_count = ?, due_at = DATE_ADD(NOW(), INTERVAL ? DAY)
+           WHERE user_id = ? AND flashcard_id = ? AND direction = ?`,
+          [
+            updatedRating, newSeen, newCorrect, newIncorrect, newAvgTime,
+            schedule.ease_factor, schedule.interval_days, schedule.repetitions, schedule.lapse_count, schedule.interval_days,
+            userId, flashcardId, direction,
+          ]
+        );
+
+        updates.push({
+          flashcardId,
+          direction,
+          difficulty_rating: updatedRating,
+          times_seen: newSeen,
+          correct_count: newCorrect,
+          incorrect_count: newIncorrect,
+          avg_time_taken: Number(newAvgTime.toFixed(2)),
+          quality: schedule.quality,
+          interval_days: schedule.interval_days,
+          ease_factor: schedule.ease_factor,
+          lapse_count: schedule.lapse_count,
+          due_at: schedule.due_at,
+        });
+      }
+    }
 
-  const existingStats = await query(
-    `SELECT user_id, flashcard_id, difficulty_rating, times_seen, correct_count, incorrect_count, avg_time_taken
-     FROM user_flashcard_stats
-     WHERE user_id = ? AND flashcard_id IN (${ids.map(() => "?").join(",")})`,
-    [userId, ...ids]
-  );
+    // 5) Final score for the session (percentage of credit earned)
+    const finalScore = totalAttempts > 0 ? Math.round((totalCredit / totalAttempts) * 100) : 0;
 
-  const statsMap = new Map(existingStats.map((s) => [s.flashcard_id, s]));
-
-  // 4) Compute updates + apply them
-  const updates = [];
-  let totalCorrect = 0;
-  let totalAttempts = 0;
-
-  for (const r of perf) {
-    const flashcardId = r.flashcard_id;
-    const attempts = Number(r.attempts || 0);
-    const correct = Number(r.correct_count || 0);
-    const avgTimeThisSession = Number(r.avg_time || 0);
-
-    totalCorrect += correct;
-    totalAttempts += attempts;
-
-    const incorrect = attempts - correct;
-
-    // Session difficulty score (0..100)
-    const incorrectRate = attempts > 0 ? incorrect / attempts : 0; // 0..1
-    const timeFactor = clamp(avgTimeThisSession / 10, 0, 2); // 0..2 (10s baseline)
-    const sessionScore = clamp(incorrectRate * 80 + timeFactor * 10, 0, 100);
-
-    const existing = statsMap.get(flashcardId);
-
-    if (!existing) {
-      // First time user has stats for this card
-      const initialRating = clamp(sessionScore, 0, 100);
-      const initialAvgTime = avgTimeThisSession || 0;
-
-      await query(
-        `INSERT INTO user_flashcard_stats
-         (user_id, flashcard_id, difficulty_rating, times_seen, correct_count, incorrect_count, avg_time_taken, last_seen)
-         VALUES (?, ?, ?, ?, ?, ?, ?, NOW())`,
-        [userId, flashcardId, initialRating, attempts, correct, incorrect, initialAvgTime]
-      );
-
-      updates.push({
-        flashcardId,
-        difficulty_rating: initialRating,
-        times_seen: attempts,
-        correct_count: correct,
-        incorrect_count: incorrect,
-        avg_time_taken: initialAvgTime,
-      });
-    } else {
-      const oldRating = Number(existing.difficulty_rating || 0);
-      const oldSeen = Number(existing.times_seen || 0);
-      const oldCorrect = Number(existing.correct_count || 0);
-      const oldIncorrect = Number(existing.incorrect_count || 0);
-      const oldAvgTime = Number(existing.avg_time_taken || 0);
-
-      const newSeen = oldSeen + attempts;
-      const newCorrect = oldCorrect + correct;
-      const newIncorrect = oldIncorrect + incorrect;
-
-      // Running average time (weighted by attempts)
-      const oldTotalTime = oldAvgTime * oldSeen;
-      const newTotalTime = oldTotalTime + avgTimeThisSession * attempts;
-      const newAvgTime = newSeen > 0 ? newTotalTime / newSeen : 0;
-
-      // Smooth difficulty update (prevents wild jumps)
-      const updatedRating = clamp(oldRating * 0.7 + sessionScore * 0.3, 0, 100);
-
-      await query(
-        `UPDATE user_flashcard_stats
-         SET difficulty_rating = ?, times_seen = ?, correct_count = ?, incorrect_count = ?, avg_time_taken = ?, last_seen = NOW()
-         WHERE user_id = ? AND flashcard_id = ?`,
-        [updatedRating, newSeen, newCorrect, newIncorrect, newAvgTime, userId, flashcardId]
-      );
-
-      updates.push({
-        flashcardId,
-        difficulty_rating: updatedRating,
-        times_seen: newSeen,
-        correct_count: newCorrect,
-        incorrect_count: newIncorrect,
-        avg_time_taken: Number(newAvgTime.toFixed(2)),
-      });
-    }
+    await q(
+      `UPDATE practice_session
+       SET completed_at = NOW(), final_score = ?, status = ?,
+           total_paused_seconds = total_paused_seconds + COALESCE(TIMESTAMPDIFF(SECOND, paused_at, NOW()), 0),
+           paused_at = NULL
+       WHERE session_id = ?`,
+      [finalScore, status, sessionId]
+    );
+
+    return { finalScore, totalAttempts, totalCorrect, totalCredit, updates };
+  });
+
+  // 6) Learn reading speed from the timings (never fails the completion)
+  let readingSpeed = null;
+  try {
+    readingSpeed = await updateReadingSpeedFromSession(sessionId, userId);
+  } catch (e) {
+    console.error("Reading speed update failed:", e.message);
   }
 
-  // 5) Final score for the session (percentage)
-  const finalScore = totalAttempts > 0 ? Math.round((totalCorrect / totalAttempts) * 100) : 0;
+  // 7) Study streak (before achievements, streak badges read it; never fails the completion)
+  let streak = null;
+  try {
+    streak = await refreshStreak(userId);
+  } catch (e) {
+    console.error("Streak update failed:", e.message);
+  }
 
-  await query(
-    "UPDATE practice_session SET completed_at = NOW(), final_score = ? WHERE session_id = ?",
-    [finalScore, sessionId]
-  );
+  // 8) Achievements (never fail the completion either)
+  let newBadges = [];
+  try {
+    newBadges = await recordEvent(userId, "SESSION_COMPLETED", {
+      status,
+      difficulty_mode: sessionRows[0].difficulty_mode,
+      final_score: finalScore,
+      total_attempts: totalAttempts,
+    });
+  } catch (e) {
+    console.error("Achievement check failed:", e.message);
+  }
 
   // Return completion payload (used by endpoint + practice auto-complete)
   return {
     session_id: sessionId,
+    status,
     final_score: finalScore,
     total_attempts: totalAttempts,
     total_correct: totalCorrect,
+    total_credit: Number(totalCredit.toFixed(3)),
     updated_cards: updates,
+    reading_speed: readingSpeed, // null when the session had too few usable timings
+    streak, // { current_streak, longest_streak, freezes, today_done, ... } or null if it could not be updated
+    new_badges: newBadges, // Badges this session unlocked
   };
 }
 
@@ -1,9 +1,14 @@
 const express = require("express");
+const crypto = require("crypto");
 const db = require("../db");
 const { requireAuth } = require("../middleware/auth");
+const { requireSetRole, requireSetCreator, accessibleSetSql, accessParams } = require("../middleware/setAccess");
+const { DIRECTIONS } = require("../practice/direction");
 
 const router = express.Router();
 
+const VISIBILITIES = ["PRIVATE", "UNLISTED", "PUBLIC"];
+
 /**
  * CREATE set
  * POST /api/sets
@@ -24,13 +29,19 @@ router.post("/", requireAuth, (req, res) => {
 });
 
 /**
- * GET all my sets
+ * GET all my sets (created by me, shared with me as a member, or assigned to my study groups)
  * GET /api/sets
  */
 router.get("/", requireAuth, (req, res) => {
   db.query(
-    "SELECT set_id, title, description, created_at, last_modified FROM flashcard_set WHERE user_id = ? ORDER BY last_modified DESC",
-    [req.user.userId],
+    `SELECT s.set_id, s.title, s.description, s.visibility, s.share_token, s.cloned_from_set_id,
+            s.practice_direction, s.created_at, s.last_modified,
+            CASE WHEN s.user_id = ? THEN 'OWNER' ELSE COALESCE(sm.role, 'VIEWER') END AS role
+     FROM flashcard_set s
+     LEFT JOIN set_member sm ON sm.set_id = s.set_id AND sm.user_id = ?
+     WHERE ${accessibleSetSql("s")}
+     ORDER BY s.last_modified DESC`,
+    [req.user.userId, req.user.userId, ...accessParams(req.user.userId)],
     (err, results) => {
       if (err) return res.status(500).json({ message: err.message });
       res.json(results);
@@ -39,33 +50,33 @@ router.get("/", requireAuth, (req, res) => {
 });
 
 /**
- * GET one set (must belong to user)
+ * GET one set (any member role)
  * GET /api/sets/:setId
  */
-router.get("/:setId", requireAuth, (req, res) => {
+router.get("/:setId", requireAuth, requireSetRole("VIEWER"), (req, res) => {
   db.query(
-    "SELECT set_id, title, description, created_at, last_modified FROM flashcard_set WHERE set_id = ? AND user_id = ?",
-    [req.params.setId, req.user.userId],
+    "SELECT set_id, title, description, visibility, share_token, cloned_from_set_id, practice_direction, created_at, last_modified FROM flashcard_set WHERE set_id = ?",
+    [req.params.setId],
     (err, results) => {
       if (err) return res.status(500).json({ message: err.message });
       if (results.length === 0) return res.status(404).json({ message: "Set not found" });
-      res.json(results[0]);
+      res.json({ ...results[0], role: req.setRole });
     }
   );
 });
 
 /**
- * UPDATE set
+ * UPDATE set (editors and owners)
  * PUT /api/sets/:setId
  * body: { title, description }
  */
-router.put("/:setId", requireAuth, (req, res) => {
+router.put("/:setId", requireAuth, requireSetRole("EDITOR"), (req, res) => {
   const { title, description } = req.body;
   if (!title) return res.status(400).json({ message: "title is required" });
 
   db.query(
-    "UPDATE flashcard_set SET title = ?, description = ? WHERE set_id = ? AND user_id = ?",
-    [title, description || null, req.params.setId, req.user.userId],
+    "UPDATE flashcard_set SET title = ?, description = ? WHERE set_id = ?",
+    [title, description || null, req.params.setId],
     (err, result) => {
       if (err) return res.status(500).json({ message: err.message });
       if (result.affectedRows === 0) return res.status(404).json({ message: "Set not found" });
@@ -75,13 +86,81 @@ router.put("/:setId", requireAuth, (req, res) => {
 });
 
 /**
- * DELETE set (cascades to flashcards etc.)
+ * UPDATE set visibility
+ * PUT /api/sets/:setId/visibility
+ * body: { visibility (PRIVATE/UNLISTED/PUBLIC), regenerate_token? }
+ * UNLISTED/PUBLIC sets get a share token (kept across changes unless regenerate_token is set,
+ * which invalidates old links). Returns the share token for building /api/shared/:token links.
+ */
+router.put("/:setId/visibility", requireAuth, requireSetRole("OWNER"), (req, res) => {
+  const visibility = String(req.body?.visibility || "").toUpperCase();
+  const regenerate = !!req.body?.regenerate_token;
+
+  if (!VISIBILITIES.includes(visibility)) {
+    return res.status(400).json({ message: `visibility must be one of ${VISIBILITIES.join(", ")}` });
+  }
+
+  db.query(
+    "SELECT share_token FROM flashcard_set WHERE set_id = ?",
+    [req.params.setId],
+    (err, results) => {
+      if (err) return res.status(500).json({ message: err.message });
+      if (results.length === 0) return res.status(404).json({ message: "Set not found" });
+
+      let shareToken = results[0].share_token;
+      if (visibility !== "PRIVATE" && (!shareToken || regenerate)) {
+        shareToken = crypto.randomBytes(16).toString("hex");
+      }
+
+      db.query(
+        "UPDATE flashcard_set SET visibility = ?, share_token = ? WHERE set_id = ?",
+        [visibility, shareToken, req.params.setId],
+        (err2) => {
+          if (err2) return res.status(500).json({ message: err2.message });
+          res.json({
+            set_id: Number(req.params.setId),
+            visibility,
+            share_token: visibility === "PRIVATE" ? null : shareToken,
+          });
+        }
+      );
+    }
+  );
+});
+
+/**
+ * UPDATE the side practice asks by default (editors and owners)
+ * PUT /api/sets/:setId/direction
+ * body: { practice_direction (FORWARD/REVERSE/MIXED) }
+ * FORWARD asks for the answer, REVERSE for the question, MIXED either per card.
+ * Practice sessions can still override it with /api/practice/start { direction }.
+ */
+router.put("/:setId/direction", requireAuth, requireSetRole("EDITOR"), (req, res) => {
+  const direction = String(req.body?.practice_direction || "").toUpperCase();
+
+  if (!DIRECTIONS.includes(direction)) {
+    return res.status(400).json({ message: `practice_direction must be one of ${DIRECTIONS.join(", ")}` });
+  }
+
+  db.query(
+    "UPDATE flashcard_set SET practice_direction = ? WHERE set_id = ?",
+    [direction, req.params.setId],
+    (err, result) => {
+      if (err) return res.status(500).json({ message: err.message });
+      if (result.affectedRows === 0) return res.status(404).json({ message: "Set not found" });
+      res.json({ set_id: Number(req.params.setId), practice_direction: direction });
+    }
+  );
+});
+
+/**
+ * DELETE set (the creator only, member owners cannot; cascades to flashcards, members etc.)
  * DELETE /api/sets/:setId
  */
-router.delete("/:setId", requireAuth, (req, res) => {
+router.delete("/:setId", requireAuth, requireSetCreator(), (req, res) => {
   db.query(
-    "DELETE FROM flashcard_set WHERE set_id = ? AND user_id = ?",
-    [req.params.setId, req.user.userId],
+    "DELETE FROM flashcard_set WHERE set_id = ?",
+    [req.params.setId],
     (err, result) => {
       if (err) return res.status(500).json({ message: err.message });
       if (result.affectedRows === 0) return res.status(404).json({ message: "Set not found" });
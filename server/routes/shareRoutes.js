@@ -0,0 +1,212 @@
+// server/routes/shareRoutes.js
+const express = require("express");
+const db = require("../db");
+const { requireAuth } = require("../middleware/auth");
+const { withTransaction } = require("../utils/transaction");
+const { getSetRole } = require("../middleware/setAccess");
+
+const router = express.Router();
+
+/**
+ * Promise wrapper for db.query (mysql/mysql2 callback style)
+ */
+function query(sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.query(sql, params, (err, results) => {
+      if (err) return reject(err);
+      resolve(results);
+    });
+  });
+}
+
+/**
+ * Helper: load a shared (UNLISTED/PUBLIC) set by its share token
+ */
+async function getSharedSet(shareToken) {
+  const rows = await query(
+    `SELECT s.set_id, s.user_id, s.title, s.description, s.visibility, s.created_at, s.last_modified,
+            u.username AS owner_username
+     FROM flashcard_set s
+     JOIN users u ON u.user_id = s.user_id
+     WHERE s.share_token = ? AND s.visibility IN ('UNLISTED', 'PUBLIC')`,
+    [shareToken]
+  );
+  return rows[0] || null;
+}
+
+/**
+ * Helper: true if the user may read (and so clone) the set.
+ * Members always; PUBLIC for everyone; UNLISTED only with the matching share token.
+ */
+async function canReadSet(setId, userId, shareToken) {
+  const rows = await query(
+    "SELECT visibility, share_token FROM flashcard_set WHERE set_id = ?",
+    [setId]
+  );
+  if (rows.length === 0) return false;
+
+  const s = rows[0];
+  if (await getSetRole(setId, userId)) return true;
+  if (s.visibility === "PUBLIC") return true;
+  return s.visibility === "UNLISTED" && !!shareToken && shareToken === s.share_token;
+}
+
+/**
+ * GET /api/shared/public
+ * Query: q? (title search), limit? (1..100, default 50)
+ * Lists PUBLIC sets with their card counts
+ */
+router.get("/shared/public", requireAuth, async (req, res) => {
+  const limit = Math.max(1, Math.min(100, Number(req.query.limit) || 50));
+  const search = String(req.query.q || "").trim();
+
+  try {
+    const params = [];
+    let searchFilter = "";
+    if (search) {
+      searchFilter = "AND s.title LIKE ?";
+      params.push(`%${search}%`);
+    }
+    params.push(limit);
+
+    const rows = await query(
+      `SELECT s.set_id, s.title, s.description, s.share_token, s.last_modified,
+              u.username AS owner_username,
+              COUNT(f.flashcard_id) AS card_count
+       FROM flashcard_set s
+       JOIN users u ON u.user_id = s.user_id
+       LEFT JOIN flashcard f ON f.set_id = s.set_id
+       WHERE s.visibility = 'PUBLIC' ${searchFilter}
+       GROUP BY s.set_id, s.title, s.description, s.share_token, s.last_modified, u.username
+       ORDER BY s.last_modified DESC
+       LIMIT ?`,
+      params
+    );
+
+    res.json(rows.map((r) => ({ ...r, card_count: Number(r.card_count || 0) })));
+  } catch (err) {
+    console.error("Public sets error:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+/**
+ * GET /api/shared/:shareToken
+ * Read-only view of an UNLISTED/PUBLIC set (no login needed): metadata, cards and hints.
+ * Never includes anyone's stats.
+ */
+router.get("/shared/:shareToken", async (req, res) => {
+  try {
+    const set = await getSharedSet(req.params.shareToken);
+    if (!set) return res.status(404).json({ message: "Shared set not found" });
+
+    const cards = await query(
+      "SELECT flashcard_id, question, answer FROM flashcard WHERE set_id = ? ORDER BY flashcard_id ASC",
+      [set.set_id]
+    );
+
+    const hints = await query(
+      `SELECT h.flashcard_id, h.hint_text, h.hint_type
+       FROM hint h
+       JOIN flashcard f ON f.flashcard_id = h.flashcard_id
+       WHERE f.set_id = ?
+       ORDER BY h.hint_id ASC`,
+      [set.set_id]
+    );
+
+    const hintMap = new Map();
+    for (const h of hints) {
+      if (!hintMap.has(h.flashcard_id)) hintMap.set(h.flashcard_id, []);
+      hintMap.get(h.flashcard_id).push({ hint_text: h.hint_text, hint_type: h.hint_type });
+    }
+
+    res.json({
+      set_id: set.set_id,
+      title: set.title,
+      description: set.description,
+      visibility: set.visibility,
+      owner_username: set.owner_username,
+      created_at: set.created_at,
+      last_modified: set.last_modified,
+      card_count: cards.length,
+      cards: cards.map((c) => ({
+        question: c.question,
+        answer: c.answer,
+        hints: hintMap.get(c.flashcard_id) || [],
+      })),
+    });
+  } catch (err) {
+    console.error("Shared set error:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+/**
+ * POST /api/sets/:setId/clone
+ * Body: { share_token? (required for UNLISTED sets you don't own), title? }
+ * Deep-copies the set's cards and hints into a new PRIVATE set owned by the caller.
+ * The copies get new flashcard ids, so user_flashcard_stats (and practice history) stay per-user
+ * and per-copy; nothing from the source owner's stats is carried over.
+ */
+router.post("/sets/:setId/clone", requireAuth, async (req, res) => {
+  const setId = Number(req.params.setId);
+  const { share_token = null, title } = req.body || {};
+
+  try {
+    if (!(await canReadSet(setId, req.user.userId, share_token))) {
+      return res.status(404).json({ message: "Set not found" });
+    }
+
+    const sources = await query(
+      "SELECT title, description, practice_direction FROM flashcard_set WHERE set_id = ?",
+      [setId]
+    );
+    const source = sources[0];
+    const newTitle = String(title || source.title).trim().slice(0, 120) || source.title;
+
+    const result = await withTransaction(async (q) => {
+      const setInsert = await q(
+        `INSERT INTO flashcard_set (user_id, title, description, cloned_from_set_id, practice_direction)
+         VALUES (?, ?, ?, ?, ?)`,
+        [req.user.userId, newTitle, source.description, setId, source.practice_direction]
+      );
+      const newSetId = setInsert.insertId;
+
+      const cards = await q(
+        "SELECT flashcard_id, question, answer FROM flashcard WHERE set_id = ? ORDER BY flashcard_id ASC",
+        [setId]
+      );
+
+      let hintCount = 0;
+      for (const c of cards) {
+        const cardInsert = await q(
+          "INSERT INTO flashcard (set_id, question, answer) VALUES (?, ?, ?)",
+          [newSetId, c.question, c.answer]
+        );
+
+        // Copy hints in their original order (reveal order follows hint_id)
+        const copied = await q(
+          `INSERT INTO hint (flashcard_id, hint_text, hint_type)
+           SELECT ?, hint_text, hint_type FROM hint WHERE flashcard_id = ? ORDER BY hint_id ASC`,
+          [cardInsert.insertId, c.flashcard_id]
+        );
+        hintCount += copied.affectedRows || 0;
+      }
+
+      return { newSetId, cardCount: cards.length, hintCount };
+    });
+
+    res.status(201).json({
+      set_id: result.newSetId,
+      title: newTitle,
+      cloned_from_set_id: setId,
+      card_count: result.cardCount,
+      hint_count: result.hintCount,
+    });
+  } catch (err) {
+    console.error("Clone set error:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+module.exports = router;
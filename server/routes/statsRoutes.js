@@ -0,0 +1,366 @@
+// server/routes/statsRoutes.js
+const express = require("express");
+const db = require("../db");
+const { requireAuth } = require("../middleware/auth");
+const { accessibleSetSql, accessParams } = require("../middleware/setAccess");
+const {
+  resolveTimezone,
+  localDateKey,
+  weekStartKey,
+  addDaysKey,
+  sessionStudySeconds,
+} = require("../utils/studyTime");
+const { goalHistory } = require("../utils/studyGoal");
+
+const router = express.Router();
+
+/**
+ * Promise wrapper for db.query (mysql/mysql2 callback style)
+ */
+function query(sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.query(sql, params, (err, results) => {
+      if (err) return reject(err);
+      resolve(results);
+    });
+  });
+}
+
+// A card counts as mastered once its review interval reaches three weeks
+const MASTERED_INTERVAL_DAYS = 21;
+
+/**
+ * Helper: clamp a "days" query param
+ */
+function readDays(value, fallback, max) {
+  const n = Number(value);
+  if (!Number.isFinite(n) || n <= 0) return fallback;
+  return Math.min(max, Math.floor(n));
+}
+
+/**
+ * Helper: timezone for day bucketing (?tz=, else user_profile.timezone, else UTC)
+ */
+async function getTimezone(req) {
+  if (req.query.tz) return resolveTimezone(req.query.tz);
+  const rows = await query("SELECT timezone FROM user_profile WHERE user_id = ?", [req.user.userId]);
+  return resolveTimezone(rows[0]?.timezone);
+}
+
+/**
+ * Helper: round to n decimals (null stays null)
+ */
+function round(value, n = 3) {
+  if (value === null || value === undefined || !Number.isFinite(Number(value))) return null;
+  return Number(Number(value).toFixed(n));
+}
+
+/**
+ * GET /api/stats/me/trends
+ * Query: set_id?, days? (1..730, default 90), bucket? (day/week, default week), tz?
+ * Accuracy and score trends per set over time, from completed practice sessions.
+ * Accuracy uses partial credit (performance_result.score, legacy rows fall back to is_correct).
+ * Sessions abandoned before any answer have no final_score and are left out of the score average.
+ */
+router.get("/me/trends", requireAuth, async (req, res) => {
+  const days = readDays(req.query.days, 90, 730);
+  const bucket = String(req.query.bucket || "week").toLowerCase() === "day" ? "day" : "week";
+  const setId = req.query.set_id ? Number(req.query.set_id) : null;
+
+  try {
+    const tz = await getTimezone(req);
+
+    const params = [req.user.userId, days];
+    let setFilter = "";
+    if (setId) {
+      setFilter = "AND ps.set_id = ?";
+      params.push(setId);
+    }
+
+    const rows = await query(
+      `SELECT ps.session_id, ps.set_id, s.title AS set_title, ps.completed_at, ps.final_score,
+              COUNT(pr.result_id) AS attempts,
+              SUM(pr.is_correct) AS correct,
+              SUM(COALESCE(pr.score, pr.is_correct)) AS credit
+       FROM practice_session ps
+       LEFT JOIN flashcard_set s ON s.set_id = ps.set_id
+       LEFT JOIN performance_result pr ON pr.session_id = ps.session_id
+       WHERE ps.user_id = ? AND ps.completed_at IS NOT NULL
+         AND ps.completed_at >= DATE_SUB(NOW(), INTERVAL ? DAY) ${setFilter}
+       GROUP BY ps.session_id, ps.set_id, s.title, ps.completed_at, ps.final_score
+       ORDER BY ps.completed_at ASC`,
+      params
+    );
+
+    // set -> period -> totals
+    const sets = new Map();
+    for (const r of rows) {
+      const key = r.set_id === null ? "review" : String(r.set_id);
+      if (!sets.has(key)) {
+        sets.set(key, {
+          set_id: r.set_id,
+          title: r.set_id === null ? "Review (mixed sets)" : r.set_title,
+          periods: new Map(),
+        });
+      }
+
+      const day = localDateKey(r.completed_at, tz);
+      const period = bucket === "week" ? weekStartKey(day) : day;
+      const periods = sets.get(key).periods;
+      if (!periods.has(period)) periods.set(period, { sessions: 0, scored: 0, score_sum: 0, attempts: 0, correct: 0, credit: 0 });
+
+      const p = periods.get(period);
+      p.sessions += 1;
+      if (r.final_score !== null) {
+        p.scored += 1;
+        p.score_sum += Number(r.final_score);
+      }
+      p.attempts += Number(r.attempts || 0);
+      p.correct += Number(r.correct || 0);
+      p.credit += Number(r.credit || 0);
+    }
+
+    const out = [...sets.values()].map((s) => {
+      const points = [...s.periods.entries()].map(([period, p]) => ({
+        period,
+        sessions: p.sessions,
+        attempts: p.attempts,
+        accuracy: p.attempts > 0 ? round(p.credit / p.attempts) : null,
+        correct_rate: p.attempts > 0 ? round(p.correct / p.attempts) : null,
+        avg_final_score: p.scored > 0 ? round(p.score_sum / p.scored, 1) : null,
+      }));
+
+      // Change between the first and last period (positive = improving)
+      const first = points[0];
+      const last = points[points.length - 1];
+
+      return {
+        set_id: s.set_id,
+        title: s.title,
+        points,
+        score_change:
+          points.length > 1 && first.avg_final_score !== null && last.avg_final_score !== null
+            ? round(last.avg_final_score - first.avg_final_score, 1)
+            : null,
+        accuracy_change:
+          points.length > 1 && first.accuracy !== null && last.accuracy !== null
+            ? round(last.accuracy - first.accuracy)
+            : null,
+      };
+    });
+
+    res.json({ days, bucket, timezone: tz, sets: out });
+  } catch (err) {
+    console.error("Stats trends error:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+/**
+ * GET /api/stats/me/heatmap
+ * Query: days? (1..730, default 365), tz?
+ * Study time per local day (every day in the range, zeros included) for a calendar heatmap.
+ */
+router.get("/me/heatmap", requireAuth, async (req, res) => {
+  const days = readDays(req.query.days, 365, 730);
+
+  try {
+    const tz = await getTimezone(req);
+
+    const rows = await query(
+      `SELECT ps.session_id, ps.started_at, ps.completed_at, ps.total_paused_seconds,
+              COUNT(pr.result_id) AS attempts,
+              COALESCE(SUM(pr.time_taken), 0) AS answer_seconds
+       FROM practice_session ps
+       LEFT JOIN performance_result pr ON pr.session_id = ps.session_id
+       WHERE ps.user_id = ? AND ps.started_at >= DATE_SUB(NOW(), INTERVAL ? DAY)
+       GROUP BY ps.session_id, ps.started_at, ps.completed_at, ps.total_paused_seconds`,
+      [req.user.userId, days + 1] // +1: local "today" may start before UTC midnight
+    );
+
+    const byDay = new Map();
+    for (const r of rows) {
+      const day = localDateKey(r.started_at, tz);
+      if (!byDay.has(day)) byDay.set(day, { seconds: 0, sessions: 0, attempts: 0 });
+      const d = byDay.get(day);
+      d.seconds += sessionStudySeconds(r);
+      d.sessions += 1;
+      d.attempts += Number(r.attempts || 0);
+    }
+
+    const today = localDateKey(new Date(), tz);
+    const out = [];
+    for (let i = days - 1; i >= 0; i--) {
+      const day = addDaysKey(today, -i);
+      const d = byDay.get(day) || { seconds: 0, sessions: 0, attempts: 0 };
+      out.push({ date: day, study_seconds: d.seconds, minutes: Math.round(d.seconds / 60), sessions: d.sessions, attempts: d.attempts });
+    }
+
+    const totalSeconds = out.reduce((sum, d) => sum + d.study_seconds, 0);
+
+    res.json({
+      days,
+      timezone: tz,
+      total_minutes: Math.round(totalSeconds / 60),
+      active_days: out.filter((d) => d.sessions > 0).length,
+      max_minutes: out.reduce((m, d) => Math.max(m, d.minutes), 0),
+      data: out,
+    });
+  } catch (err) {
+    console.error("Stats heatmap error:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+/**
+ * GET /api/stats/me/goal
+ * Query: weeks? (1..26, default 4), tz?
+ * Daily study goal progress: today's minutes against study_goal_minutes_per_day, every day of the last
+ * `weeks` calendar weeks (Monday start) and goal-hit rates (last 7 / 30 days, whole range).
+ * Without a goal the minutes are still returned; met, percent and hit rates are null.
+ */
+router.get("/me/goal", requireAuth, async (req, res) => {
+  const weeks = readDays(req.query.weeks, 4, 26);
+
+  try {
+    const tz = await getTimezone(req);
+    res.json({ weeks_requested: weeks, ...(await goalHistory(req.user.userId, weeks, tz)) });
+  } catch (err) {
+    console.error("Stats goal error:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+/**
+ * GET /api/stats/me/mastery
+ * Query: set_id?, direction? (FORWARD or REVERSE, default FORWARD)
+ * Per set: cards mastered (interval_days >= 21), learning (seen, shorter interval) and new (never seen),
+ * plus how many are due now. Covers every set the user can access.
+ */
+router.get("/me/mastery", requireAuth, async (req, res) => {
+  const setId = req.query.set_id ? Number(req.query.set_id) : null;
+  const direction = String(req.query.direction || "FORWARD").toUpperCase();
+
+  if (!["FORWARD", "REVERSE"].includes(direction)) {
+    return res.status(400).json({ message: "direction must be FORWARD or REVERSE" });
+  }
+
+  try {
+    const params = [req.user.userId, direction, ...accessParams(req.user.userId)];
+    let setFilter = "";
+    if (setId) {
+      setFilter = "AND s.set_id = ?";
+      params.push(setId);
+    }
+
+    const rows = await query(
+      `SELECT s.set_id, s.title,
+              COUNT(f.flashcard_id) AS card_count,
+              SUM(ufs.flashcard_id IS NULL) AS new_count,
+              SUM(ufs.flashcard_id IS NOT NULL AND COALESCE(ufs.interval_days, 0) >= ${MASTERED_INTERVAL_DAYS}) AS mastered_count,
+              SUM(ufs.flashcard_id IS NOT NULL AND COALESCE(ufs.interval_days, 0) < ${MASTERED_INTERVAL_DAYS}) AS learning_count,
+              SUM(ufs.flashcard_id IS NOT NULL AND (ufs.due_at IS NULL OR ufs.due_at <= NOW())) AS due_count
+       FROM flashcard_set s
+       JOIN flashcard f ON f.set_id = s.set_id
+       LEFT JOIN user_flashcard_stats ufs
+         ON ufs.flashcard_id = f.flashcard_id AND ufs.user_id = ? AND ufs.direction = ?
+       WHERE ${accessibleSetSql("s")} ${setFilter}
+       GROUP BY s.set_id, s.title
+       ORDER BY s.title ASC`,
+      params
+    );
+
+    const sets = rows.map((r) => {
+      const total = Number(r.card_count || 0);
+      const mastered = Number(r.mastered_count || 0);
+      return {
+        set_id: r.set_id,
+        title: r.title,
+        card_count: total,
+        mastered: mastered,
+        learning: Number(r.learning_count || 0),
+        new: Number(r.new_count || 0),
+        due: Number(r.due_count || 0),
+        mastered_ratio: total > 0 ? round(mastered / total) : 0,
+      };
+    });
+
+    const sum = (k) => sets.reduce((acc, s) => acc + s[k], 0);
+
+    res.json({
+      mastered_interval_days: MASTERED_INTERVAL_DAYS,
+      direction,
+      totals: {
+        card_count: sum("card_count"),
+        mastered: sum("mastered"),
+        learning: sum("learning"),
+        new: sum("new"),
+        due: sum("due"),
+      },
+      sets,
+    });
+  } catch (err) {
+    console.error("Stats mastery error:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+/**
+ * GET /api/stats/me/reading-speed
+ * Query: days? (1..1825, default 365), set_id? (that set's calibrations instead of the general ones)
+ * Current calibrated reading speed plus every calibration run in the range
+ */
+router.get("/me/reading-speed", requireAuth, async (req, res) => {
+  const days = readDays(req.query.days, 365, 1825);
+  const setId = req.query.set_id ? Number(req.query.set_id) : null;
+
+  try {
+    const current = setId
+      ? await query(
+          "SELECT words_per_second, calibrated_at FROM user_set_calibration WHERE user_id = ? AND set_id = ?",
+          [req.user.userId, setId]
+        )
+      : await query(
+          "SELECT words_per_second, calibrated_at FROM user_calibration WHERE user_id = ?",
+          [req.user.userId]
+        );
+
+    const history = await query(
+      `SELECT source, words_per_second, raw_words_per_second, total_words, total_seconds, calibrated_at
+       FROM user_calibration_history
+       WHERE user_id = ? AND ${setId ? "set_id = ?" : "set_id IS NULL"}
+         AND calibrated_at >= DATE_SUB(NOW(), INTERVAL ? DAY)
+       ORDER BY calibrated_at ASC`,
+      setId ? [req.user.userId, setId, days] : [req.user.userId, days]
+    );
+
+    const points = history.map((h) => ({
+      calibrated_at: h.calibrated_at,
+      source: h.source, // MANUAL run or PRACTICE estimate
+      words_per_second: round(h.words_per_second, 2),
+      words_per_minute: Math.round(Number(h.words_per_second) * 60),
+      raw_words_per_second: round(h.raw_words_per_second, 2),
+      total_words: h.total_words,
+      total_seconds: round(h.total_seconds, 1),
+    }));
+
+    res.json({
+      days,
+      set_id: setId,
+      current: current.length
+        ? {
+            words_per_second: round(current[0].words_per_second, 2),
+            words_per_minute: Math.round(Number(current[0].words_per_second) * 60),
+            calibrated_at: current[0].calibrated_at,
+          }
+        : null,
+      change_wps: points.length > 1 ? round(points[points.length - 1].words_per_second - points[0].words_per_second, 2) : null,
+      history: points,
+    });
+  } catch (err) {
+    console.error("Stats reading speed error:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+module.exports = router;
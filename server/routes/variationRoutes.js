@@ -3,6 +3,7 @@ const express = require("express");
 const axios = require("axios");
 const db = require("../db");
 const { requireAuth } = require("../middleware/auth");
+const { requireCardRole } = require("../middleware/setAccess");
 
 const router = express.Router();
 
@@ -23,8 +24,9 @@ function query(sql, params = []) {
  * Body: { variation_type, blank_ratio?, seed? }
  *
  * Generates a variation using Python NLP service and stores it in flashcard_variation table.
+ * Stored variations are shared by the set's members, so this needs the EDITOR role.
  */
-router.post("/cards/:flashcardId/variations", requireAuth, async (req, res) => {
+router.post("/cards/:flashcardId/variations", requireAuth, requireCardRole("EDITOR"), async (req, res) => {
   const flashcardId = Number(req.params.flashcardId);
   const { variation_type, blank_ratio, seed } = req.body || {};
 
@@ -36,18 +38,17 @@ router.post("/cards/:flashcardId/variations", requireAuth, async (req, res) => {
   }
 
   try {
-    // Ensure the flashcard belongs to a set owned by this user & get the answer text
+    // Get the answer text (access checked by requireCardRole)
     const rows = await query(
       `SELECT 
           f.flashcard_id, 
           f.answer,
           COALESCE(ufs.difficulty_rating, 0) AS user_difficulty_rating
       FROM flashcard f
-      JOIN flashcard_set s ON s.set_id = f.set_id
       LEFT JOIN user_flashcard_stats ufs
-        ON ufs.flashcard_id = f.flashcard_id AND ufs.user_id = ?
-      WHERE f.flashcard_id = ? AND s.user_id = ?`,
-      [req.user.userId, flashcardId, req.user.userId]
+        ON ufs.flashcard_id = f.flashcard_id AND ufs.user_id = ? AND ufs.direction = 'FORWARD'
+      WHERE f.flashcard_id = ?`,
+      [req.user.userId, flashcardId]
     );
 
 
@@ -139,25 +140,12 @@ router.post("/cards/:flashcardId/variations", requireAuth, async (req, res) => {
 
 /**
  * GET /api/cards/:flashcardId/variations
- * Returns stored variations for a card (owned by user)
+ * Returns stored variations for a card (any member role)
  */
-router.get("/cards/:flashcardId/variations", requireAuth, async (req, res) => {
+router.get("/cards/:flashcardId/variations", requireAuth, requireCardRole("VIEWER"), async (req, res) => {
   const flashcardId = Number(req.params.flashcardId);
 
   try {
-    // Ownership check
-    const owned = await query(
-      `SELECT f.flashcard_id
-       FROM flashcard f
-       JOIN flashcard_set s ON s.set_id = f.set_id
-       WHERE f.flashcard_id = ? AND s.user_id = ?`,
-      [flashcardId, req.user.userId]
-    );
-
-    if (owned.length === 0) {
-      return res.status(404).json({ message: "Flashcard not found" });
-    }
-
     const variations = await query(
       `SELECT variation_id, flashcard_id, variation_type, blanked_text, first_letter_clues, generated_at
        FROM flashcard_variation
@@ -0,0 +1,70 @@
+// server/test/grading.test.js
+// Answer grading: a flipped negation or a different number never passes, however close the wording.
+const test = require("node:test");
+const assert = require("node:assert");
+const { DEFAULT_PASS_THRESHOLD, gradeAnswer, gradeBlanks } = require("../utils/grading");
+
+test("gradeAnswer accepts small typos and ignores case / punctuation", () => {
+  assert.strictEqual(gradeAnswer("paris.", "Paris").method, "EXACT");
+
+  const typo = gradeAnswer("The mitochondira is the powerhouse of the cell", "The mitochondria is the powerhouse of the cell");
+  assert.strictEqual(typo.is_correct, true);
+  assert.strictEqual(typo.method, "FUZZY");
+});
+
+test("gradeAnswer never passes a flipped negation", () => {
+  const result = gradeAnswer("Water is not a compound", "Water is a compound");
+  assert.strictEqual(result.is_correct, false);
+  assert.strictEqual(result.details.negation_mismatch, true);
+  assert.ok(result.score < DEFAULT_PASS_THRESHOLD);
+  assert.ok(result.score > 0, "keeps partial credit");
+
+  const contraction = gradeAnswer("It doesn't dissolve in water", "It dissolves in water");
+  assert.strictEqual(contraction.is_correct, false);
+  assert.strictEqual(contraction.details.negation_mismatch, true);
+});
+
+test("gradeAnswer never passes a different number", () => {
+  const result = gradeAnswer("The war ended in 1946", "The war ended in 1945");
+  assert.strictEqual(result.is_correct, false);
+  assert.strictEqual(result.details.number_mismatch, true);
+  assert.ok(result.score < DEFAULT_PASS_THRESHOLD);
+
+  // Same numbers in another order still match
+  assert.strictEqual(gradeAnswer("between 10 and 20 percent", "between 10 and 20 percent!").is_correct, true);
+});
+
+test("gradeAnswer caps below a custom threshold too", () => {
+  const result = gradeAnswer("Water is not a compound", "Water is a compound", { threshold: 0.5 });
+  assert.strictEqual(result.is_correct, false);
+  assert.ok(result.score < 0.5);
+});
+
+test("gradeAnswer STRICT mode gives no partial credit", () => {
+  const result = gradeAnswer("Pariss", "Paris", { mode: "STRICT" });
+  assert.deepStrictEqual([result.score, result.is_correct, result.method], [0, false, "STRICT"]);
+});
+
+test("gradeBlanks grades each blank, tolerating typos but not other numbers", () => {
+  const blanks = [{ index: 2, original: "photosynthesis" }, { index: 5, original: "1945" }];
+
+  const right = gradeBlanks(["Photosynthesys", "1945"], blanks);
+  assert.strictEqual(right.is_correct, true);
+  assert.deepStrictEqual(right.blanks.map((b) => b.index), [2, 5]);
+
+  const wrongYear = gradeBlanks(["photosynthesis", "1946"], blanks);
+  assert.strictEqual(wrongYear.is_correct, false);
+  assert.strictEqual(wrongYear.blanks[1].score, 0);
+  assert.strictEqual(wrongYear.score, 0.5);
+});
+
+test("gradeBlanks treats missing answers as wrong and STRICT as exact only", () => {
+  const blanks = [{ index: 0, original: "Paris" }, { index: 1, original: "France" }];
+
+  const missing = gradeBlanks(["Paris"], blanks);
+  assert.deepStrictEqual(missing.blanks.map((b) => b.is_correct), [true, false]);
+
+  const strict = gradeBlanks(["Pariss", "france"], blanks, { mode: "STRICT" });
+  assert.deepStrictEqual(strict.blanks.map((b) => b.score), [0, 1]);
+  assert.strictEqual(gradeBlanks([], []).is_correct, false);
+});
@@ -0,0 +1,82 @@
+// server/test/streaks.test.js
+// Streak replay (replayStreak is pure: per-day study in, streak out).
+const test = require("node:test");
+const assert = require("node:assert");
+const { FREEZE_EVERY_DAYS, MAX_FREEZES, replayStreak } = require("../utils/streaks");
+const { addDaysKey } = require("../utils/studyTime");
+
+const TODAY = "2026-03-20";
+
+// byDay with one completed 10-minute session on each given day (days before TODAY)
+function studied(daysAgo, day = { seconds: 600, sessions: 1, completed: 1 }) {
+  return new Map(daysAgo.map((n) => [addDaysKey(TODAY, -n), { ...day }]));
+}
+
+// [from, from - 1, ..., to] days ago
+function range(from, to) {
+  return Array.from({ length: from - to + 1 }, (_, i) => from - i);
+}
+
+test("today only extends a streak: it is not missed until it is over", () => {
+  const running = replayStreak(studied([3, 2, 1]), TODAY);
+  assert.strictEqual(running.current_streak, 3);
+  assert.strictEqual(running.today_done, false);
+  assert.strictEqual(running.last_study_date, addDaysKey(TODAY, -1));
+
+  const extended = replayStreak(studied([3, 2, 1, 0]), TODAY);
+  assert.strictEqual(extended.current_streak, 4);
+  assert.strictEqual(extended.today_done, true);
+  assert.strictEqual(extended.last_study_date, TODAY);
+});
+
+test("a missed day without a freeze breaks the streak but not the longest streak", () => {
+  const result = replayStreak(studied([6, 5, 4, 3, 1]), TODAY);
+  assert.strictEqual(result.current_streak, 1);
+  assert.strictEqual(result.longest_streak, 4);
+  assert.deepStrictEqual(result.frozen_days, []);
+  assert.strictEqual(result.freezes, 0);
+});
+
+test("a freeze earned every FREEZE_EVERY_DAYS days bridges a missed day", () => {
+  const missed = FREEZE_EVERY_DAYS + 1; // days ago
+  const result = replayStreak(studied([...range(missed + FREEZE_EVERY_DAYS, missed + 1), ...range(missed - 1, 1)]), TODAY);
+
+  assert.strictEqual(result.current_streak, FREEZE_EVERY_DAYS + missed - 1, "the bridged day does not count");
+  assert.deepStrictEqual(result.frozen_days, [addDaysKey(TODAY, -missed)]);
+  assert.strictEqual(result.freezes, 1, "used one, earned another at the next multiple");
+});
+
+test("a second missed day in a row breaks the streak once the freezes are spent", () => {
+  const result = replayStreak(studied([...range(10, 4), 1]), TODAY);
+  assert.strictEqual(result.current_streak, 1);
+  assert.strictEqual(result.longest_streak, FREEZE_EVERY_DAYS);
+  assert.deepStrictEqual(result.frozen_days, []);
+});
+
+test("freezes are capped at MAX_FREEZES", () => {
+  const days = FREEZE_EVERY_DAYS * (MAX_FREEZES + 1);
+  const result = replayStreak(studied(range(days, 1)), TODAY);
+  assert.strictEqual(result.current_streak, days);
+  assert.strictEqual(result.freezes, MAX_FREEZES);
+});
+
+test("with a goal, days below it or without a completed session do not count", () => {
+  const byDay = studied([3, 2, 1]);
+  byDay.get(addDaysKey(TODAY, -2)).seconds = 60;
+  assert.strictEqual(replayStreak(byDay, TODAY, 300).current_streak, 1);
+  assert.strictEqual(replayStreak(byDay, TODAY, 0).current_streak, 3);
+
+  byDay.set(TODAY, { seconds: 900, sessions: 1, completed: 0 });
+  assert.strictEqual(replayStreak(byDay, TODAY).today_done, false);
+});
+
+test("no study at all is an empty streak", () => {
+  assert.deepStrictEqual(replayStreak(new Map(), TODAY), {
+    current_streak: 0,
+    longest_streak: 0,
+    freezes: 0,
+    last_study_date: null,
+    frozen_days: [],
+    today_done: false,
+  });
+});
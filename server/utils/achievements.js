@@ -0,0 +1,156 @@
+// server/utils/achievements.js
+// Rules-based achievements. Badges are data: each badges row names the domain event it listens to
+// and a criteria_json rule; recordEvent() checks the user's unearned badges for that event and awards
+// every one whose rule holds.
+//
+// criteria_json: { "<metric>": { "gte"|"lte"|"eq": value }, ... } (every condition must hold), e.g.
+//   { "study_streak": { "gte": 7 } }
+//   { "session_status": { "eq": "COMPLETED" }, "session_mode": { "eq": "HARD" } }
+const db = require("../db");
+
+// Domain events badges can listen to
+const EVENTS = ["LOGIN", "SESSION_COMPLETED", "CALIBRATION_DONE"];
+
+// Interval (days) from which a card counts as mastered (same rule as /api/stats/me/mastery)
+const MASTERED_INTERVAL_DAYS = 21;
+
+/**
+ * Promise wrapper for db.query (mysql/mysql2 callback style)
+ */
+function query(sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.query(sql, params, (err, results) => {
+      if (err) return reject(err);
+      resolve(results);
+    });
+  });
+}
+
+/**
+ * Metrics a rule can test. Each gets { userId, event, payload } and returns a value
+ * (payload metrics are only set for their event, e.g. session_* on SESSION_COMPLETED).
+ */
+const METRICS = {
+  // Stored by utils/streaks.js (refreshed before SESSION_COMPLETED is recorded)
+  study_streak: async ({ userId }) => {
+    const rows = await query("SELECT current_streak FROM user_profile WHERE user_id = ?", [userId]);
+    return Number(rows[0]?.current_streak || 0);
+  },
+
+  sessions_completed: async ({ userId }) => {
+    const rows = await query(
+      "SELECT COUNT(*) AS c FROM practice_session WHERE user_id = ? AND status = 'COMPLETED'",
+      [userId]
+    );
+    return Number(rows[0]?.c || 0);
+  },
+
+  cards_mastered: async ({ userId }) => {
+    const rows = await query(
+      "SELECT COUNT(DISTINCT flashcard_id) AS c FROM user_flashcard_stats WHERE user_id = ? AND interval_days >= ?",
+      [userId, MASTERED_INTERVAL_DAYS]
+    );
+    return Number(rows[0]?.c || 0);
+  },
+
+  calibrations: async ({ userId }) => {
+    const rows = await query(
+      "SELECT COUNT(*) AS c FROM user_calibration_history WHERE user_id = ? AND source = 'MANUAL'",
+      [userId]
+    );
+    return Number(rows[0]?.c || 0);
+  },
+
+  session_status: async ({ payload }) => payload.status ?? null,
+  session_mode: async ({ payload }) => payload.difficulty_mode ?? null,
+  session_score: async ({ payload }) => (payload.final_score === undefined ? null : payload.final_score),
+  session_attempts: async ({ payload }) => Number(payload.total_attempts || 0),
+};
+
+/**
+ * Does a value pass one condition ({ gte, lte, eq })?
+ */
+function passes(value, condition) {
+  if (value === null || value === undefined) return false;
+  if (condition.eq !== undefined && String(value) !== String(condition.eq)) return false;
+  if (condition.gte !== undefined && !(Number(value) >= Number(condition.gte))) return false;
+  if (condition.lte !== undefined && !(Number(value) <= Number(condition.lte))) return false;
+  return true;
+}
+
+/**
+ * Parsed criteria_json of a badge, or null when missing / invalid
+ */
+function parseCriteria(badge) {
+  try {
+    const criteria = badge.criteria_json ? JSON.parse(badge.criteria_json) : null;
+    return criteria && typeof criteria === "object" && !Array.isArray(criteria) ? criteria : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Check a badge's rule. Metric values are cached in `cache` for the whole event.
+ * A rule with an unknown metric never passes (logged so bad badge data is noticed).
+ */
+async function ruleHolds(badge, ctx, cache) {
+  const criteria = parseCriteria(badge);
+  if (!criteria || Object.keys(criteria).length === 0) return false;
+
+  for (const [metric, condition] of Object.entries(criteria)) {
+    const compute = METRICS[metric];
+    if (!compute) {
+      console.error(`Badge ${badge.code}: unknown metric "${metric}"`);
+      return false;
+    }
+
+    if (!cache.has(metric)) cache.set(metric, await compute(ctx));
+    if (!passes(cache.get(metric), condition || {})) return false;
+  }
+  return true;
+}
+
+/**
+ * Record a domain event for a user and award every badge it unlocks.
+ * payload: event details (SESSION_COMPLETED: { status, difficulty_mode, final_score, total_attempts })
+ * Returns the newly earned badges [{ badge_id, code, name, description, icon }].
+ */
+async function recordEvent(userId, event, payload = {}) {
+  if (!EVENTS.includes(event)) throw new Error(`Unknown achievement event: ${event}`);
+
+  const candidates = await query(
+    `SELECT b.badge_id, b.code, b.name, b.description, b.icon, b.criteria_json
+     FROM badges b
+     LEFT JOIN user_badges ub ON ub.badge_id = b.badge_id AND ub.user_id = ?
+     WHERE b.event = ? AND ub.badge_id IS NULL
+     ORDER BY b.badge_id ASC`,
+    [userId, event]
+  );
+
+  const ctx = { userId, event, payload };
+  const cache = new Map();
+  const earned = [];
+
+  for (const badge of candidates) {
+    if (!(await ruleHolds(badge, ctx, cache))) continue;
+
+    const result = await query("INSERT IGNORE INTO user_badges (user_id, badge_id) VALUES (?, ?)", [
+      userId,
+      badge.badge_id,
+    ]);
+    if (result.affectedRows > 0) {
+      const { criteria_json, ...rest } = badge;
+      earned.push(rest);
+    }
+  }
+
+  return earned;
+}
+
+module.exports = {
+  EVENTS,
+  METRICS,
+  parseCriteria,
+  recordEvent,
+};
@@ -0,0 +1,248 @@
+// server/utils/grading.js
+// Answer grading engine: turns a typed answer into a 0..1 score.
+// Combines edit-distance tolerance, token overlap and stopword-insensitive matching.
+
+// Default score needed for an answer to count as correct
+const DEFAULT_PASS_THRESHOLD = 0.9;
+
+// Small English stopword list (ignored when comparing content words)
+const STOPWORDS = new Set([
+  "a", "an", "the", "and", "or", "but", "of", "to", "in", "on", "at", "by", "for", "with",
+  "from", "into", "onto", "as", "is", "are", "was", "were", "be", "been", "being", "it", "its",
+  "this", "that", "these", "those", "which", "who", "whom", "what", "there", "their", "they",
+  "them", "he", "she", "his", "her", "we", "our", "you", "your", "i", "my", "me", "do", "does",
+  "did", "has", "have", "had", "can", "will", "would", "should", "could", "may", "might",
+  "so", "than", "then", "also", "very", "such", "if", "when", "while", "about",
+]);
+
+// Negation words (never stopwords: "is a compound" and "is not a compound" are opposite answers)
+// Contractions appear without the apostrophe once normalised ("isn't" -> "isnt")
+const NEGATIONS = new Set([
+  "not", "no", "never", "none", "cannot", "nor", "neither", "nothing", "nobody", "nowhere",
+  "isnt", "arent", "wasnt", "werent", "dont", "doesnt", "didnt", "cant", "couldnt", "wont",
+  "wouldnt", "shouldnt", "hasnt", "havent", "hadnt", "mustnt",
+]);
+
+// Normalise a sentence for comparison (case, unicode punctuation, whitespace)
+function normalizeForFullSentence(s) {
+  return String(s ?? "")
+    .toLowerCase()
+    .trim()
+    // normalize common unicode punctuation
+    .replace(/[’‘]/g, "'")
+    .replace(/[“”]/g, '"')
+    .replace(/[–—]/g, "-")
+    // remove punctuation (keep letters/numbers/space)
+    .replace(/[^\w\s]/g, "")
+    .replace(/\s+/g, " ");
+}
+
+// Split a normalised string into tokens
+function tokenize(s) {
+  const n = normalizeForFullSentence(s);
+  return n ? n.split(" ") : [];
+}
+
+// Drop stopwords (keep everything if the text is only stopwords)
+function contentTokens(tokens) {
+  const content = tokens.filter((t) => !STOPWORDS.has(t));
+  return content.length > 0 ? content : tokens;
+}
+
+// Is the text negated (any negation word)?
+function hasNegation(tokens) {
+  return tokens.some((t) => NEGATIONS.has(t));
+}
+
+// Number tokens (anything with a digit), sorted, for an exact comparison
+function numberTokens(tokens) {
+  return tokens.filter((t) => /\d/.test(t)).sort().join(" ");
+}
+
+// Classic Levenshtein edit distance (two-row DP)
+function levenshtein(a, b) {
+  const s = String(a || "");
+  const t = String(b || "");
+  if (s === t) return 0;
+  if (!s.length) return t.length;
+  if (!t.length) return s.length;
+
+  let prev = Array.from({ length: t.length + 1 }, (_, j) => j);
+  let curr = new Array(t.length + 1);
+
+  for (let i = 1; i <= s.length; i++) {
+    curr[0] = i;
+    for (let j = 1; j <= t.length; j++) {
+      const cost = s[i - 1] === t[j - 1] ? 0 : 1;
+      curr[j] = Math.min(prev[j] + 1, curr[j - 1] + 1, prev[j - 1] + cost);
+    }
+    [prev, curr] = [curr, prev];
+  }
+  return prev[t.length];
+}
+
+// 1 - normalised edit distance (0..1)
+function charSimilarity(a, b) {
+  const s = normalizeForFullSentence(a);
+  const t = normalizeForFullSentence(b);
+  const maxLen = Math.max(s.length, t.length);
+  if (maxLen === 0) return 1;
+  return 1 - levenshtein(s, t) / maxLen;
+}
+
+// Two tokens match if equal, or a small typo away (numbers must match exactly)
+function tokensMatch(a, b) {
+  if (a === b) return true;
+  if (/\d/.test(a) || /\d/.test(b)) return false;
+  const len = Math.min(a.length, b.length);
+  if (len < 4) return false;
+  return levenshtein(a, b) <= (len >= 8 ? 2 : 1);
+}
+
+// Order-insensitive token F1 with typo-tolerant matching (0..1)
+function tokenOverlap(userTokens, answerTokens) {
+  if (userTokens.length === 0 || answerTokens.length === 0) return 0;
+
+  const unmatched = [...answerTokens];
+  let matched = 0;
+
+  for (const u of userTokens) {
+    const idx = unmatched.findIndex((a) => tokensMatch(u, a));
+    if (idx !== -1) {
+      matched += 1;
+      unmatched.splice(idx, 1);
+    }
+  }
+
+  const precision = matched / userTokens.length;
+  const recall = matched / answerTokens.length;
+  if (precision + recall === 0) return 0;
+  return (2 * precision * recall) / (precision + recall);
+}
+
+/**
+ * Grade a typed answer against the stored answer.
+ * options.mode: 'STRICT' (exact normalised match only) or 'FUZZY' (default)
+ * options.threshold: score needed to count as correct (default 0.9)
+ * Returns { score, is_correct, method, details }
+ */
+function gradeAnswer(userAnswer, correctAnswer, options = {}) {
+  const mode = String(options.mode || "FUZZY").toUpperCase();
+  const threshold = Number.isFinite(Number(options.threshold))
+    ? Math.max(0, Math.min(1, Number(options.threshold)))
+    : DEFAULT_PASS_THRESHOLD;
+
+  const exact = normalizeForFullSentence(userAnswer) === normalizeForFullSentence(correctAnswer);
+
+  if (exact || mode === "STRICT") {
+    return {
+      score: exact ? 1 : 0,
+      is_correct: exact,
+      method: exact ? "EXACT" : "STRICT",
+      details: null,
+    };
+  }
+
+  const userTokens = tokenize(userAnswer);
+  const answerTokens = tokenize(correctAnswer);
+
+  const charScore = charSimilarity(userAnswer, correctAnswer);
+  const tokenScore = tokenOverlap(userTokens, answerTokens);
+  const contentScore = tokenOverlap(contentTokens(userTokens), contentTokens(answerTokens));
+
+  let score = userTokens.length === 0 ? 0 : Math.max(charScore, tokenScore, contentScore);
+
+  // A flipped negation or a different number changes the meaning however close the wording is:
+  // keep the partial credit but never let it pass
+  const negationMismatch = hasNegation(userTokens) !== hasNegation(answerTokens);
+  const numberMismatch = numberTokens(userTokens) !== numberTokens(answerTokens);
+  if (negationMismatch || numberMismatch) score = Math.min(score, Math.max(0, threshold - 0.01));
+
+  return {
+    score: Number(score.toFixed(3)),
+    is_correct: score >= threshold && !negationMismatch && !numberMismatch,
+    method: "FUZZY",
+    details: {
+      char_similarity: Number(charScore.toFixed(3)),
+      token_overlap: Number(tokenScore.toFixed(3)),
+      content_overlap: Number(contentScore.toFixed(3)),
+      negation_mismatch: negationMismatch,
+      number_mismatch: numberMismatch,
+      threshold,
+    },
+  };
+}
+
+/**
+ * Grade fill-in-the-blank answers, one per blank, against the tokens the NLP service hid.
+ * blankAnswers: array of strings (in blank order)
+ * blanks: [{ index, original }] from the served prompt
+ * Returns { score, is_correct, method, blanks: [{ index, expected, given, is_correct, score }] }
+ */
+function gradeBlanks(blankAnswers, blanks, options = {}) {
+  const mode = String(options.mode || "FUZZY").toUpperCase();
+  const threshold = Number.isFinite(Number(options.threshold))
+    ? Math.max(0, Math.min(1, Number(options.threshold)))
+    : DEFAULT_PASS_THRESHOLD;
+
+  const given = Array.isArray(blankAnswers) ? blankAnswers : [];
+
+  const results = blanks.map((b, i) => {
+    const expected = String(b.original || "");
+    const answer = given[i] === undefined || given[i] === null ? "" : String(given[i]);
+
+    const e = normalizeForFullSentence(expected);
+    const a = normalizeForFullSentence(answer);
+
+    let score = 0;
+    if (a && a === e) score = 1;
+    else if (a && mode !== "STRICT" && tokensMatch(a, e)) score = charSimilarity(a, e); // Small typo
+
+    return {
+      index: Number(b.index ?? i),
+      expected,
+      given: answer,
+      is_correct: score > 0,
+      score: Number(score.toFixed(3)),
+    };
+  });
+
+  const total = results.reduce((sum, r) => sum + r.score, 0);
+  const score = results.length > 0 ? total / results.length : 0;
+
+  return {
+    score: Number(score.toFixed(3)),
+    is_correct: results.length > 0 && score >= threshold,
+    method: "BLANKS",
+    blanks: results,
+  };
+}
+
+/**
+ * Grade a multiple-choice pick against the option that holds the card's answer.
+ * selected / correctIndex: option indices from the served prompt
+ * Returns { score, is_correct, method, details }
+ */
+function gradeChoice(selected, correctIndex) {
+  const is_correct = Number(selected) === Number(correctIndex);
+
+  return {
+    score: is_correct ? 1 : 0,
+    is_correct,
+    method: "CHOICE",
+    details: { selected_option: Number(selected), correct_option: Number(correctIndex) },
+  };
+}
+
+module.exports = {
+  DEFAULT_PASS_THRESHOLD,
+  normalizeForFullSentence,
+  levenshtein,
+  charSimilarity,
+  tokensMatch,
+  tokenOverlap,
+  hasNegation,
+  gradeAnswer,
+  gradeBlanks,
+  gradeChoice,
+};
@@ -0,0 +1,156 @@
+// server/utils/importParsers.js
+// Parsers for bulk flashcard import: CSV, TSV and Anki "Notes in Plain Text" exports.
+
+/**
+ * Parse delimited text (RFC 4180 style quoting).
+ * - fields may be wrapped in double quotes; "" inside quotes is a literal quote
+ * - quoted fields may contain the delimiter and newlines
+ * Returns [{ line, fields }] where line is the 1-based line the row starts on.
+ * Blank lines are skipped.
+ */
+function parseDelimited(text, delimiter = ",") {
+  const src = String(text || "").replace(/^\uFEFF/, ""); // Drop BOM
+  const rows = [];
+
+  let fields = [];
+  let field = "";
+  let inQuotes = false;
+  let line = 1;
+  let rowLine = 1;
+
+  const pushRow = () => {
+    fields.push(field);
+    // Skip rows that are completely empty
+    if (fields.length > 1 || fields[0].trim() !== "") rows.push({ line: rowLine, fields });
+    fields = [];
+    field = "";
+  };
+
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+
+    if (inQuotes) {
+      if (ch === '"') {
+        if (src[i + 1] === '"') {
+          field += '"'; // Escaped quote
+          i++;
+        } else {
+          inQuotes = false;
+        }
+      } else {
+        if (ch === "\n") line++;
+        field += ch;
+      }
+      continue;
+    }
+
+    if (ch === '"' && field === "") {
+      inQuotes = true;
+    } else if (ch === delimiter) {
+      fields.push(field);
+      field = "";
+    } else if (ch === "\r") {
+      // Handled with the following \n (CRLF) or as a bare line break
+      if (src[i + 1] !== "\n") {
+        pushRow();
+        line++;
+        rowLine = line;
+      }
+    } else if (ch === "\n") {
+      pushRow();
+      line++;
+      rowLine = line;
+    } else {
+      field += ch;
+    }
+  }
+
+  if (field !== "" || fields.length > 0) pushRow();
+
+  return rows;
+}
+
+// Named separators Anki writes in "#separator:" headers
+const ANKI_SEPARATORS = {
+  tab: "\t",
+  comma: ",",
+  semicolon: ";",
+  space: " ",
+  pipe: "|",
+  colon: ":",
+};
+
+/**
+ * Strip Anki HTML down to plain text (line breaks kept, tags removed, basic entities decoded)
+ */
+function stripAnkiHtml(s) {
+  return String(s || "")
+    .replace(/<br\s*\/?>/gi, "\n")
+    .replace(/<\/(div|p|li)>/gi, "\n")
+    .replace(/<[^>]+>/g, "")
+    .replace(/&nbsp;/g, " ")
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&amp;/g, "&")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+}
+
+/**
+ * Parse an Anki "Notes in Plain Text" export.
+ * Reads the "#key:value" header lines (separator, html, columns, *column) and skips them.
+ * Returns { rows: [{ line, fields }], separator, html, columnNames }
+ */
+function parseAnkiText(text, delimiterOverride = null) {
+  const lines = String(text || "").replace(/^\uFEFF/, "").split(/\r?\n/);
+
+  let separator = "\t"; // Anki default
+  let html = false;
+  let columnNames = null;
+  let headerLines = 0;
+
+  for (const l of lines) {
+    if (!l.startsWith("#")) break;
+    headerLines++;
+
+    const m = l.match(/^#([^:]+):(.*)$/);
+    if (!m) continue;
+
+    const key = m[1].trim().toLowerCase();
+    const value = m[2].trim();
+
+    if (key === "separator") separator = ANKI_SEPARATORS[value.toLowerCase()] || value.charAt(0) || "\t";
+    if (key === "html") html = value.toLowerCase() === "true";
+    if (key === "columns") columnNames = value.split(separator).map((c) => c.trim());
+  }
+
+  if (delimiterOverride) separator = delimiterOverride;
+
+  const body = lines.slice(headerLines).join("\n");
+  const rows = parseDelimited(body, separator).map((r) => ({
+    line: r.line + headerLines, // Report lines as they appear in the file
+    fields: html ? r.fields.map(stripAnkiHtml) : r.fields,
+  }));
+
+  return { rows, separator, html, columnNames };
+}
+
+/**
+ * Resolve a delimiter option ("tab", "\t", ",", ";" ...) to a single character
+ */
+function resolveDelimiter(value, fallback) {
+  if (value === undefined || value === null || value === "") return fallback;
+  const v = String(value);
+  if (ANKI_SEPARATORS[v.toLowerCase()]) return ANKI_SEPARATORS[v.toLowerCase()];
+  if (v === "\\t") return "\t";
+  return v.charAt(0);
+}
+
+module.exports = {
+  parseDelimited,
+  parseAnkiText,
+  stripAnkiHtml,
+  resolveDelimiter,
+};
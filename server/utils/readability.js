@@ -0,0 +1,63 @@
+// server/utils/readability.js
+// Sentence helpers for reading-speed calibration: split card text into sentences and score how readable they are.
+
+/**
+ * Split text into trimmed sentences (on . ! ? followed by whitespace, and on line breaks)
+ */
+function splitSentences(text) {
+  return String(text || "")
+    .split(/(?<=[.!?])\s+|\r?\n+/)
+    .map((s) => s.replace(/\s+/g, " ").trim())
+    .filter(Boolean);
+}
+
+/**
+ * Words in a sentence (whitespace separated)
+ */
+function sentenceWords(text) {
+  const s = String(text || "").trim();
+  return s ? s.split(/\s+/) : [];
+}
+
+/**
+ * Rough English syllable count for one word (vowel groups, silent trailing e)
+ */
+function countSyllables(word) {
+  const w = String(word || "").toLowerCase().replace(/[^a-z]/g, "");
+  if (!w) return 0;
+  if (w.length <= 3) return 1;
+
+  const groups = w.replace(/(?:[^laeiouy]es|ed|[^laeiouy]e)$/, "").replace(/^y/, "").match(/[aeiouy]{1,2}/g);
+  return Math.max(1, groups ? groups.length : 0);
+}
+
+/**
+ * Flesch reading ease of one sentence (higher = easier; ~60-70 is plain English)
+ */
+function fleschReadingEase(text) {
+  const words = sentenceWords(text);
+  if (words.length === 0) return 0;
+
+  const syllables = words.reduce((sum, w) => sum + countSyllables(w), 0);
+  return 206.835 - 1.015 * words.length - 84.6 * (syllables / words.length);
+}
+
+/**
+ * Share of words that are plain words (letters with optional trailing punctuation)
+ * Formulas, code and lists of symbols score low and make poor reading samples.
+ */
+function proseRatio(text) {
+  const words = sentenceWords(text);
+  if (words.length === 0) return 0;
+
+  const plain = words.filter((w) => /^["'(]?[A-Za-z][A-Za-z'-]*[)"',.;:!?]*$/.test(w)).length;
+  return plain / words.length;
+}
+
+module.exports = {
+  splitSentences,
+  sentenceWords,
+  countSyllables,
+  fleschReadingEase,
+  proseRatio,
+};
@@ -0,0 +1,195 @@
+// server/utils/streaks.js
+// Study streaks: consecutive local days (user_profile.timezone) with at least one COMPLETED practice session,
+// optionally also meeting study_goal_minutes_per_day (user_profile.streak_requires_goal).
+//
+// The streak is replayed from practice history rather than counted incrementally. A streak always starts
+// with no freezes held (a break needs them all spent), so replaying from the current streak's first day
+// gives the same result as replaying everything; changing the timezone, the goal or the goal requirement
+// replays the whole history. longest_streak only ever grows (streaks earned before this engine are kept).
+// Streak freezes: one is earned every FREEZE_EVERY_DAYS streak days (at most MAX_FREEZES held) and is
+// used up automatically to bridge a missed day; bridged days are listed in streak_freeze_day.
+const db = require("../db");
+const { resolveTimezone, localDateKey, addDaysKey, sessionStudySeconds } = require("./studyTime");
+
+const FREEZE_EVERY_DAYS = 7;
+const MAX_FREEZES = 2;
+
+/**
+ * Promise wrapper for db.query (mysql/mysql2 callback style)
+ */
+function query(sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.query(sql, params, (err, results) => {
+      if (err) return reject(err);
+      resolve(results);
+    });
+  });
+}
+
+/**
+ * Study per local day for a user: Map "YYYY-MM-DD" -> { seconds, sessions, completed }
+ * Sessions count on the local day they started (same bucketing as /api/stats/me/heatmap).
+ * sinceDays: only sessions started in the last N days (omit for the whole history)
+ */
+async function dailyStudy(userId, tz, sinceDays = null) {
+  const params = [userId];
+  let since = "";
+  if (sinceDays) {
+    since = "AND ps.started_at >= DATE_SUB(NOW(), INTERVAL ? DAY)";
+    params.push(sinceDays + 1); // +1: local "today" may start before UTC midnight
+  }
+
+  const rows = await query(
+    `SELECT ps.session_id, ps.status, ps.started_at, ps.completed_at, ps.total_paused_seconds,
+            COALESCE(SUM(pr.time_taken), 0) AS answer_seconds
+     FROM practice_session ps
+     LEFT JOIN performance_result pr ON pr.session_id = ps.session_id
+     WHERE ps.user_id = ? ${since}
+     GROUP BY ps.session_id, ps.status, ps.started_at, ps.completed_at, ps.total_paused_seconds`,
+    params
+  );
+
+  const byDay = new Map();
+  for (const r of rows) {
+    const day = localDateKey(r.started_at, tz);
+    if (!byDay.has(day)) byDay.set(day, { seconds: 0, sessions: 0, completed: 0 });
+    const d = byDay.get(day);
+    d.seconds += sessionStudySeconds(r);
+    d.sessions += 1;
+    if (r.status === "COMPLETED") d.completed += 1;
+  }
+  return byDay;
+}
+
+/**
+ * Replay a streak over per-day study (pure; no database access).
+ * byDay: Map from dailyStudy(); today: local day key; goalSeconds: required per day (0 = any completed session)
+ * Today only extends a streak: a day is missed once it is over.
+ * Returns { current_streak, longest_streak, freezes, last_study_date, frozen_days, today_done }
+ */
+function replayStreak(byDay, today, goalSeconds = 0) {
+  const qualifies = (day) => {
+    const d = byDay.get(day);
+    return Boolean(d && d.completed > 0 && d.seconds >= goalSeconds);
+  };
+
+  const activeDays = [...byDay.keys()].filter(qualifies).sort();
+  let streak = 0;
+  let longest = 0;
+  let freezes = 0;
+  let lastStudy = null;
+  let frozen = [];
+
+  if (activeDays.length > 0) {
+    for (let day = activeDays[0]; day <= today; day = addDaysKey(day, 1)) {
+      if (qualifies(day)) {
+        streak += 1;
+        lastStudy = day;
+        if (streak % FREEZE_EVERY_DAYS === 0) freezes = Math.min(MAX_FREEZES, freezes + 1);
+      } else if (day === today) {
+        break; // Still time to practise today
+      } else if (streak > 0 && freezes > 0) {
+        freezes -= 1; // Bridge the missed day, the streak survives (without growing)
+        frozen.push(day);
+      } else {
+        streak = 0;
+        frozen = []; // Only freezes that kept the current streak alive are listed
+      }
+      longest = Math.max(longest, streak);
+    }
+  }
+
+  return {
+    current_streak: streak,
+    longest_streak: longest,
+    freezes,
+    last_study_date: lastStudy,
+    frozen_days: streak > 0 ? frozen : [],
+    today_done: qualifies(today),
+  };
+}
+
+/**
+ * First local day the replay needs ("YYYY-MM-DD"), or null for the whole history.
+ * Streak running: its first day (qualifying days plus the freeze days bridged before last_study_date).
+ * Streak broken: the day after last_study_date (nothing before it can count any more).
+ */
+async function replayStart(userId, profile) {
+  if (!profile.last_study_date) return null;
+
+  const streak = Number(profile.current_streak || 0);
+  if (streak <= 0) return addDaysKey(profile.last_study_date, 1);
+
+  const frozen = await query(
+    "SELECT COUNT(*) AS c FROM streak_freeze_day WHERE user_id = ? AND day < ?",
+    [userId, profile.last_study_date]
+  );
+  return addDaysKey(profile.last_study_date, -(streak - 1 + Number(frozen[0]?.c || 0)));
+}
+
+/**
+ * Recompute a user's streak from their practice history and store it on user_profile
+ * (current_streak, longest_streak, streak_freezes, last_study_date) and streak_freeze_day.
+ * options.full: replay the whole history (after timezone / goal settings change)
+ * Returns replayStreak()'s result plus { timezone, requires_goal, goal_minutes }.
+ */
+async function refreshStreak(userId, options = {}) {
+  const profileRows = await query(
+    `SELECT timezone, study_goal_minutes_per_day, streak_requires_goal, current_streak, longest_streak,
+            DATE_FORMAT(last_study_date, '%Y-%m-%d') AS last_study_date
+     FROM user_profile WHERE user_id = ?`,
+    [userId]
+  );
+  const profile = profileRows[0] || {};
+
+  const tz = resolveTimezone(profile.timezone);
+  const goalMinutes = profile.study_goal_minutes_per_day === null || profile.study_goal_minutes_per_day === undefined
+    ? null
+    : Number(profile.study_goal_minutes_per_day);
+  const requiresGoal = Boolean(profile.streak_requires_goal) && goalMinutes > 0;
+
+  const today = localDateKey(new Date(), tz);
+  const start = options.full ? null : await replayStart(userId, profile);
+
+  let byDay;
+  if (start && start <= today) {
+    const spanDays = Math.round((new Date(`${today}T00:00:00Z`) - new Date(`${start}T00:00:00Z`)) / 86400000) + 1;
+    const recent = await dailyStudy(userId, tz, spanDays);
+    byDay = new Map([...recent].filter(([day]) => day >= start)); // dailyStudy pads a day for timezones
+  } else {
+    byDay = await dailyStudy(userId, tz);
+  }
+
+  const replayed = replayStreak(byDay, today, requiresGoal ? goalMinutes * 60 : 0);
+  // A broken streak's window holds no study: keep the last day that counted
+  const streak = {
+    ...replayed,
+    last_study_date: replayed.last_study_date || (start ? profile.last_study_date : null),
+    longest_streak: Math.max(replayed.longest_streak, Number(profile.longest_streak || 0)),
+  };
+
+  await query("INSERT INTO user_profile (user_id) VALUES (?) ON DUPLICATE KEY UPDATE user_id = user_id", [userId]);
+  await query(
+    `UPDATE user_profile
+     SET current_streak = ?, longest_streak = GREATEST(longest_streak, ?), streak_freezes = ?, last_study_date = ?
+     WHERE user_id = ?`,
+    [streak.current_streak, streak.longest_streak, streak.freezes, streak.last_study_date, userId]
+  );
+
+  await query("DELETE FROM streak_freeze_day WHERE user_id = ?", [userId]);
+  if (streak.frozen_days.length > 0) {
+    await query("INSERT INTO streak_freeze_day (user_id, day) VALUES ?", [
+      streak.frozen_days.map((day) => [userId, day]),
+    ]);
+  }
+
+  return { ...streak, timezone: tz, requires_goal: requiresGoal, goal_minutes: goalMinutes };
+}
+
+module.exports = {
+  FREEZE_EVERY_DAYS,
+  MAX_FREEZES,
+  dailyStudy,
+  replayStreak,
+  refreshStreak,
+};
@@ -0,0 +1,133 @@
+// server/utils/studyGoal.js
+// Daily study goal (user_profile.study_goal_minutes_per_day) progress: study time per local day
+// (utils/streaks.js dailyStudy: session wall-clock length, or summed answer time for unfinished sessions)
+// compared against the goal. Shared by GET /api/stats/me/goal and the practice end screen.
+const db = require("../db");
+const { resolveTimezone, localDateKey, weekStartKey, addDaysKey } = require("./studyTime");
+const { dailyStudy } = require("./streaks");
+
+/**
+ * Promise wrapper for db.query (mysql/mysql2 callback style)
+ */
+function query(sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.query(sql, params, (err, results) => {
+      if (err) return reject(err);
+      resolve(results);
+    });
+  });
+}
+
+/**
+ * A user's goal settings: { timezone, goal_minutes } (goal_minutes null when no goal is set)
+ */
+async function getGoalSettings(userId) {
+  const rows = await query("SELECT timezone, study_goal_minutes_per_day FROM user_profile WHERE user_id = ?", [userId]);
+  const goal = rows[0]?.study_goal_minutes_per_day;
+  return {
+    timezone: resolveTimezone(rows[0]?.timezone),
+    goal_minutes: goal === null || goal === undefined || Number(goal) <= 0 ? null : Number(goal),
+  };
+}
+
+/**
+ * One day's progress against the goal (met / percent are null without a goal)
+ */
+function goalDay(date, seconds, goalMinutes) {
+  const minutes = Math.round(seconds / 60);
+  const hasGoal = goalMinutes !== null;
+  return {
+    date,
+    study_seconds: seconds,
+    minutes,
+    goal_minutes: goalMinutes,
+    met: hasGoal ? seconds >= goalMinutes * 60 : null,
+    percent: hasGoal ? Math.min(100, Math.round((seconds / (goalMinutes * 60)) * 100)) : null,
+  };
+}
+
+/**
+ * Share of days that met the goal. Today only counts once it is met (it is not over yet).
+ * Returns null without a goal or without any finished day.
+ */
+function hitRate(days, today) {
+  const counted = days.filter((d) => d.met !== null && (d.date !== today || d.met));
+  if (counted.length === 0) return null;
+  return Number((counted.filter((d) => d.met).length / counted.length).toFixed(3));
+}
+
+/**
+ * Today's progress for a user, e.g. for "12 of 20 minutes today".
+ * Returns goalDay() plus { timezone, remaining_minutes, message }.
+ */
+async function todayGoalStatus(userId) {
+  const { timezone, goal_minutes } = await getGoalSettings(userId);
+  const today = localDateKey(new Date(), timezone);
+  const byDay = await dailyStudy(userId, timezone, 1);
+
+  const day = goalDay(today, byDay.get(today)?.seconds || 0, goal_minutes);
+  return {
+    ...day,
+    timezone,
+    remaining_minutes: goal_minutes === null ? null : Math.max(0, goal_minutes - day.minutes),
+    message: goal_minutes === null
+      ? `${day.minutes} minutes today`
+      : `${day.minutes} of ${goal_minutes} minutes today`,
+  };
+}
+
+/**
+ * Goal history: the last `weeks` calendar weeks (Monday start) day by day, plus hit rates.
+ * tz: timezone for day boundaries (defaults to the user's)
+ */
+async function goalHistory(userId, weeks, tz = null) {
+  const settings = await getGoalSettings(userId);
+  const timezone = tz || settings.timezone;
+  const goalMinutes = settings.goal_minutes;
+
+  const today = localDateKey(new Date(), timezone);
+  const firstDay = addDaysKey(weekStartKey(today), -7 * (weeks - 1));
+  const spanDays = Math.max(30, Math.round((new Date(`${today}T00:00:00Z`) - new Date(`${firstDay}T00:00:00Z`)) / 86400000) + 1);
+  const byDay = await dailyStudy(userId, timezone, spanDays);
+
+  const dayAt = (date) => goalDay(date, byDay.get(date)?.seconds || 0, goalMinutes);
+
+  const weekList = [];
+  for (let start = firstDay; start <= today; start = addDaysKey(start, 7)) {
+    const days = [];
+    for (let i = 0; i < 7; i++) {
+      const date = addDaysKey(start, i);
+      if (date > today) break;
+      days.push(dayAt(date));
+    }
+    const seconds = days.reduce((sum, d) => sum + d.study_seconds, 0);
+    weekList.push({
+      week_start: start,
+      minutes: Math.round(seconds / 60),
+      days_met: goalMinutes === null ? null : days.filter((d) => d.met).length,
+      hit_rate: hitRate(days, today),
+      days,
+    });
+  }
+
+  const lastDays = (n) => Array.from({ length: n }, (_, i) => dayAt(addDaysKey(today, -i)));
+
+  return {
+    timezone,
+    goal_minutes: goalMinutes,
+    today: dayAt(today),
+    weeks: weekList,
+    hit_rate: {
+      last_7_days: hitRate(lastDays(7), today),
+      last_30_days: hitRate(lastDays(30), today),
+      range: hitRate(weekList.flatMap((w) => w.days), today),
+    },
+  };
+}
+
+module.exports = {
+  getGoalSettings,
+  goalDay,
+  todayGoalStatus,
+  goalHistory,
+};
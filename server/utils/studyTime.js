@@ -0,0 +1,83 @@
+// server/utils/studyTime.js
+// Date + study-time helpers shared by the stats endpoints (user timezone aware).
+
+// A session's recorded length is capped (tabs left open should not count as study time)
+const MAX_SESSION_SECONDS = 3 * 60 * 60;
+
+const DEFAULT_TIMEZONE = "UTC";
+
+/**
+ * Return tz if Intl knows it, otherwise the fallback
+ */
+function resolveTimezone(tz, fallback = DEFAULT_TIMEZONE) {
+  const value = String(tz || "").trim();
+  if (!value) return fallback;
+  try {
+    new Intl.DateTimeFormat("en-GB", { timeZone: value });
+    return value;
+  } catch {
+    return fallback;
+  }
+}
+
+/**
+ * Local calendar day "YYYY-MM-DD" of a date in a timezone
+ */
+function localDateKey(date, tz = DEFAULT_TIMEZONE) {
+  const d = date instanceof Date ? date : new Date(date);
+  // en-CA formats as YYYY-MM-DD
+  return new Intl.DateTimeFormat("en-CA", {
+    timeZone: tz,
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+  }).format(d);
+}
+
+/**
+ * Monday of the week containing a "YYYY-MM-DD" day key (also "YYYY-MM-DD")
+ */
+function weekStartKey(dayKey) {
+  const d = new Date(`${dayKey}T00:00:00Z`);
+  const offset = (d.getUTCDay() + 6) % 7; // Monday = 0
+  d.setUTCDate(d.getUTCDate() - offset);
+  return d.toISOString().slice(0, 10);
+}
+
+/**
+ * Shift a "YYYY-MM-DD" day key by n days
+ */
+function addDaysKey(dayKey, n) {
+  const d = new Date(`${dayKey}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + n);
+  return d.toISOString().slice(0, 10);
+}
+
+/**
+ * Seconds of study in one session row.
+ * Completed sessions: wall-clock length, capped.
+ * Wall-clock time spent paused (total_paused_seconds) is not study time.
+ * Unfinished sessions: the time spent answering (sum of performance_result.time_taken).
+ * row: { started_at, completed_at, answer_seconds, total_paused_seconds? }
+ */
+function sessionStudySeconds(row) {
+  const answerSeconds = Math.max(0, Number(row.answer_seconds || 0));
+
+  if (!row.completed_at || !row.started_at) return Math.min(answerSeconds, MAX_SESSION_SECONDS);
+
+  const paused = Math.max(0, Number(row.total_paused_seconds || 0));
+  const wall = (new Date(row.completed_at).getTime() - new Date(row.started_at).getTime()) / 1000 - paused;
+  const active = Math.max(answerSeconds, wall);
+
+  return Math.round(Math.min(Math.max(0, active), MAX_SESSION_SECONDS));
+}
+
+module.exports = {
+  MAX_SESSION_SECONDS,
+  DEFAULT_TIMEZONE,
+  resolveTimezone,
+  localDateKey,
+  weekStartKey,
+  addDaysKey,
+  sessionStudySeconds,
+};
@@ -0,0 +1,52 @@
+// server/utils/transaction.js
+const db = require("../db"); // MySQL pool
+
+/**
+ * Run work inside a MySQL transaction on one pooled connection.
+ * work(q) receives a promise query function bound to that connection.
+ * Commits when work resolves, rolls back (and rethrows) when it throws.
+ */
+function withTransaction(work) {
+  return new Promise((resolve, reject) => {
+    db.getConnection((err, conn) => {
+      if (err) return reject(err);
+
+      // Promise wrapper for queries on this connection
+      const q = (sql, params = []) =>
+        new Promise((res, rej) => {
+          conn.query(sql, params, (e, results) => {
+            if (e) return rej(e);
+            res(results);
+          });
+        });
+
+      // Roll back, release and reject with the original error
+      const fail = (e) => {
+        conn.rollback(() => {
+          conn.release();
+          reject(e);
+        });
+      };
+
+      conn.beginTransaction(async (e) => {
+        if (e) {
+          conn.release();
+          return reject(e);
+        }
+
+        try {
+          const result = await work(q);
+          conn.commit((e2) => {
+            if (e2) return fail(e2);
+            conn.release();
+            resolve(result);
+          });
+        } catch (workErr) {
+          fail(workErr);
+        }
+      });
+    });
+  });
+}
+
+module.exports = { withTransaction };